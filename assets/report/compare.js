@@ -0,0 +1,205 @@
+// Before/after comparison: swipe, flicker, and side by side with synchronized zoom and pan.
+// Pictures come from the image cards, so nothing is loaded beyond what the report already shows.
+(function () {
+  var section = document.getElementById('compare');
+  if (!section) return;
+
+  var cards = document.querySelectorAll('.image-card');
+  var beforeSelect = document.getElementById('compare-before');
+  var afterSelect = document.getElementById('compare-after');
+  var views = section.querySelectorAll('.compare-view');
+  var modeButtons = section.querySelectorAll('[data-mode]');
+
+  function picture(select) {
+    var card = cards[Number(select.value)];
+    return {
+      src: card.querySelector('.image-container img').getAttribute('src'),
+      label: card.querySelector('.date-badge').textContent
+    };
+  }
+
+  // Swipe: the after image sits on top, clipped to the left part of the stage
+  var swipeStage = document.getElementById('swipe-stage');
+  var swipeAfter = swipeStage.querySelector('.swipe-after');
+  var swipeHandle = swipeStage.querySelector('.swipe-handle');
+  var swipeRange = document.getElementById('swipe-position');
+
+  function setSwipe(percent) {
+    percent = Math.max(0, Math.min(100, percent));
+    swipeAfter.style.clipPath = 'inset(0 ' + (100 - percent) + '% 0 0)';
+    swipeHandle.style.left = percent + '%';
+    swipeRange.value = percent;
+  }
+
+  function swipeTo(e) {
+    var rect = swipeStage.getBoundingClientRect();
+    setSwipe(((e.clientX - rect.left) / rect.width) * 100);
+  }
+
+  swipeStage.addEventListener('pointerdown', function (e) {
+    swipeStage.setPointerCapture(e.pointerId);
+    swipeTo(e);
+  });
+  swipeStage.addEventListener('pointermove', function (e) {
+    if (swipeStage.hasPointerCapture(e.pointerId)) swipeTo(e);
+  });
+  swipeRange.addEventListener('input', function () {
+    setSwipe(Number(swipeRange.value));
+  });
+
+  // Flicker: one image that switches between the two dates
+  var flickerImage = document.getElementById('flicker-image');
+  var flickerLabel = document.getElementById('flicker-label');
+  var flickerPlay = document.getElementById('flicker-play');
+  var flickerInterval = document.getElementById('flicker-interval');
+  var flickerIntervalLabel = document.getElementById('flicker-interval-label');
+  var showingAfter = false;
+  var flickerTimer = null;
+
+  function showFlicker() {
+    var shown = picture(showingAfter ? afterSelect : beforeSelect);
+    flickerImage.src = shown.src;
+    flickerLabel.textContent = (showingAfter ? 'After: ' : 'Before: ') + shown.label;
+  }
+
+  function toggleFlicker() {
+    showingAfter = !showingAfter;
+    showFlicker();
+  }
+
+  function stopFlicker() {
+    clearInterval(flickerTimer);
+    flickerTimer = null;
+    flickerPlay.textContent = 'Play';
+    flickerPlay.classList.remove('active');
+  }
+
+  function startFlicker() {
+    stopFlicker();
+    flickerTimer = setInterval(toggleFlicker, Number(flickerInterval.value));
+    flickerPlay.textContent = 'Pause';
+    flickerPlay.classList.add('active');
+  }
+
+  document.getElementById('flicker-toggle').addEventListener('click', function () {
+    stopFlicker();
+    toggleFlicker();
+  });
+  flickerPlay.addEventListener('click', function () {
+    if (flickerTimer) stopFlicker(); else startFlicker();
+  });
+  flickerInterval.addEventListener('input', function () {
+    flickerIntervalLabel.textContent = flickerInterval.value;
+    if (flickerTimer) startFlicker();
+  });
+
+  // Side by side: both panes share one zoom and pan
+  var panes = section.querySelectorAll('.sync-pane');
+  var syncImages = section.querySelectorAll('.sync-pane img');
+  var view = { scale: 1, x: 0, y: 0 };
+  var MAX_SCALE = 16;
+
+  function applyView() {
+    var pane = panes[0].getBoundingClientRect();
+    // Keep the image covering the pane
+    view.x = Math.min(0, Math.max(pane.width * (1 - view.scale), view.x));
+    view.y = Math.min(0, Math.max(pane.height * (1 - view.scale), view.y));
+    var transform = 'translate(' + view.x + 'px, ' + view.y + 'px) scale(' + view.scale + ')';
+    Array.prototype.forEach.call(syncImages, function (img) {
+      img.style.transform = transform;
+    });
+  }
+
+  Array.prototype.forEach.call(panes, function (pane) {
+    pane.addEventListener('wheel', function (e) {
+      e.preventDefault();
+      var rect = pane.getBoundingClientRect();
+      var cx = e.clientX - rect.left;
+      var cy = e.clientY - rect.top;
+      var scale = Math.max(1, Math.min(MAX_SCALE, view.scale * (e.deltaY < 0 ? 1.2 : 1 / 1.2)));
+      // Zoom around the cursor
+      view.x = cx - (cx - view.x) * (scale / view.scale);
+      view.y = cy - (cy - view.y) * (scale / view.scale);
+      view.scale = scale;
+      applyView();
+    }, { passive: false });
+
+    var last = null;
+    pane.addEventListener('pointerdown', function (e) {
+      pane.setPointerCapture(e.pointerId);
+      pane.classList.add('dragging');
+      last = { x: e.clientX, y: e.clientY };
+    });
+    pane.addEventListener('pointermove', function (e) {
+      if (!last) return;
+      view.x += e.clientX - last.x;
+      view.y += e.clientY - last.y;
+      last = { x: e.clientX, y: e.clientY };
+      applyView();
+    });
+    function endDrag() {
+      pane.classList.remove('dragging');
+      last = null;
+    }
+    pane.addEventListener('pointerup', endDrag);
+    pane.addEventListener('pointercancel', endDrag);
+    pane.addEventListener('dblclick', function () {
+      view = { scale: 1, x: 0, y: 0 };
+      applyView();
+    });
+  });
+
+  function update() {
+    var before = picture(beforeSelect);
+    var after = picture(afterSelect);
+    swipeStage.querySelector('.swipe-before').src = before.src;
+    swipeAfter.src = after.src;
+    section.querySelector('.sync-before').src = before.src;
+    section.querySelector('.sync-after').src = after.src;
+    section.querySelector('.sync-label-before').textContent = before.label;
+    section.querySelector('.sync-label-after').textContent = after.label;
+    showFlicker();
+  }
+
+  function setMode(mode) {
+    Array.prototype.forEach.call(views, function (v) {
+      v.hidden = v.getAttribute('data-view') !== mode;
+    });
+    Array.prototype.forEach.call(modeButtons, function (button) {
+      button.classList.toggle('active', button.getAttribute('data-mode') === mode);
+    });
+    if (mode !== 'flicker') stopFlicker();
+  }
+
+  Array.prototype.forEach.call(modeButtons, function (button) {
+    button.addEventListener('click', function () {
+      setMode(button.getAttribute('data-mode'));
+    });
+  });
+  beforeSelect.addEventListener('change', update);
+  afterSelect.addEventListener('change', update);
+
+  // "Compare" on a card compares that image with the one before it, or with data-compare-before
+  Array.prototype.forEach.call(document.querySelectorAll('[data-compare]'), function (link) {
+    link.addEventListener('click', function () {
+      var index = Number(link.getAttribute('data-compare'));
+      var before = link.getAttribute('data-compare-before');
+      afterSelect.value = index;
+      beforeSelect.value = before !== null ? Number(before) : index > 0 ? index - 1 : 1;
+      update();
+    });
+  });
+
+  // Space toggles the flicker view while it is shown
+  document.addEventListener('keydown', function (e) {
+    var flickerShown = !section.querySelector('[data-view="flicker"]').hidden;
+    if (e.key === ' ' && flickerShown && e.target.tagName !== 'INPUT' && e.target.tagName !== 'SELECT' && e.target.tagName !== 'BUTTON') {
+      e.preventDefault();
+      stopFlicker();
+      toggleFlicker();
+    }
+  });
+
+  setSwipe(50);
+  update();
+})();
@@ -0,0 +1,49 @@
+// Lightbox for the report's "View Full Size" links; without scripts the links open the image itself
+// (or, in the standalone report, jump to its card)
+(function () {
+  var lightbox = document.getElementById('lightbox');
+  var image = document.getElementById('lightbox-img');
+  var caption = document.getElementById('lightbox-caption');
+
+  function openLightbox(src, text) {
+    image.src = src;
+    caption.textContent = text;
+    lightbox.style.display = 'flex';
+    document.body.style.overflow = 'hidden';
+  }
+
+  // The standalone report links to the card instead, whose picture is already inlined
+  function linkedImage(link) {
+    var href = link.getAttribute('href');
+    if (href.charAt(0) !== '#') return href;
+    return document.getElementById(href.slice(1)).querySelector('.image-container img').getAttribute('src');
+  }
+
+  function closeLightbox() {
+    lightbox.style.display = 'none';
+    document.body.style.overflow = 'auto';
+  }
+
+  Array.prototype.forEach.call(document.querySelectorAll('[data-lightbox]'), function (link) {
+    link.addEventListener('click', function (e) {
+      e.preventDefault();
+      openLightbox(linkedImage(link), link.getAttribute('data-caption'));
+    });
+  });
+
+  document.getElementById('close-lightbox').addEventListener('click', closeLightbox);
+
+  // Close lightbox when clicking outside the image
+  lightbox.addEventListener('click', function (e) {
+    if (e.target === lightbox) {
+      closeLightbox();
+    }
+  });
+
+  // Close lightbox with Escape key
+  document.addEventListener('keydown', function (e) {
+    if (e.key === 'Escape') {
+      closeLightbox();
+    }
+  });
+})();
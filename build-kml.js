@@ -0,0 +1,45 @@
+#!/usr/bin/env node
+/**
+ * Export the images of a finished run as KML ground overlays
+ *
+ * Command line:
+ *   node build-kml.js <run folder> [--format kml,kmz]
+ *
+ * Writes imagery.kmz (and/or imagery.kml) into the run folder. The run must
+ * have been georeferenced, which records where its images lie in metadata.json.
+ */
+
+const path = require('path');
+const { DEFAULTS, validateConfig } = require('./lib/config');
+const { loadRunReportData } = require('./lib/report');
+const { writeKml } = require('./lib/kml');
+
+const USAGE = 'Usage: node build-kml.js <run folder> [--format kml,kmz]';
+
+async function main(argv) {
+  const formatIndex = argv.indexOf('--format');
+  if (formatIndex >= 0 && formatIndex + 1 >= argv.length) {
+    throw new Error('Missing value for --format');
+  }
+  const targets = argv.filter((arg, i) => formatIndex < 0 || (i !== formatIndex && i !== formatIndex + 1));
+  if (targets.length !== 1 || argv.includes('--help') || argv.includes('-h')) {
+    console.log(USAGE);
+    return;
+  }
+
+  const config = validateConfig({ ...DEFAULTS, kmlFormats: formatIndex >= 0 ? argv[formatIndex + 1] : ['kmz'] });
+  const runDir = path.resolve(targets[0]);
+  const { metadata, images } = loadRunReportData(runDir);
+  const written = await writeKml(runDir, metadata, images, config.kmlFormats);
+
+  for (const [format, file] of Object.entries(written)) {
+    console.log(`${format}: ${file}`);
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+  });
+}
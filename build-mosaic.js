@@ -0,0 +1,38 @@
+#!/usr/bin/env node
+/**
+ * Stitch the tiles of a mosaic folder again
+ *
+ * Command line:
+ *   node build-mosaic.js <mosaic folder>
+ *
+ * Rewrites the mosaic_<date>.png images and the mosaics in mosaic_summary.json
+ * from whatever tiles have finished, e.g. after a failed tile was completed
+ * with `node index.js --resume <mosaic folder>/tiles/<tile>`.
+ */
+
+const path = require('path');
+const { restitchMosaic } = require('./lib/mosaic');
+
+const USAGE = 'Usage: node build-mosaic.js <mosaic folder>';
+
+async function main(argv) {
+  if (argv.length !== 1 || argv[0] === '--help' || argv[0] === '-h') {
+    console.log(USAGE);
+    return;
+  }
+
+  const mosaicDir = path.resolve(argv[0]);
+  const summary = restitchMosaic(mosaicDir);
+
+  for (const mosaic of summary.mosaics) {
+    const missing = mosaic.missingTiles.length > 0 ? `, missing ${mosaic.missingTiles.join(' ')}` : '';
+    console.log(`${mosaic.date}: ${path.join(mosaicDir, mosaic.file)} (${mosaic.tiles} tile(s)${missing})`);
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+  });
+}
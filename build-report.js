@@ -0,0 +1,45 @@
+#!/usr/bin/env node
+/**
+ * Rebuild the reports of a finished run from its metadata.json
+ *
+ * Command line:
+ *   node build-report.js <run folder> [--format html,markdown,standalone]
+ *
+ * Writes every format by default. The run folder must still hold the images
+ * metadata.json lists; the standalone report inlines them.
+ */
+
+const path = require('path');
+const { REPORT_FORMATS, loadRunReportData, writeReports } = require('./lib/report');
+
+const USAGE = `Usage: node build-report.js <run folder> [--format ${REPORT_FORMATS.join(',')}]`;
+
+async function main(argv) {
+  const formatIndex = argv.indexOf('--format');
+  const formats = formatIndex >= 0 ? String(argv[formatIndex + 1] || '').split(',').filter(Boolean) : REPORT_FORMATS;
+  const targets = argv.filter((arg, i) => formatIndex < 0 || (i !== formatIndex && i !== formatIndex + 1));
+  if (targets.length !== 1 || argv.includes('--help') || argv.includes('-h')) {
+    console.log(USAGE);
+    return;
+  }
+
+  const unknown = formats.filter(format => !REPORT_FORMATS.includes(format));
+  if (formats.length === 0 || unknown.length > 0) {
+    throw new Error(`--format takes a comma-separated list of ${REPORT_FORMATS.join(', ')}` +
+      (unknown.length > 0 ? `, got ${unknown.join(', ')}` : ''));
+  }
+
+  const runDir = path.resolve(targets[0]);
+  const { metadata, images } = loadRunReportData(runDir);
+  const written = await writeReports(runDir, metadata, images, formats);
+  for (const [format, reportPath] of Object.entries(written)) {
+    console.log(`${format}: ${reportPath}`);
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+  });
+}
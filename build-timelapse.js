@@ -0,0 +1,67 @@
+#!/usr/bin/env node
+/**
+ * Export a timelapse of a finished run from its metadata.json
+ *
+ * Command line:
+ *   node build-timelapse.js <run folder> [--format gif,mp4] [--frame-duration ms] [--width px] [--no-date]
+ *
+ * Writes timelapse.gif (and timelapse.mp4 when ffmpeg is installed) into the
+ * run folder. Defaults come from the same settings as a capture run.
+ */
+
+const path = require('path');
+const { DEFAULTS, validateConfig } = require('./lib/config');
+const { loadRunReportData } = require('./lib/report');
+const { buildTimelapse } = require('./lib/timelapse');
+
+const USAGE = 'Usage: node build-timelapse.js <run folder> [--format gif,mp4] [--frame-duration ms] [--width px] [--no-date]';
+
+// Flag -> config key
+const OPTIONS = {
+  '--format': 'timelapseFormats',
+  '--frame-duration': 'timelapseFrameDuration',
+  '--width': 'timelapseWidth'
+};
+
+async function main(argv) {
+  const settings = { timelapseFormats: ['gif', 'mp4'] };
+  const targets = [];
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--help' || argv[i] === '-h') {
+      targets.length = 0;
+      break;
+    } else if (argv[i] === '--no-date') {
+      settings.timelapseDate = false;
+    } else if (OPTIONS[argv[i]]) {
+      if (i + 1 >= argv.length) throw new Error(`Missing value for ${argv[i]}`);
+      settings[OPTIONS[argv[i]]] = argv[++i];
+    } else {
+      targets.push(argv[i]);
+    }
+  }
+  if (targets.length !== 1) {
+    console.log(USAGE);
+    return;
+  }
+
+  const config = validateConfig({ ...DEFAULTS, ...settings });
+  const runDir = path.resolve(targets[0]);
+  const { images } = loadRunReportData(runDir);
+  const written = await buildTimelapse(runDir, images, {
+    formats: config.timelapseFormats,
+    frameDuration: config.timelapseFrameDuration,
+    width: config.timelapseWidth,
+    burnDate: config.timelapseDate
+  }, (message) => console.log(message));
+
+  for (const [format, file] of Object.entries(written)) {
+    console.log(`${format}: ${file}`);
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+  });
+}
@@ -232,16 +232,20 @@ async function captureHistoricalImagery() {
   }
 }
 
+module.exports = { captureHistoricalImagery };
+
 // Run the program
-captureHistoricalImagery()
-  .then(outputDir => {
-    console.log("\n✅ Diagnostic exploration completed!");
-    console.log(`📁 Check screenshots in: ${outputDir}`);
-    console.log("\nNext steps:");
-    console.log("1. Review the screenshots to understand the interface");
-    console.log("2. Identify if historical imagery is accessible through the interface");
-    console.log("3. Determine whether automation is feasible with this approach");
-  })
-  .catch(error => {
-    console.error("\n❌ Exploration process failed:", error.message);
-  });
\ No newline at end of file
+if (require.main === module) {
+  captureHistoricalImagery()
+    .then(outputDir => {
+      console.log("\n✅ Diagnostic exploration completed!");
+      console.log(`📁 Check screenshots in: ${outputDir}`);
+      console.log("\nNext steps:");
+      console.log("1. Review the screenshots to understand the interface");
+      console.log("2. Identify if historical imagery is accessible through the interface");
+      console.log("3. Determine whether automation is feasible with this approach");
+    })
+    .catch(error => {
+      console.error("\n❌ Exploration process failed:", error.message);
+    });
+}
@@ -8,9 +8,13 @@
 const puppeteer = require('puppeteer');
 const fs = require('fs');
 const path = require('path');
+const { buildCameraUrl, nadirCamera } = require('./lib/camera');
 
 // Configuration
 const COORDINATES = "5.55551247,-0.26162416";
+// Straight-down view from 873 m that every method starts from (see lib/camera.js)
+const START_CAMERA = nadirCamera(...COORDINATES.split(',').map(Number), 873);
+const START_URL = buildCameraUrl(START_CAMERA);
 const OUTPUT_DIR = path.join(__dirname, 'output', `investigation_${new Date().toISOString().replace(/[:.]/g, '-')}`);
 
 // Create the output directory
@@ -34,22 +38,22 @@ async function tryUrlParameters() {
   // List of potential URL parameter patterns to test
   const urlPatterns = [
     // Basic coordinates
-    `https://earth.google.com/web/@${COORDINATES},873a,35y,0h,0t,0r`,
+    START_URL,
     
     // Add potential time parameters
-    `https://earth.google.com/web/@${COORDINATES},873a,35y,0h,0t,0r/data=KAI`,
+    buildCameraUrl({ ...START_CAMERA, data: 'KAI' }),
     
     // Try with history flag
-    `https://earth.google.com/web/@${COORDINATES},873a,35y,0h,0t,0r?history=1`,
+    `${START_URL}?history=1`,
     
     // Try with time parameter
-    `https://earth.google.com/web/@${COORDINATES},873a,35y,0h,0t,0r/data=date=20190101`,
+    buildCameraUrl({ ...START_CAMERA, data: 'date=20190101' }),
     
-    // Try with different date format
-    `https://earth.google.com/web/@${COORDINATES},873a,35y,0h,0t,0r/when/2019`,
+    // Try with different date format (not part of the camera URL format)
+    `${START_URL}/when/2019`,
     
     // Try the Earth Time Machine format
-    `https://earth.google.com/web/search/${COORDINATES}/@${COORDINATES},873a,35y,0h,0t,0r/data=KAE`
+    buildCameraUrl({ ...START_CAMERA, search: COORDINATES, data: 'KAE' })
   ];
   
   // Test each URL pattern
@@ -92,7 +96,7 @@ async function tryJavaScriptCommands() {
   
   // Navigate to Google Earth Web with basic coordinates
   try {
-    await page.goto(`https://earth.google.com/web/@${COORDINATES},873a,35y,0h,0t,0r`, { 
+    await page.goto(START_URL, { 
       waitUntil: 'networkidle2', 
       timeout: 60000 
     });
@@ -272,7 +276,7 @@ async function monitorNetworkRequests() {
   
   try {
     // Navigate to Google Earth Web
-    await page.goto(`https://earth.google.com/web/@${COORDINATES},873a,35y,0h,0t,0r`, { 
+    await page.goto(START_URL, { 
       waitUntil: 'networkidle2', 
       timeout: 60000 
     });
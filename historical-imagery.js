@@ -8,24 +8,23 @@
 const puppeteer = require('puppeteer');
 const fs = require('fs');
 const path = require('path');
+const { compareScreenshots, describeComparison } = require('./lib/compare');
+const { decodePng } = require('./lib/image');
+const { DEFAULT_PROFILE } = require('./lib/profiles');
+const { locateControl, describeLocation } = require('./lib/locate');
+const { createLogger } = require('./lib/logger');
+const { buildCameraUrl, nadirCamera } = require('./lib/camera');
 
 // Configuration
 const COORDINATES = "5.55551247,-0.26162416"; // Accra, Ghana
+// Straight-down view from 873 m (see lib/camera.js)
+const START_URL = buildCameraUrl(nadirCamera(...COORDINATES.split(',').map(Number), 873));
 const START_YEAR = 2019;
 const CURRENT_YEAR = new Date().getFullYear();
 const OUTPUT_DIR = path.join(__dirname, 'historical_imagery_' + new Date().toISOString().replace(/[:.]/g, '-'));
 
-// Create output directory
-if (!fs.existsSync(OUTPUT_DIR)) {
-  fs.mkdirSync(OUTPUT_DIR, { recursive: true });
-}
-
-// Helper function for logging
-function log(message) {
-  const timestamp = new Date().toISOString();
-  console.log(`[${timestamp}] ${message}`);
-  fs.appendFileSync(path.join(OUTPUT_DIR, 'capture_log.txt'), `[${timestamp}] ${message}\n`);
-}
+// JSON-lines run log in OUTPUT_DIR (see lib/logger.js); written once the folder exists
+const log = createLogger(OUTPUT_DIR, { fields: { location: COORDINATES } });
 
 // Helper function for waiting
 function sleep(ms) {
@@ -33,23 +32,35 @@ function sleep(ms) {
 }
 
 /**
- * Compare two screenshots using simple blob comparison
+ * Compare two screenshots pixel by pixel (see lib/compare.js)
  * @param {Buffer} before - Screenshot before action
  * @param {Buffer} after - Screenshot after action
  * @returns {boolean} - Whether significant changes were detected
  */
 function hasSignificantChanges(before, after) {
-  // Simple size comparison as a basic check
-  const sizeDiff = Math.abs(before.length - after.length);
-  const percentDiff = (sizeDiff / before.length) * 100;
-  log(`Image size difference: ${percentDiff.toFixed(2)}%`);
-  return percentDiff > 1; // Consider 1% difference as significant
+  // Toolbar clicks change the UI rather than the map, so compare the whole page
+  const comparison = compareScreenshots(before, after, { region: null });
+  log(`Image difference: ${describeComparison(comparison)}`, {
+    event: 'comparison',
+    metrics: {
+      meanDiff: comparison.meanDiff,
+      ssim: comparison.ssim,
+      hashDistance: comparison.hashDistance,
+      triggeredBy: comparison.triggeredBy
+    }
+  });
+  return comparison.hasSignificantChange;
 }
 
 /**
  * Main function to capture historical imagery
  */
 async function captureHistoricalImagery() {
+  // Create output directory
+  if (!fs.existsSync(OUTPUT_DIR)) {
+    fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+  }
+
   log("Starting historical imagery capture for coordinates: " + COORDINATES);
   
   // Launch browser
@@ -64,7 +75,7 @@ async function captureHistoricalImagery() {
   try {
     // Step 1: Navigate to Google Earth Web with coordinates
     log("Navigating to Google Earth Web...");
-    await page.goto(`https://earth.google.com/web/@${COORDINATES},873a,35y,0h,0t,0r`, { 
+    await page.goto(START_URL, { 
       waitUntil: 'networkidle2',
       timeout: 60000
     });
@@ -263,13 +274,21 @@ async function captureHistoricalImagery() {
     } else {
       log(`No significant changes detected after clicking the adjusted history icon position`);
       
-      // If the adjusted position didn't work, try a systematic approach
-      log("Trying a systematic approach to find the history icon...");
+      // If the adjusted position didn't work, look for the icon itself
+      log("Looking for the history icon by its reference image...");
+      const iconSearchPath = path.join(OUTPUT_DIR, '17_icon_search.png');
+      await page.screenshot({ path: iconSearchPath, fullPage: true });
+      const located = locateControl(decodePng(iconSearchPath), DEFAULT_PROFILE, 'historyButton');
+      log(`History icon ${describeLocation(located)}`);
       
-      // Try each potential icon position across the toolbar
+      // Try each potential icon position across the toolbar when it is not found
       const possibleIconPositions = [];
-      for (let x = 400; x <= 600; x += 60) { // Try every 60px from 400 to 600
-        possibleIconPositions.push({ x, y: 37 });
+      if (located && located.found) {
+        possibleIconPositions.push({ x: located.x, y: located.y });
+      } else {
+        for (let x = 400; x <= 600; x += 60) { // Try every 60px from 400 to 600
+          possibleIconPositions.push({ x, y: 37 });
+        }
       }
       
       let historyButtonActivated = false;
@@ -311,7 +330,7 @@ async function captureHistoricalImagery() {
     log("Exploration complete. Check the output directory for captured screenshots.");
     
   } catch (error) {
-    log(`Error during capture: ${error.message}`);
+    log.error(`Error during capture: ${error.message}`);
     console.error(error);
     
     // Take error screenshot
@@ -325,7 +344,11 @@ async function captureHistoricalImagery() {
   }
 }
 
+module.exports = { captureHistoricalImagery };
+
 // Run the script
-captureHistoricalImagery().catch(error => {
-  console.error("Unhandled error:", error);
-});
\ No newline at end of file
+if (require.main === module) {
+  captureHistoricalImagery().catch(error => {
+    console.error("Unhandled error:", error);
+  });
+}
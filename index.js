@@ -0,0 +1,38 @@
+#!/usr/bin/env node
+/**
+ * Google Earth Historical Imagery Collector
+ *
+ * Programmatic API:
+ *   const { captureHistoricalImagery } = require('./index');
+ *   const zipPath = await captureHistoricalImagery('5.55551247,-0.26162416', 2019, true);
+ *
+ * Command line:
+ *   npm start -- --location 5.55551247,-0.26162416 --start-year 2019 --headless
+ *
+ * Requiring this module never launches a browser; only the CLI and the
+ * exported functions do.
+ */
+
+const { captureHistoricalImagery, runCapture, resumeCapture, parseCoordinates } = require('./lib/capture');
+const { main } = require('./lib/cli');
+
+module.exports = {
+  captureHistoricalImagery,
+  runCapture,
+  resumeCapture,
+  parseCoordinates
+};
+
+if (require.main === module) {
+  main()
+    .then(resultPath => {
+      if (resultPath) {
+        console.log(`\n✅ Capture completed!`);
+        console.log(`📁 Images saved to: ${resultPath}`);
+      }
+    })
+    .catch(error => {
+      console.error(`\n❌ Capture process failed: ${error.message}`);
+      process.exitCode = 1;
+    });
+}
@@ -0,0 +1,291 @@
+/**
+ * Batch capture of many sites from a CSV or GeoJSON file
+ *
+ * Each site runs through the normal capture pipeline into its own folder under
+ * one batch directory. A failing site is recorded and the batch moves on; the
+ * outcome of every site is written to batch_summary.json.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { promisify } = require('util');
+const writeFileAsync = promisify(fs.writeFile);
+
+const { createLogger } = require('./logger');
+const { fileTimestamp, sanitizeName } = require('./utils');
+const { runCapture } = require('./capture');
+
+// Accepted header names for each site field
+const CSV_COLUMNS = {
+  name: ['name', 'site', 'location', 'location_name'],
+  lat: ['lat', 'latitude'],
+  lon: ['lon', 'lng', 'long', 'longitude'],
+  zoom: ['zoom', 'zoom_level', 'zoomlevel', 'altitude'],
+  startYear: ['start_year', 'startyear', 'year']
+};
+
+/**
+ * Split CSV text into rows of fields, honouring double-quoted fields
+ */
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter(r => r.some(value => value.trim() !== ''));
+}
+
+/**
+ * Turn a raw site record into a site, collecting problems into `errors`
+ */
+function normalizeSite(raw, label, errors) {
+  const lat = Number(raw.lat);
+  const lon = Number(raw.lon);
+
+  if (raw.lat === undefined || raw.lat === '' || !(lat >= -90 && lat <= 90)) {
+    errors.push(`${label}: latitude must be between -90 and 90, got ${JSON.stringify(raw.lat)}`);
+    return null;
+  }
+  if (raw.lon === undefined || raw.lon === '' || !(lon >= -180 && lon <= 180)) {
+    errors.push(`${label}: longitude must be between -180 and 180, got ${JSON.stringify(raw.lon)}`);
+    return null;
+  }
+
+  const site = {
+    name: raw.name ? String(raw.name).trim() : `${lat},${lon}`,
+    lat,
+    lon
+  };
+
+  // Optional per-site overrides; the pipeline validates their values
+  if (raw.zoom !== undefined && raw.zoom !== '') site.zoomLevel = raw.zoom;
+  if (raw.startYear !== undefined && raw.startYear !== '') site.startYear = raw.startYear;
+
+  return site;
+}
+
+/**
+ * Parse sites from CSV text with a header row
+ * @param {string} text - CSV with name, lat, lon and optional zoom, start_year columns
+ * @returns {Array<Object>} - Sites ({ name, lat, lon, zoomLevel?, startYear? })
+ */
+function parseSitesCsv(text) {
+  const rows = parseCsvRows(text.replace(/^\uFEFF/, ''));
+  if (rows.length === 0) throw new Error('Sites CSV is empty');
+
+  const header = rows[0].map(h => h.trim().toLowerCase());
+  const columns = {};
+  for (const [field, aliases] of Object.entries(CSV_COLUMNS)) {
+    const index = header.findIndex(h => aliases.includes(h));
+    if (index !== -1) columns[field] = index;
+  }
+
+  if (columns.lat === undefined || columns.lon === undefined) {
+    throw new Error(`Sites CSV needs "lat" and "lon" columns, found: ${header.join(', ')}`);
+  }
+
+  const sites = [];
+  const errors = [];
+  rows.slice(1).forEach((row, i) => {
+    const raw = {};
+    for (const [field, index] of Object.entries(columns)) {
+      if (row[index] !== undefined) raw[field] = row[index].trim();
+    }
+    const site = normalizeSite(raw, `row ${i + 2}`, errors);
+    if (site) sites.push(site);
+  });
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid sites CSV:\n  - ${errors.join('\n  - ')}`);
+  }
+  return sites;
+}
+
+/**
+ * Parse sites from a GeoJSON FeatureCollection of points
+ * @param {Object} geojson - Parsed GeoJSON; properties may carry name, zoom and start_year
+ * @returns {Array<Object>} - Sites ({ name, lat, lon, zoomLevel?, startYear? })
+ */
+function parseSitesGeoJson(geojson) {
+  if (!geojson || geojson.type !== 'FeatureCollection' || !Array.isArray(geojson.features)) {
+    throw new Error('Sites GeoJSON must be a FeatureCollection');
+  }
+
+  const sites = [];
+  const errors = [];
+  geojson.features.forEach((feature, i) => {
+    const label = `feature ${i + 1}`;
+    const geometry = feature && feature.geometry;
+    if (!geometry || geometry.type !== 'Point' || !Array.isArray(geometry.coordinates)) {
+      errors.push(`${label}: only Point geometries are supported`);
+      return;
+    }
+
+    const props = feature.properties || {};
+    const [lon, lat] = geometry.coordinates;
+    const site = normalizeSite({
+      name: props.name,
+      lat,
+      lon,
+      zoom: props.zoom !== undefined ? props.zoom : props.zoomLevel,
+      startYear: props.start_year !== undefined ? props.start_year : props.startYear
+    }, label, errors);
+    if (site) sites.push(site);
+  });
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid sites GeoJSON:\n  - ${errors.join('\n  - ')}`);
+  }
+  return sites;
+}
+
+/**
+ * Load sites from a .csv, .geojson or .json file
+ * @param {string} filePath - Sites file
+ * @returns {Array<Object>} - Sites
+ */
+function loadSites(filePath) {
+  const text = fs.readFileSync(filePath, 'utf8');
+  const sites = /\.csv$/i.test(filePath) ? parseSitesCsv(text) : parseSitesGeoJson(JSON.parse(text));
+
+  if (sites.length === 0) throw new Error(`No sites found in ${filePath}`);
+  return sites;
+}
+
+/**
+ * Capture every site in turn
+ * @param {Array<Object>|string} sites - Sites, or a path to a sites file
+ * @param {Object} config - Shared config (see lib/config.js); per-site values override it
+ * @returns {Promise<Object>} - Batch summary, also written to batch_summary.json
+ */
+async function runBatch(sites, config) {
+  if (typeof sites === 'string') sites = loadSites(sites);
+
+  const batchDir = path.join(config.outputRoot, 'batch_' + fileTimestamp());
+  fs.mkdirSync(batchDir, { recursive: true });
+
+  const log = createLogger(batchDir, { fileName: 'batch_log.jsonl', level: config.logLevel });
+  const startTime = new Date();
+  const usedFolders = new Set();
+  const results = [];
+
+  log(`Starting batch capture of ${sites.length} sites into ${batchDir}`, { event: 'batch', status: 'started' });
+
+  for (let i = 0; i < sites.length; i++) {
+    const site = sites[i];
+    const coordinates = `${site.lat},${site.lon}`;
+
+    // Give every site a distinct folder even when names repeat
+    let folder = sanitizeName(site.name);
+    for (let n = 2; usedFolders.has(folder); n++) {
+      folder = `${sanitizeName(site.name)}_${n}`;
+    }
+    usedFolders.add(folder);
+
+    log(`Site ${i+1}/${sites.length}: ${site.name} (${coordinates})`, { event: 'site', status: 'started', location: site.name });
+
+    const entry = {
+      name: site.name,
+      coordinates,
+      outputDir: path.join(batchDir, folder),
+      status: null,
+      runId: null,
+      imageCount: 0,
+      zipPath: null,
+      error: null
+    };
+
+    try {
+      const result = await runCapture({
+        ...config,
+        coordinates,
+        locationName: site.name,
+        zoomLevel: site.zoomLevel !== undefined ? site.zoomLevel : config.zoomLevel,
+        startYear: site.startYear !== undefined ? site.startYear : config.startYear,
+        outputDir: entry.outputDir
+      });
+
+      entry.status = 'success';
+      entry.runId = result.metadata.runId;
+      entry.imageCount = result.capturedImages.length;
+      entry.zipPath = result.zipPath;
+      log(`Site ${i+1}/${sites.length}: captured ${entry.imageCount} unique images`, {
+        event: 'site', status: 'success', location: site.name, siteRunId: entry.runId, metrics: { images: entry.imageCount }
+      });
+    } catch (error) {
+      entry.status = 'failed';
+      entry.error = error.message;
+      log.error(`Site ${i+1}/${sites.length}: failed - ${error.message}`, { event: 'site', status: 'failed', location: site.name });
+    }
+
+    results.push(entry);
+  }
+
+  const endTime = new Date();
+  const summary = {
+    startTime: startTime.toISOString(),
+    endTime: endTime.toISOString(),
+    duration: Math.round((endTime - startTime) / 1000) + " seconds",
+    totalSites: sites.length,
+    successes: results.filter(r => r.status === 'success').length,
+    failures: results.filter(r => r.status === 'failed').length,
+    totalImages: results.reduce((sum, r) => sum + r.imageCount, 0),
+    outputDirectory: batchDir,
+    sites: results
+  };
+
+  await writeFileAsync(
+    path.join(batchDir, 'batch_summary.json'),
+    JSON.stringify(summary, null, 2)
+  );
+
+  log(`Batch complete: ${summary.successes} succeeded, ${summary.failures} failed, ${summary.totalImages} images`, {
+    event: 'batch',
+    status: 'complete',
+    metrics: { successes: summary.successes, failures: summary.failures, images: summary.totalImages }
+  });
+
+  return summary;
+}
+
+module.exports = {
+  parseSitesCsv,
+  parseSitesGeoJson,
+  loadSites,
+  runBatch
+};
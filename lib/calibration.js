@@ -0,0 +1,353 @@
+/**
+ * Timeline calibration from a screenshot
+ *
+ * Finds the historical imagery slider inside the layout's timeline strip and
+ * builds a timeline mapping (see lib/timeline.js) for the current viewport:
+ *   - the bar is the band of saturated (blue) rows, its ends those of the
+ *     longest stretch of saturated columns
+ *   - acquisition dots are local brightness peaks along the bar's centre row;
+ *     the first dot of each year is drawn brighter and has a year label below it
+ *   - the selected-position knob is found by its reference icon (lib/locate.js),
+ *     or failing that as the one dot much wider than the others
+ *   - year labels are split into blobs by column projection and OCR'd one by
+ *     one, keeping only the readings that form an increasing sequence
+ * When the labels cannot be read the bar is assumed to span 2002 to today, and
+ * when the bar cannot be found the UI profile's slider rectangle is used
+ * instead, each with a warning.
+ */
+
+const { cropImage, toGrayscale } = require('./image');
+const { PLAUSIBLE_RANGE } = require('./dates');
+const { createTimelineMapping } = require('./timeline');
+const { locateControl } = require('./locate');
+
+// Year assumed at the left end of the bar when its labels cannot be read
+const FALLBACK_START_YEAR = 2002;
+
+// Channel spread above which a pixel counts as part of the (blue) bar
+const BAR_SATURATION = 60;
+// Widest unsaturated gap (px) still counted as part of the bar
+const MAX_BAR_GAP = 20;
+// Brightness above the local bar background for a dot, and for a labelled dot
+const DOT_CONTRAST = 15;
+const LABELLED_DOT_CONTRAST = 100;
+// Year labels: brightness of text pixels, column gap that separates labels
+const LABEL_BRIGHTNESS = 120;
+const LABEL_GAP = 4;
+const LABEL_HEIGHT = 16;
+const MIN_LABEL_CONFIDENCE = 50;
+// The labels are ~8px tall; thresholding at that size merges 5/6 and 1/7
+const LABEL_PREPROCESS = { upscale: 4, binarize: false };
+
+/**
+ * Locate the slider bar
+ * @param {Object} image - Decoded RGBA screenshot
+ * @param {Object} rect - Area to search (the layout's timeline strip)
+ * @returns {{startX: number, endX: number, y: number, top: number, bottom: number}|null}
+ */
+function detectTimelineBar(image, rect) {
+  const saturated = (x, y) => {
+    const i = (y * image.width + x) * 4;
+    const { data } = image;
+    return Math.max(data[i], data[i + 1], data[i + 2]) - Math.min(data[i], data[i + 1], data[i + 2]) > BAR_SATURATION;
+  };
+
+  // Rows where most of the strip is saturated form the bar
+  const rowCounts = [];
+  for (let y = rect.y; y < rect.y + rect.height; y++) {
+    let count = 0;
+    for (let x = rect.x; x < rect.x + rect.width; x++) {
+      if (saturated(x, y)) count++;
+    }
+    rowCounts.push(count);
+  }
+
+  const most = Math.max(...rowCounts);
+  if (most < rect.width * 0.2) return null;
+
+  const barRows = rowCounts.map((count, i) => (count >= most * 0.6 ? rect.y + i : -1)).filter(y => y >= 0);
+  const top = barRows[0];
+  const bottom = barRows[barRows.length - 1];
+  const y = Math.round((top + bottom) / 2);
+
+  // Ends: the longest stretch of saturated columns, bridging the gaps left by
+  // dots and the knob (other blue UI, such as links, is in shorter stretches)
+  let best = null;
+  let run = null;
+  for (let x = rect.x; x <= rect.x + rect.width; x++) {
+    let column = 0;
+    for (const row of barRows) {
+      if (x < rect.x + rect.width && saturated(x, row)) column++;
+    }
+    if (column >= barRows.length / 2) {
+      if (run && x - run.endX > MAX_BAR_GAP) run = null;
+      if (!run) run = { startX: x };
+      run.endX = x;
+      if (!best || run.endX - run.startX > best.endX - best.startX) best = { ...run };
+    }
+  }
+  // Saturated rows that never line up into a bar, such as scattered blue UI
+  if (!best) return null;
+
+  return { startX: best.startX, endX: best.endX, y, top, bottom };
+}
+
+/**
+ * Find the acquisition dots along the bar
+ * @returns {{dots: Array<{x: number, width: number, labelled: boolean}>, handle: number|null}} -
+ *   handle is the x of the (wider) selected-position knob, which also sits on a dot
+ */
+function detectTimelineDots(image, bar) {
+  // Margin for dots drawn on the faded ends of the bar
+  const margin = 30;
+  const from = Math.max(0, bar.startX - margin);
+  const to = Math.min(image.width, bar.endX + margin);
+  const row = toGrayscale(image, { x: from, y: bar.y, width: to - from, height: 1 }).pixels;
+
+  // Local background: median of a window around each pixel
+  const window = 15;
+  const background = (i) => {
+    const values = Array.from(row.slice(Math.max(0, i - window), i + window + 1)).sort((a, b) => a - b);
+    return values[Math.floor(values.length / 2)];
+  };
+
+  const runs = [];
+  let run = null;
+  for (let i = 0; i <= row.length; i++) {
+    const base = i < row.length ? background(i) : 0;
+    const contrast = i < row.length ? row[i] - base : 0;
+    if (contrast > DOT_CONTRAST) {
+      if (!run) run = { start: i, peak: 0 };
+      run.end = i;
+      run.peak = Math.max(run.peak, contrast);
+    } else if (run) {
+      runs.push(run);
+      run = null;
+    }
+  }
+
+  const dots = runs.map(r => ({
+    x: from + Math.round((r.start + r.end) / 2),
+    width: r.end - r.start + 1,
+    labelled: r.peak > LABELLED_DOT_CONTRAST
+  }));
+
+  // The knob is much wider than an ordinary dot
+  const widths = dots.map(d => d.width).sort((a, b) => a - b);
+  const typical = widths.length > 0 ? widths[Math.floor(widths.length / 2)] : 0;
+  const knob = dots.find(d => d.width >= typical * 2);
+  if (knob) knob.labelled = false;
+
+  return { dots, handle: knob ? knob.x : null };
+}
+
+/**
+ * Split the label row under the bar into one blob per label
+ * @returns {Array<{x: number, rect: Object}>}
+ */
+function findLabelBlobs(image, bar) {
+  const band = {
+    x: Math.max(0, bar.startX - 40),
+    y: bar.bottom + 2,
+    width: Math.min(image.width, bar.endX + 40) - Math.max(0, bar.startX - 40),
+    height: LABEL_HEIGHT
+  };
+  const gray = toGrayscale(image, band);
+
+  const blobs = [];
+  let start = -1;
+  let gap = 0;
+  for (let x = 0; x <= gray.width; x++) {
+    let lit = false;
+    for (let y = 0; x < gray.width && y < gray.height && !lit; y++) {
+      lit = gray.pixels[y * gray.width + x] > LABEL_BRIGHTNESS;
+    }
+    if (lit) {
+      if (start < 0) start = x;
+      gap = 0;
+    } else if (start >= 0 && (++gap > LABEL_GAP || x === gray.width)) {
+      const end = x - gap;
+      blobs.push({
+        x: band.x + Math.round((start + end) / 2),
+        rect: { x: band.x + start - 3, y: band.y, width: end - start + 7, height: band.height }
+      });
+      start = -1;
+      gap = 0;
+    }
+  }
+
+  return blobs;
+}
+
+/**
+ * Longest run of readings, left to right, that increases in both x and year
+ */
+function increasingReadings(readings) {
+  const lengths = readings.map(() => 1);
+  const previous = readings.map(() => -1);
+  for (let i = 0; i < readings.length; i++) {
+    for (let j = 0; j < i; j++) {
+      if (readings[j].x < readings[i].x && readings[j].year < readings[i].year && lengths[j] + 1 > lengths[i]) {
+        lengths[i] = lengths[j] + 1;
+        previous[i] = j;
+      }
+    }
+  }
+
+  let i = lengths.indexOf(Math.max(...lengths));
+  const result = [];
+  while (i >= 0) {
+    result.unshift(readings[i]);
+    i = previous[i];
+  }
+  return result;
+}
+
+/**
+ * OCR the year labels under the bar
+ * @param {Object} image - Decoded RGBA screenshot
+ * @param {Object} bar - From detectTimelineBar
+ * @param {Object} ocr - OCR engine (see lib/ocr.js)
+ * @returns {Promise<{anchors: Array<{x: number, year: number, confidence: number}>, labels: number}>}
+ */
+async function readYearLabels(image, bar, ocr) {
+  const blobs = findLabelBlobs(image, bar);
+  const latestYear = new Date().getFullYear();
+
+  const results = await Promise.all(blobs.map(blob => ocr.recognize(cropImage(image, blob.rect), LABEL_PREPROCESS)));
+  const readings = [];
+  results.forEach(({ text, confidence }, i) => {
+    const match = /^((?:19|20)\d{2})$/.exec(text.replace(/\s/g, ''));
+    if (!match || confidence < MIN_LABEL_CONFIDENCE) return;
+    const year = Number(match[1]);
+    if (year < PLAUSIBLE_RANGE.minYear || year > latestYear) return;
+    readings.push({ x: blobs[i].x, year, confidence: Math.round(confidence) });
+  });
+
+  return { anchors: increasingReadings(readings), labels: blobs.length };
+}
+
+/**
+ * Build the timeline mapping for the slider in a screenshot
+ * @param {Object} image - Decoded RGBA screenshot with historical imagery mode active
+ * @param {Object} layout - Resolved UI layout (see lib/regions.js)
+ * @param {Object} ocr - OCR engine (see lib/ocr.js)
+ * @param {Function} [log] - Run logger
+ * @returns {Promise<Object>} - Timeline mapping (see createTimelineMapping) plus bar, handle
+ *   (x of the selected position) and knob (the locateControl result)
+ */
+async function calibrateTimeline(image, layout, ocr, log = () => {}) {
+  const detected = detectTimelineBar(image, layout.timeline);
+  const knob = locateControl(image, layout.name, 'timelineKnob', { rect: layout.timeline });
+  const knobFound = Boolean(knob && knob.found);
+  const bar = detected || {
+    startX: layout.slider.x,
+    endX: layout.slider.x + layout.slider.width,
+    // The knob sits on the bar, so it gives the row even when the bar does not
+    y: knobFound ? knob.y : layout.slider.y + Math.round(layout.slider.height / 2),
+    top: layout.slider.y,
+    bottom: layout.slider.y + layout.slider.height
+  };
+  if (!detected) {
+    log(`Timeline calibration: slider bar not found, using the ${layout.name} profile's slider position`, { level: 'warn' });
+  }
+
+  const { dots, handle: widestDot } = detected ? detectTimelineDots(image, bar) : { dots: [], handle: null };
+  const handle = knobFound ? knob.x : widestDot;
+  log(`Timeline calibration: bar x ${bar.startX}-${bar.endX} at y ${bar.y}, ` +
+    `${dots.length} acquisition dot(s)${handle !== null ? `, selected position at x ${handle}` : ''}`);
+
+  let anchors = [];
+  let labels = 0;
+  if (detected) {
+    try {
+      ({ anchors, labels } = await readYearLabels(image, bar, ocr));
+    } catch (error) {
+      log(`Timeline calibration: could not read year labels: ${error.message}`, { level: 'warn' });
+    }
+  }
+
+  // Labels sit centred under the dot that starts their year. Two labels can
+  // snap to the same dot, so the anchors are made increasing again afterwards.
+  anchors = increasingReadings(anchors.map(anchor => {
+    const dot = dots.find(d => Math.abs(d.x - anchor.x) <= 12);
+    return dot ? { ...anchor, x: dot.x } : anchor;
+  }));
+
+  if (anchors.length >= 2) {
+    log(`Timeline calibration: read ${anchors.length} of ${labels} year label(s): ` +
+      anchors.map(a => `${a.year}@${a.x}`).join(', '), {
+      event: 'calibration',
+      method: 'labels',
+      metrics: { anchors: anchors.length, labels, dots: dots.length }
+    });
+    return {
+      ...createTimelineMapping({ startX: bar.startX, endX: bar.endX, y: bar.y, anchors, dots, method: 'labels' }),
+      bar,
+      handle,
+      knob
+    };
+  }
+
+  // No usable labels: assume the bar spans the default first year to today
+  const now = new Date();
+  const endYear = now.getFullYear() + now.getMonth() / 12;
+  log(`Timeline calibration: only ${anchors.length} year label(s) readable, ` +
+    `assuming the bar spans ${FALLBACK_START_YEAR} to today`, {
+    level: 'warn',
+    event: 'calibration',
+    method: detected ? 'bar' : 'profile',
+    metrics: { anchors: anchors.length, labels, dots: dots.length }
+  });
+  return {
+    ...createTimelineMapping({
+      startX: bar.startX,
+      endX: bar.endX,
+      y: bar.y,
+      anchors: [{ x: bar.startX, year: FALLBACK_START_YEAR }, { x: bar.endX, year: endYear }],
+      dots,
+      method: detected ? 'bar' : 'profile'
+    }),
+    bar,
+    handle,
+    knob
+  };
+}
+
+/**
+ * Plain JSON view of a calibration for metadata.json
+ */
+function describeCalibration(mapping) {
+  return {
+    method: mapping.method,
+    startX: mapping.startX,
+    endX: mapping.endX,
+    y: mapping.y,
+    handle: mapping.handle,
+    anchors: mapping.anchors,
+    dots: mapping.dots
+  };
+}
+
+/**
+ * Rebuild a mapping from describeCalibration output, e.g. when resuming a run
+ * @returns {Object} - Timeline mapping with the saved dots and their years
+ */
+function restoreCalibration(description) {
+  const { startX, endX, y, anchors, method, handle, dots } = description;
+  return {
+    ...createTimelineMapping({ startX, endX, y, anchors, method }),
+    // The saved years came from labelled dots, which the description no longer marks
+    dots,
+    handle
+  };
+}
+
+module.exports = {
+  detectTimelineBar,
+  detectTimelineDots,
+  readYearLabels,
+  calibrateTimeline,
+  describeCalibration,
+  restoreCalibration
+};
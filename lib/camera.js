@@ -0,0 +1,211 @@
+/**
+ * Earth Web camera URLs
+ *
+ * Earth Web keeps its camera in the URL path:
+ *   https://earth.google.com/web/[search/<query>/]@lat,lon,Aa,Dd,Fy,Hh,Tt,Rr[/data=<blob>]
+ * with `a` the altitude in meters, `d` the distance from the camera to its
+ * target, `y` the vertical field of view, `h` the heading, `t` the tilt and
+ * `r` the roll, all in degrees. The data blob is Earth's own encoded state
+ * and is carried through untouched.
+ *
+ * Numbers are written with at most eight decimals, so buildCameraUrl(parseCameraUrl(url))
+ * gives back any URL in that canonical form, and parseCameraUrl(buildCameraUrl(camera))
+ * gives back any camera whose values have at most eight decimals. Query
+ * strings and fragments are not part of the camera and are dropped.
+ */
+
+const EARTH_WEB_URL = 'https://earth.google.com/web/';
+
+// Field of view Earth Web opens with
+const DEFAULT_FOV = 35;
+
+// URL suffix of each camera value, in the order Earth writes them
+const SUFFIXES = {
+  a: 'altitude',
+  d: 'distance',
+  y: 'fov',
+  h: 'heading',
+  t: 'tilt',
+  r: 'roll'
+};
+
+// Views closer than this, in degrees and meters, count as the same
+const VIEW_TOLERANCE = 1e-7;
+
+const NUMBER = /^-?\d+(?:\.\d+)?(?:e[-+]?\d+)?$/i;
+
+/**
+ * Check a camera and return a normalized copy
+ * @throws {Error} - Lists every invalid value
+ */
+function validateCamera(camera) {
+  if (!camera || typeof camera !== 'object') {
+    throw new Error(`A camera must be an object, got ${JSON.stringify(camera)}`);
+  }
+
+  const result = {
+    lat: camera.lat,
+    lon: camera.lon,
+    altitude: camera.altitude !== undefined ? camera.altitude : null,
+    distance: camera.distance !== undefined ? camera.distance : null,
+    fov: camera.fov !== undefined ? camera.fov : null,
+    heading: camera.heading !== undefined ? camera.heading : 0,
+    tilt: camera.tilt !== undefined ? camera.tilt : 0,
+    roll: camera.roll !== undefined ? camera.roll : 0,
+    data: camera.data !== undefined ? camera.data : null,
+    search: camera.search !== undefined ? camera.search : null
+  };
+  const errors = [];
+  const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+
+  if (!isNumber(result.lat) || result.lat < -90 || result.lat > 90) {
+    errors.push(`lat must be between -90 and 90, got ${JSON.stringify(result.lat)}`);
+  }
+  if (!isNumber(result.lon) || result.lon < -180 || result.lon > 180) {
+    errors.push(`lon must be between -180 and 180, got ${JSON.stringify(result.lon)}`);
+  }
+  if (result.altitude !== null && !isNumber(result.altitude)) {
+    errors.push(`altitude must be a number of meters, got ${JSON.stringify(result.altitude)}`);
+  }
+  if (result.distance !== null && !(isNumber(result.distance) && result.distance >= 0)) {
+    errors.push(`distance must be a non-negative number of meters, got ${JSON.stringify(result.distance)}`);
+  }
+  if (result.altitude === null && result.distance === null) {
+    errors.push('an altitude or a distance is needed');
+  }
+  if (result.fov !== null && !(isNumber(result.fov) && result.fov > 0 && result.fov < 180)) {
+    errors.push(`fov must be between 0 and 180 degrees, got ${JSON.stringify(result.fov)}`);
+  }
+  for (const key of ['heading', 'roll']) {
+    if (!isNumber(result[key])) errors.push(`${key} must be a number of degrees, got ${JSON.stringify(result[key])}`);
+  }
+  if (!isNumber(result.tilt) || result.tilt < 0 || result.tilt > 180) {
+    errors.push(`tilt must be between 0 and 180 degrees, got ${JSON.stringify(result.tilt)}`);
+  }
+  // Any single path segment as it appears in the URL, percent escapes included
+  if (result.data !== null && !(typeof result.data === 'string' && /^[^/?#\s]+$/.test(result.data))) {
+    errors.push(`data must be one URL path segment, got ${JSON.stringify(result.data)}`);
+  }
+  if (result.search !== null && !(typeof result.search === 'string' && result.search.trim() !== '')) {
+    errors.push(`search must be a non-empty string, got ${JSON.stringify(result.search)}`);
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid camera:\n  - ${errors.join('\n  - ')}`);
+  }
+  return result;
+}
+
+/**
+ * Read the camera from an Earth Web URL
+ * @param {string} url - e.g. https://earth.google.com/web/@5.5555,-0.2616,32.1a,412.5d,35y,0h,0t,0r
+ * @returns {{lat: number, lon: number, altitude: number|null, distance: number|null, fov: number|null,
+ *   heading: number, tilt: number, roll: number, data: string|null, search: string|null}|null} - null
+ *   for an Earth Web URL without a camera, such as the start page
+ * @throws {Error} - When the URL is not Earth Web's or its camera is malformed
+ */
+function parseCameraUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(String(url));
+  } catch (error) {
+    throw new Error(`Not a URL: ${JSON.stringify(url)}`);
+  }
+  if (!/(^|\.)earth\.google\.com$/.test(parsed.hostname) || !parsed.pathname.startsWith('/web')) {
+    throw new Error(`Not an Earth Web URL: ${url}`);
+  }
+  if (!parsed.pathname.includes('/@')) return null;
+
+  const match = /^\/web\/(?:search\/([^/]+)\/)?@([^/]+)(?:\/data=([^/]+))?\/?$/.exec(parsed.pathname);
+  if (!match) {
+    throw new Error(`Unrecognized Earth Web camera path: ${parsed.pathname}`);
+  }
+
+  const [latText, lonText, ...parts] = match[2].split(',');
+  if (!NUMBER.test(latText || '') || !NUMBER.test(lonText || '')) {
+    throw new Error(`The camera must start with lat,lon, got "${match[2]}"`);
+  }
+
+  const camera = { lat: Number(latText), lon: Number(lonText) };
+  for (const part of parts) {
+    const key = SUFFIXES[part.slice(-1)];
+    const value = part.slice(0, -1);
+    if (!key || !NUMBER.test(value)) {
+      throw new Error(`Unrecognized camera value "${part}" (expected a number followed by one of ${Object.keys(SUFFIXES).join(', ')})`);
+    }
+    if (key in camera) {
+      throw new Error(`The camera gives ${key} twice`);
+    }
+    camera[key] = Number(value);
+  }
+
+  if (match[1]) camera.search = decodeURIComponent(match[1].replace(/\+/g, ' '));
+  if (match[3]) camera.data = match[3];
+  return validateCamera(camera);
+}
+
+/**
+ * Number as written in a camera URL: at most eight decimals, never an exponent
+ */
+function formatNumber(value) {
+  const text = value.toFixed(8).replace(/\.?0+$/, '');
+  return text === '-0' ? '0' : text;
+}
+
+/**
+ * Build the Earth Web URL of a camera
+ * @param {Object} camera - As returned by parseCameraUrl; heading, tilt and roll default to 0
+ * @returns {string}
+ * @throws {Error} - When the camera is invalid
+ */
+function buildCameraUrl(camera) {
+  const valid = validateCamera(camera);
+  const parts = [formatNumber(valid.lat), formatNumber(valid.lon)];
+  for (const [suffix, key] of Object.entries(SUFFIXES)) {
+    if (valid[key] !== null) parts.push(formatNumber(valid[key]) + suffix);
+  }
+
+  const search = valid.search !== null ?
+    `search/${encodeURIComponent(valid.search).replace(/%20/g, '+').replace(/%2C/gi, ',')}/` : '';
+  const data = valid.data !== null ? `/data=${valid.data}` : '';
+  return `${EARTH_WEB_URL}${search}@${parts.join(',')}${data}`;
+}
+
+/**
+ * Camera looking straight down on a point, as runs open Earth with
+ * @param {number} lat
+ * @param {number} lon
+ * @param {number} altitude - Camera altitude in meters
+ * @returns {Object} - Camera for buildCameraUrl
+ */
+function nadirCamera(lat, lon, altitude) {
+  return validateCamera({ lat, lon, altitude, fov: DEFAULT_FOV, heading: 0, tilt: 0, roll: 0 });
+}
+
+/**
+ * Whether two cameras show the same view; the data blob and search are ignored
+ */
+function sameView(a, b) {
+  return ['lat', 'lon', ...Object.values(SUFFIXES)].every(key =>
+    a[key] === b[key] || (typeof a[key] === 'number' && typeof b[key] === 'number' && Math.abs(a[key] - b[key]) <= VIEW_TOLERANCE));
+}
+
+/**
+ * Short description of a camera for log lines
+ */
+function describeCamera(camera) {
+  const height = camera.distance !== null ? `${formatNumber(camera.distance)}m away` : `at ${formatNumber(camera.altitude)}m`;
+  const view = camera.tilt || camera.roll ? `, tilt ${camera.tilt}°, roll ${camera.roll}°` : '';
+  return `${camera.lat},${camera.lon} ${height}, heading ${camera.heading}°${view}`;
+}
+
+module.exports = {
+  EARTH_WEB_URL,
+  DEFAULT_FOV,
+  validateCamera,
+  parseCameraUrl,
+  buildCameraUrl,
+  nadirCamera,
+  sameView,
+  describeCamera
+};
@@ -0,0 +1,943 @@
+/**
+ * Google Earth Historical Imagery Capture - Pipeline
+ *
+ * Consolidated from imagery2.js: navigates to a location, activates historical
+ * imagery mode, walks the timeline, OCRs the imagery date of each position and
+ * keeps one image per distinct acquisition.
+ */
+
+const puppeteer = require('puppeteer');
+const fs = require('fs');
+const path = require('path');
+const { promisify } = require('util');
+const writeFileAsync = promisify(fs.writeFile);
+const readFileAsync = promisify(fs.readFile);
+
+const { DEFAULTS, validateConfig } = require('./config');
+const { createLogger, createRunId, LOG_FILE } = require('./logger');
+const { fileTimestamp, sanitizeName, createZipArchive } = require('./utils');
+const { createOcrEngine } = require('./ocr');
+const { describeDate, formatDateForFilename } = require('./dates');
+const { decodePng, encodePng } = require('./image');
+const { resolveLayout, masksOverMap, cropMap } = require('./regions');
+const { detectUiProfile, getProfile, resolveTargets } = require('./profiles');
+const { locateControl, describeLocation } = require('./locate');
+const { compareScreenshots, describeComparison, fingerprintImage } = require('./compare');
+const { createFrameIndex, describeGroup } = require('./dedupe');
+const { estimateYearFromPosition, timelineCandidates } = require('./timeline');
+const { calibrateTimeline, describeCalibration, restoreCalibration } = require('./calibration');
+const { scanTimeline } = require('./scan');
+const { createRenderWaiter } = require('./readiness');
+const { saveRunState, loadRunState } = require('./checkpoint');
+const { writeReports } = require('./report');
+const { buildTimelapse } = require('./timelapse');
+const { writeGeoreference } = require('./georef');
+const { parseCameraUrl, buildCameraUrl, nadirCamera, sameView, describeCamera } = require('./camera');
+const { writeKml } = require('./kml');
+const { cropMasks, detectChanges } = require('./change');
+const { parseRoi, writeRoi } = require('./roi');
+const { parseCoordinates, createProviders, resolveLocation, describeCandidate } = require('./geocode');
+
+// How far (px) the slider knob may settle from the click before it is logged
+const KNOB_TOLERANCE = 6;
+
+// Settings that may differ when resuming; the rest must match the interrupted run
+const RESUMABLE_SETTINGS = [
+  'headless', 'waitTimeout', 'renderWait', 'ocrWorkers', 'logLevel', 'reportFormats',
+  'timelapseFormats', 'timelapseFrameDuration', 'timelapseWidth', 'timelapseDate', 'georeference', 'kmlFormats',
+  'changeDetection', 'changeThreshold', 'changeMinArea', 'roi', 'zip'
+];
+
+/**
+ * Camera of the initial view: looking straight down from zoomLevel meters
+ */
+function initialCamera(run) {
+  const { lat, lon } = parseCoordinates(run.coordinates);
+  return nadirCamera(lat, lon, run.config.zoomLevel);
+}
+
+/**
+ * The camera Earth reports in a page URL, for metadata and checkpoints
+ * @returns {Object} - { url, ...camera } (see lib/camera.js), or { url, error } when the
+ *   URL holds no readable camera
+ */
+function readCamera(url) {
+  try {
+    const camera = parseCameraUrl(url);
+    return camera ? { url, ...camera } : { url, error: 'the URL has no camera' };
+  } catch (error) {
+    return { url, error: error.message };
+  }
+}
+
+/**
+ * The numbers behind a comparison, for metadata and structured log entries
+ */
+function comparisonMetrics(comparison) {
+  if (!comparison) return null;
+  return {
+    meanDiff: comparison.meanDiff,
+    ssim: comparison.ssim,
+    hashDistance: comparison.hashDistance,
+    triggeredBy: comparison.triggeredBy
+  };
+}
+
+/**
+ * A unique image as recorded in metadata.json and shown in reports, with files
+ * named relative to the run folder
+ */
+function describeImage(image) {
+  return {
+    groupId: image.groupId,
+    position: image.position,
+    pointX: image.pointX,
+    handleX: image.handleX,
+    estimatedYear: image.estimatedYear,
+    formattedDate: image.formattedDate,
+    imageryDate: image.imageryDate,
+    detectedDateText: image.detectedDateText,
+    ocrConfidence: image.ocrConfidence,
+    dateFromOcr: image.dateFromOcr,
+    // Earth's camera when the image was captured
+    camera: image.camera || null,
+    file: path.basename(image.uniquePath),
+    mapFile: path.basename(image.mapPath),
+    dateDisplayFile: path.basename(image.dateDisplayPath),
+    comparison: image.comparison
+  };
+}
+
+/**
+ * Save the run state so an interrupted run can be resumed (see lib/checkpoint.js)
+ * @param {Object} run - Run context
+ * @param {string} [status='running'] - 'complete' once results are written
+ */
+function saveCheckpoint(run, status = 'running') {
+  saveRunState(run.outputDir, {
+    status,
+    runId: run.runId,
+    config: run.config,
+    coordinates: run.coordinates,
+    locationName: run.locationName,
+    geocoding: run.geocoding,
+    startTime: run.startTime.toISOString(),
+    resumedAt: run.resumedAt,
+    camera: run.camera,
+    profile: run.profile,
+    controls: run.controls,
+    renderWaits: run.render.history,
+    progress: run.progress
+  });
+}
+
+/**
+ * Step 1: Navigate to Google Earth Web, zoom in and identify the UI profile
+ *
+ * A resumed run goes straight to the camera the interrupted run ended up at.
+ */
+async function openEarth(page, run) {
+  const { config, outputDir, log } = run;
+
+  const initialUrl = buildCameraUrl(initialCamera(run));
+  const resumeUrl = run.camera ? run.camera.url : null;
+  log(resumeUrl ? `Navigating to the camera of the interrupted run: ${resumeUrl}` : "Navigating to Google Earth Web...");
+  await page.goto(resumeUrl || initialUrl, { waitUntil: 'networkidle2', timeout: config.waitTimeout });
+
+  // Take screenshot of initial state
+  await page.screenshot({ path: path.join(outputDir, '01_initial_load.png'), fullPage: true });
+
+  // The UI is not identified yet, so watch the middle of the view, which is map in any layout
+  const { width, height } = config.viewport;
+  const centre = { x: Math.round(width / 4), y: Math.round(height / 4), width: Math.round(width / 2), height: Math.round(height / 2) };
+
+  // Wait for Google Earth to load
+  log("Waiting for Google Earth to initialize...");
+  await run.render.wait('load', { region: centre, label: 'initial load' });
+
+  // Additional zoom in after page load
+  if (!resumeUrl) {
+    log("Zooming in for better detail...");
+    for (let i = 0; i < config.additionalZoomSteps; i++) {
+      await page.keyboard.press('+');
+      await run.render.wait('zoom', { region: centre, label: `zoom step ${i + 1}` });
+    }
+
+    // Earth writes the camera into the URL; when it has not after zooming, a resume repeats the zoom instead
+    run.camera = page.url() !== initialUrl || config.additionalZoomSteps === 0 ? readCamera(page.url()) : null;
+    if (run.camera && !run.camera.error) {
+      log(`Camera: ${describeCamera(run.camera)}`, { event: 'camera', url: run.camera.url });
+    } else {
+      log.warn(`Earth did not report the camera after zooming${run.camera ? ` (${run.camera.error})` : ''}`, { event: 'camera' });
+    }
+  }
+
+  const zoomedViewPath = path.join(outputDir, '02_zoomed_view.png');
+  await page.screenshot({ path: zoomedViewPath, fullPage: true });
+
+  // Every click after this point comes from the detected profile
+  const startup = decodePng(await readFileAsync(zoomedViewPath));
+  const { name, score } = detectUiProfile(startup, config.uiLayout);
+  run.profile = { name, revision: getProfile(name).revision };
+  run.targets = resolveTargets(name, startup.width, startup.height);
+  log(`UI profile: ${name} (revision ${run.profile.revision}, ${Math.round(score * 100)}% of signature matched)`, {
+    event: 'profile',
+    profile: name,
+    revision: run.profile.revision,
+    metrics: { score }
+  });
+}
+
+/**
+ * Step 2: Click on the historical imagery icon
+ */
+async function activateHistoricalMode(page, run) {
+  const { outputDir, log } = run;
+
+  const beforeHistoryClickPath = path.join(outputDir, '03_before_history_click.png');
+  await page.screenshot({ path: beforeHistoryClickPath, fullPage: true });
+  const beforeClickData = await readFileAsync(beforeHistoryClickPath);
+
+  // Find the icon on screen; the profile's fixed position is the fallback
+  const located = locateControl(decodePng(beforeClickData), run.profile.name, 'historyButton');
+  run.controls.historyButton = located;
+  log(`History icon ${describeLocation(located)}`, {
+    level: located && located.found ? 'info' : 'warn',
+    event: 'control',
+    control: 'historyButton',
+    found: Boolean(located && located.found),
+    metrics: located ? { x: located.x, y: located.y, score: located.score, scale: located.scale } : null
+  });
+  const historyButton = located && located.found ? { x: located.x, y: located.y } : run.targets.historyButton;
+
+  log(`Clicking on history icon at (${historyButton.x}, ${historyButton.y})` +
+    `${located && located.found ? '' : ` (${run.profile.name} profile position)`}...`);
+  await page.mouse.click(historyButton.x, historyButton.y);
+  // The whole page, since the change to wait out is the timeline strip appearing
+  await run.render.wait('historyClick', { label: 'history click' });
+
+  const afterHistoryClickPath = path.join(outputDir, '04_after_history_click.png');
+  await page.screenshot({ path: afterHistoryClickPath, fullPage: true });
+  const afterClickData = await readFileAsync(afterHistoryClickPath);
+
+  // The timeline strip appearing is the change we look for, so compare the whole page
+  const comparison = compareScreenshots(beforeClickData, afterClickData, {
+    region: null,
+    thresholds: run.config.compareThresholds
+  });
+  log(`History click: ${describeComparison(comparison)}`, {
+    level: 'debug',
+    event: 'comparison',
+    metrics: comparisonMetrics(comparison)
+  });
+  if (comparison.hasSignificantChange) {
+    log("Historical mode activated successfully.", { event: 'decision', decision: 'historyActivated' });
+  } else {
+    log.warn("No visual confirmation of historical mode. Continuing anyway.", { event: 'decision', decision: 'historyUnconfirmed' });
+  }
+}
+
+/**
+ * Step 3: Explore the timeline, grouping positions that show the same imagery
+ *
+ * Which positions are visited is up to the scan strategy (see lib/scan.js).
+ */
+async function exploreTimeline(page, run) {
+  const { config, outputDir, log } = run;
+
+  log("Starting timeline exploration...");
+
+  // Get viewport dimensions
+  const dimensions = await page.evaluate(() => {
+    return { width: window.innerWidth, height: window.innerHeight };
+  });
+
+  // Map rectangle, date label and UI masks for this viewport
+  const layout = resolveLayout(run.profile.name, dimensions.width, dimensions.height, config.extraMasks);
+  const diffMasks = masksOverMap(layout);
+
+  // Progress of the interrupted run when resuming
+  const saved = run.progress;
+
+  // Locate the slider and its year labels to map positions to dates; a resumed
+  // run keeps its calibration so it visits the same positions
+  let timeline;
+  if (saved) {
+    timeline = restoreCalibration(saved.timelineCalibration);
+    log(`Timeline calibration restored from the checkpoint (${timeline.method}, ${timeline.dots.length} acquisition dot(s))`);
+  } else {
+    const calibrationPath = path.join(outputDir, 'timeline_calibration.png');
+    await page.screenshot({ path: calibrationPath });
+    timeline = await calibrateTimeline(decodePng(await readFileAsync(calibrationPath)), layout, run.ocr, log);
+    run.controls.timelineKnob = timeline.knob;
+  }
+
+  // Where to look for the knob after each click
+  const knobArea = { x: timeline.startX - 30, y: timeline.y - 20, width: timeline.endX - timeline.startX + 60, height: 40 };
+
+  // Every distinct acquisition seen so far in the run, with one saved image each
+  const frameIndex = createFrameIndex(config.compareThresholds);
+  const capturedImages = [];
+  const usedNames = new Set();
+  const scanVisits = [];
+  let visitCount = 0;
+  let scanElapsedMs = 0;
+
+  // Ambiguous numeric dates follow the config until the run shows an unambiguous one
+  let dateOrder = config.dateOrder;
+
+  // Camera of the last capture; the view should stay put for the whole scan
+  let previousCamera = run.camera;
+
+  if (saved) {
+    // Fingerprints are not saved; each group's is rebuilt from the position that started it
+    for (const group of saved.groups) {
+      const [first, ...others] = group.members;
+      const image = decodePng(await readFileAsync(path.join(outputDir, first.file)));
+      const restored = frameIndex.add(fingerprintImage(image, layout.map, diffMasks), first);
+      others.forEach(member => frameIndex.join(restored, member));
+    }
+
+    // Files are looked up in the run folder, which may have moved since
+    const inRun = (file) => path.join(outputDir, path.basename(file));
+    for (const image of saved.capturedImages) {
+      capturedImages.push({
+        ...image,
+        uniquePath: inRun(image.uniquePath),
+        mapPath: inRun(image.mapPath),
+        dateDisplayPath: inRun(image.dateDisplayPath)
+      });
+      usedNames.add(path.basename(image.uniquePath, '.png'));
+    }
+
+    scanVisits.push(...saved.scan.visits);
+    scanElapsedMs = saved.scan.elapsedMs;
+    visitCount = saved.visitCount;
+    dateOrder = saved.dateOrder;
+    log(`Restored ${visitCount} visited position(s) and ${frameIndex.groups.length} imagery group(s) from the checkpoint`);
+  }
+
+  // Record everything needed to carry on from here
+  const scanStartedAt = Date.now();
+  const checkpoint = () => {
+    run.progress = {
+      timelineCalibration: describeCalibration(timeline),
+      dateOrder,
+      visitCount,
+      scan: { visits: scanVisits, elapsedMs: scanElapsedMs + Date.now() - scanStartedAt },
+      groups: frameIndex.groups.map(describeGroup),
+      capturedImages
+    };
+    saveCheckpoint(run);
+  };
+  checkpoint();
+
+  const candidates = timelineCandidates(timeline, config.startYear);
+  log(`Scanning ${candidates.length} ${timeline.dots.length > 0 ? 'acquisition dot' : 'slider pixel'}(s) ` +
+    `from ${config.startYear} to the most recent imagery (${config.scanStrategy} strategy)`);
+  const filePrefix = sanitizeName(run.locationName);
+
+  // File name for a group's canonical image, unique within the run
+  const canonicalName = (formattedDate) => {
+    let name = `${filePrefix}_${formattedDate}`;
+    for (let n = 2; usedNames.has(name); n++) {
+      name = `${filePrefix}_${formattedDate}_${n}`;
+    }
+    usedNames.add(name);
+    return name;
+  };
+
+  // Click one position, capture and OCR it, and file it under its imagery group
+  const capturePosition = async (pointX) => {
+    const i = visitCount++;
+    const estimatedYear = estimateYearFromPosition(pointX, timeline);
+
+    log(`Exploring position ${i+1} at (${pointX}, ${timeline.y}) - Estimated year: ~${estimatedYear}`, {
+      event: 'position',
+      position: i + 1,
+      x: pointX,
+      estimatedYear
+    });
+
+    // Click on this position
+    await page.mouse.click(pointX, timeline.y);
+    await run.render.wait('timelineClick', { region: layout.map, label: `position ${i+1}` });
+
+    // Take full screenshot, plus a clean crop of just the map
+    const positionImagePath = path.join(outputDir, `position_${i+1}.png`);
+    await page.screenshot({ path: positionImagePath, fullPage: true });
+    const screenshot = decodePng(await readFileAsync(positionImagePath));
+    const positionMapPath = path.join(outputDir, `position_${i+1}_map.png`);
+    await writeFileAsync(positionMapPath, encodePng(cropMap(screenshot, layout)));
+    const fingerprint = fingerprintImage(screenshot, layout.map, diffMasks);
+
+    const camera = readCamera(page.url());
+    if (!camera.error && previousCamera && !previousCamera.error && !sameView(camera, previousCamera)) {
+      log.warn(`Position ${i+1}: the camera moved since the previous capture, now ${describeCamera(camera)}`, {
+        event: 'camera',
+        position: i + 1,
+        url: camera.url
+      });
+    }
+    previousCamera = camera;
+
+    // The knob shows which acquisition the slider actually settled on
+    const knob = locateControl(screenshot, run.profile.name, 'timelineKnob', { rect: knobArea });
+    const handleX = knob && knob.found ? knob.x : null;
+    if (handleX === null) {
+      log.warn(`Position ${i+1}: slider knob not found (${describeLocation(knob)})`, { event: 'knob', position: i + 1, found: false });
+    } else if (Math.abs(handleX - pointX) > KNOB_TOLERANCE) {
+      log.warn(`Position ${i+1}: slider knob settled at x ${handleX}, not at the clicked x ${pointX}`, {
+        event: 'knob',
+        position: i + 1,
+        found: true,
+        metrics: { clickedX: pointX, handleX }
+      });
+    }
+
+    // Capture date display at bottom left
+    const dateDisplayPath = path.join(outputDir, `date_display_${i+1}.png`);
+    await page.screenshot({ path: dateDisplayPath, clip: layout.dateLabel });
+
+    // Extract date using OCR
+    const ocrResult = await run.ocr.extractDate(dateDisplayPath, { order: dateOrder });
+    const imageryDate = ocrResult.date;
+    const formattedDate = imageryDate ? formatDateForFilename(imageryDate) : `est_${estimatedYear}`;
+    const confidence = ocrResult.confidence !== null ? ` (confidence ${Math.round(ocrResult.confidence)}%)` : '';
+    log(`Position ${i+1}: Detected date text: "${ocrResult.raw || 'None'}"${confidence}, ` +
+      `Parsed: ${imageryDate ? describeDate(imageryDate) : 'none'}`, {
+      event: 'ocr',
+      position: i + 1,
+      text: ocrResult.raw,
+      date: imageryDate ? imageryDate.iso : null,
+      metrics: {
+        ocrConfidence: ocrResult.confidence,
+        dateConfidence: imageryDate ? imageryDate.confidence : null
+      }
+    });
+
+    if (imageryDate && !imageryDate.ambiguous && imageryDate.pattern === 'numeric' &&
+        imageryDate.order && imageryDate.order !== dateOrder) {
+      log(`Date ${imageryDate.text} can only be ${imageryDate.order.toUpperCase()}; reading later ambiguous dates the same way`);
+      dateOrder = imageryDate.order;
+    }
+
+    const member = {
+      position: i + 1,
+      pointX,
+      handleX,
+      estimatedYear,
+      detectedDateText: ocrResult.raw,
+      ocrConfidence: ocrResult.confidence,
+      formattedDate,
+      imageryDate,
+      dateFromOcr: Boolean(imageryDate),
+      camera,
+      file: path.basename(positionImagePath)
+    };
+
+    // Check the frame against every acquisition seen so far
+    const { group, comparison, sameDate } = frameIndex.match(fingerprint, imageryDate);
+    if (comparison) {
+      log(`Position ${i+1}: closest known imagery: ${describeComparison(comparison)}`, {
+        level: 'debug',
+        event: 'comparison',
+        position: i + 1,
+        metrics: comparisonMetrics(comparison)
+      });
+    }
+
+    if (group) {
+      frameIndex.join(group, member);
+      const image = capturedImages.find(img => img.groupId === group.id);
+      log(`Position ${i+1} shows the same imagery as group ${group.id} (${image.formattedDate})` +
+        (sameDate ? ', near-identical with the same date' : ''), {
+        event: 'decision',
+        decision: 'duplicate',
+        position: i + 1,
+        group: group.id,
+        sameDate,
+        metrics: comparisonMetrics(comparison)
+      });
+
+      // A real OCR date beats the year estimated from the slider position
+      if (!image.dateFromOcr && member.dateFromOcr) {
+        const name = canonicalName(formattedDate);
+        const renamedPath = path.join(outputDir, `${name}.png`);
+        const renamedMapPath = path.join(outputDir, `${name}_map.png`);
+        fs.renameSync(image.uniquePath, renamedPath);
+        fs.renameSync(image.mapPath, renamedMapPath);
+        Object.assign(image, {
+          formattedDate,
+          imageryDate,
+          detectedDateText: member.detectedDateText,
+          ocrConfidence: member.ocrConfidence,
+          dateFromOcr: true,
+          uniquePath: renamedPath,
+          mapPath: renamedMapPath,
+          dateDisplayPath
+        });
+        log(`Group ${group.id} renamed to ${path.basename(renamedPath)} using the OCR date`);
+      }
+      return group.id;
+    }
+
+    const newGroup = frameIndex.add(fingerprint, member);
+    const name = canonicalName(formattedDate);
+    const uniqueImagePath = path.join(outputDir, `${name}.png`);
+    const uniqueMapPath = path.join(outputDir, `${name}_map.png`);
+    fs.copyFileSync(positionImagePath, uniqueImagePath);
+    fs.copyFileSync(positionMapPath, uniqueMapPath);
+    log(`Found unique image at position ${i+1}: group ${newGroup.id} saved as ${path.basename(uniqueImagePath)}`, {
+      event: 'decision',
+      decision: 'new',
+      position: i + 1,
+      group: newGroup.id,
+      metrics: comparisonMetrics(comparison)
+    });
+
+    capturedImages.push({
+      groupId: newGroup.id,
+      position: i + 1,
+      pointX,
+      handleX,
+      estimatedYear,
+      detectedDateText: ocrResult.raw,
+      ocrConfidence: ocrResult.confidence,
+      formattedDate,
+      imageryDate,
+      dateFromOcr: member.dateFromOcr,
+      camera,
+      uniquePath: uniqueImagePath,
+      mapPath: uniqueMapPath,
+      dateDisplayPath,
+      percentDiff: comparison ? comparison.percentDiff : null,
+      comparison: comparisonMetrics(comparison)
+    });
+    return newGroup.id;
+  };
+
+  // Checkpoint after every position, so an interrupted run resumes after it
+  const visit = async (pointX) => {
+    const groupId = await capturePosition(pointX);
+    scanVisits.push({ x: pointX, groupId });
+    checkpoint();
+    return groupId;
+  };
+
+  const scan = await scanTimeline({
+    candidates,
+    visit,
+    strategy: config.scanStrategy,
+    coarsePoints: config.coarsePoints,
+    maxVisits: config.timelinePoints,
+    timeBudget: config.timeBudget,
+    previousVisits: saved ? saved.scan.visits : [],
+    elapsedMs: scanElapsedMs,
+    log
+  });
+
+  // Left to right on the slider, whatever order the scan found them in
+  capturedImages.sort((a, b) => a.pointX - b.pointX);
+
+  return {
+    capturedImages,
+    imageGroups: frameIndex.groups.map(g => {
+      const image = capturedImages.find(img => img.groupId === g.id);
+      return {
+        ...describeGroup(g),
+        formattedDate: image.formattedDate,
+        imageryDate: image.imageryDate,
+        canonicalFile: path.basename(image.uniquePath),
+        mapFile: path.basename(image.mapPath)
+      };
+    }),
+    timeline: { startX: timeline.startX, endX: timeline.endX, calibration: describeCalibration(timeline) },
+    layout: { name: layout.name, revision: layout.revision, width: layout.width, height: layout.height, map: layout.map, masks: layout.masks },
+    scan
+  };
+}
+
+/**
+ * Write world files and footprints for the unique images
+ * @returns {Object|null} - Georeference summary, or null when the camera is unknown or not straight down
+ */
+function georeferenceImages(run, images, layout) {
+  const { outputDir, log } = run;
+
+  // Where the camera ended up after zooming, read again since older checkpoints kept only the URL
+  const camera = run.camera ? readCamera(run.camera.url) : null;
+  if (!camera || camera.error) {
+    log.warn(`Georeferencing skipped: Earth did not report the camera after zooming${camera ? ` (${camera.error})` : ''}`);
+    return null;
+  }
+
+  try {
+    return writeGeoreference(outputDir, images, {
+      camera,
+      viewport: { width: layout.width, height: layout.height },
+      mapRect: layout.map
+    }, log);
+  } catch (error) {
+    log.warn(`Georeferencing skipped: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Project the area of interest onto the map crops and crop every unique image to it
+ * @returns {Object|null} - Area of interest summary, or null when it cannot be placed
+ */
+function areaOfInterest(run, images, layout, georeference) {
+  const { config, outputDir, log } = run;
+  try {
+    return writeRoi(outputDir, images, parseRoi(config.roi), {
+      camera: georeference ? georeference.camera : null,
+      viewport: { width: layout.width, height: layout.height },
+      mapRect: layout.map,
+      metersPerPixel: georeference ? georeference.metersPerPixel : null
+    }, log);
+  } catch (error) {
+    log.warn(`Area of interest skipped: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Compare consecutive unique images for changed ground
+ * @returns {Object|null} - Change summary with heatmaps and masks, or null when they cannot be made
+ */
+function imageChanges(run, images, layout, georeference, roi) {
+  const { config, outputDir, log } = run;
+  try {
+    return detectChanges(outputDir, images, {
+      threshold: config.changeThreshold,
+      minArea: config.changeMinArea,
+      masks: cropMasks(layout),
+      region: roi ? roi.polygon : null,
+      metersPerPixel: georeference ? georeference.metersPerPixel : null
+    }, log);
+  } catch (error) {
+    log.warn(`Change detection skipped: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Write metadata.json, the reports, the timelapse and the KML for a finished run
+ */
+async function writeResults(run, exploration) {
+  const { config, outputDir, log } = run;
+  const { capturedImages, imageGroups, timeline, layout, scan } = exploration;
+  const endTime = new Date();
+  const images = capturedImages.map(describeImage);
+  const georeference = config.georeference ? georeferenceImages(run, images, layout) : null;
+  const roi = config.roi !== null ? areaOfInterest(run, images, layout, georeference) : null;
+  const changes = config.changeDetection ? imageChanges(run, images, layout, georeference, roi) : null;
+  const metadata = {
+    coordinates: run.coordinates,
+    locationName: run.locationName,
+    // How a place name was turned into the coordinates (see lib/geocode.js); null when coordinates were given
+    geocoding: run.geocoding,
+    // Matches the runId of every entry in capture_log.jsonl
+    runId: run.runId,
+    startTime: run.startTime.toISOString(),
+    endTime: endTime.toISOString(),
+    duration: Math.round((endTime - run.startTime) / 1000) + " seconds",
+    capturedImages: capturedImages.length,
+    startYear: config.startYear,
+    endYear: endTime.getFullYear(),
+    targetYearRange: `${config.startYear} to ${endTime.getFullYear()}`,
+    actualYearRange: capturedImages.length > 0 ?
+      `${capturedImages[0].formattedDate} to ${capturedImages[capturedImages.length-1].formattedDate}` :
+      "No images captured",
+    zoomLevel: config.zoomLevel,
+    additionalZoomSteps: config.additionalZoomSteps,
+    // Camera after zooming as Earth reported it in the URL (see lib/camera.js); each image has its own too
+    camera: run.camera,
+    outputDirectory: outputDir,
+    // Earth UI revision the clicks and regions were taken from
+    uiProfile: run.profile,
+    // Controls found on screen by their reference icons
+    controls: run.controls,
+    // Map rectangle and UI masks used for diffing and map-only crops
+    captureRegion: layout,
+    // Slider geometry and pixel-to-date anchors found on screen
+    timelineCalibration: timeline.calibration,
+    // Positions visited and the imagery boundaries found between them
+    scan: {
+      strategy: scan.strategy,
+      positionsVisited: scan.visits.length,
+      boundaries: scan.boundaries,
+      stoppedBy: scan.stoppedBy,
+      durationMs: scan.durationMs
+    },
+    // The unique images, left to right on the slider; reports are built from these
+    images,
+    // Which timeline positions showed each distinct acquisition
+    imageGroups,
+    // Camera, ground resolution and footprint behind the .pgw world files
+    georeference,
+    // Polygon the crops and the focused change figures are restricted to
+    roi,
+    // Where the ground changed between consecutive acquisitions, with heatmaps and masks
+    changes,
+    // Times the run was resumed after an interruption
+    resumedAt: run.resumedAt,
+    // How long each step waited for the map to render, for tuning renderWait
+    renderWaits: {
+      byStep: run.render.summary(),
+      waits: run.render.history
+    }
+  };
+
+  // Save metadata as JSON
+  await writeFileAsync(
+    path.join(outputDir, 'metadata.json'),
+    JSON.stringify(metadata, null, 2)
+  );
+
+  // One format at a time, so a report that cannot be rendered does not take the others with it
+  for (const format of config.reportFormats) {
+    try {
+      const { [format]: reportPath } = await writeReports(outputDir, metadata, metadata.images, [format]);
+      log(`Report (${format}) written to ${path.basename(reportPath)}`, { event: 'report', format });
+    } catch (error) {
+      log.warn(`Report (${format}) skipped: ${error.message}`);
+    }
+  }
+
+  if (config.timelapseFormats.length > 0) {
+    try {
+      await buildTimelapse(outputDir, metadata.images, {
+        formats: config.timelapseFormats,
+        frameDuration: config.timelapseFrameDuration,
+        width: config.timelapseWidth,
+        burnDate: config.timelapseDate
+      }, log);
+    } catch (error) {
+      log.warn(`Timelapse skipped: ${error.message}`);
+    }
+  }
+
+  if (config.kmlFormats.length > 0) {
+    if (metadata.georeference) {
+      try {
+        await writeKml(outputDir, metadata, metadata.images, config.kmlFormats, log);
+      } catch (error) {
+        log.warn(`KML skipped: ${error.message}`);
+      }
+    } else {
+      log.warn('KML skipped: the images could not be georeferenced');
+    }
+  }
+
+  return metadata;
+}
+
+/**
+ * Run the full capture pipeline for one location
+ * @param {Object} options - Config overrides on top of DEFAULTS (see lib/config.js); `coordinates`
+ *   ("lat,lon" or a place name for the configured geocoders) is required
+ * @param {Object} [hooks]
+ * @param {Function} [hooks.chooseLocation] - async (query, candidates) -> candidate, asked when a
+ *   place name matches several places about equally well (see lib/geocode.js)
+ * @returns {Promise<Object>} - { outputDir, zipPath, metadata, capturedImages }
+ */
+async function runCapture(options, { chooseLocation } = {}) {
+  const config = validateConfig({ ...DEFAULTS, ...options });
+
+  // Place names become coordinates before anything is launched
+  const location = await resolveLocation(config.coordinates, {
+    providers: () => createProviders(config),
+    choose: chooseLocation
+  });
+
+  const { coordinates, geocoding } = location;
+  const locationName = config.locationName || location.name || coordinates;
+  const outputDir = config.outputDir ||
+    path.join(config.outputRoot, 'historical_imagery_' + fileTimestamp());
+
+  // Create output directory
+  if (!fs.existsSync(outputDir)) {
+    fs.mkdirSync(outputDir, { recursive: true });
+  }
+
+  return executeRun({ config, coordinates, locationName, geocoding, outputDir, startTime: new Date() }, null);
+}
+
+/**
+ * Continue an interrupted run in its own output folder
+ * @param {string} outputDir - Run folder containing run_state.json
+ * @param {Object} [overrides] - Changes to RESUMABLE_SETTINGS, e.g. { headless: true }
+ * @returns {Promise<Object>} - Same as runCapture
+ */
+async function resumeCapture(outputDir, overrides = {}) {
+  const state = loadRunState(outputDir);
+  if (state.status === 'complete') {
+    throw new Error(`The run in ${outputDir} already finished; there is nothing to resume`);
+  }
+
+  const fixed = Object.keys(overrides).filter(key => !RESUMABLE_SETTINGS.includes(key));
+  if (fixed.length > 0) {
+    throw new Error(`A resumed run keeps its original settings; only ${RESUMABLE_SETTINGS.join(', ')} ` +
+      `can be changed (got ${fixed.join(', ')})`);
+  }
+
+  const config = validateConfig({ ...state.config, ...overrides, outputDir });
+  return executeRun({
+    config,
+    coordinates: state.coordinates,
+    locationName: state.locationName,
+    geocoding: state.geocoding || null,
+    outputDir,
+    startTime: new Date(state.startTime)
+  }, state);
+}
+
+/**
+ * Launch the browser and run every step, starting from a checkpoint when given
+ * @param {Object} session - { config, coordinates, locationName, geocoding, outputDir, startTime }
+ * @param {Object|null} state - Saved run state of an interrupted run
+ */
+async function executeRun(session, state) {
+  const { config, coordinates, locationName, outputDir } = session;
+
+  // A resumed run keeps its id, so both halves share one log stream
+  const runId = state && state.runId ? state.runId : createRunId(session.startTime);
+  const baseLog = createLogger(outputDir, { runId, level: config.logLevel, fields: { location: locationName } });
+
+  const run = {
+    ...session,
+    runId,
+    log: baseLog,
+    // Set by openEarth once the UI has been identified
+    profile: null,
+    targets: null,
+    // Template matches for the controls clicked or tracked (see lib/locate.js)
+    controls: state ? state.controls : {},
+    // Checkpointed progress (see saveCheckpoint)
+    camera: state ? state.camera : null,
+    progress: state ? state.progress : null,
+    resumedAt: state ? [...(state.resumedAt || []), new Date().toISOString()] : []
+  };
+  const log = baseLog;
+  // Long-lived helpers log under whichever step is running
+  const stepLog = (...args) => run.log(...args);
+
+  /**
+   * Run one pipeline step with its entries tagged and its duration logged
+   */
+  const step = async (name, fn) => {
+    run.log = baseLog.child({ step: name });
+    const startedAt = Date.now();
+    try {
+      const value = await fn();
+      run.log.debug(`Step ${name} finished in ${((Date.now() - startedAt) / 1000).toFixed(1)}s`, {
+        event: 'step', status: 'ok', durationMs: Date.now() - startedAt
+      });
+      return value;
+    } catch (error) {
+      run.log.debug(`Step ${name} failed after ${((Date.now() - startedAt) / 1000).toFixed(1)}s: ${error.message}`, {
+        event: 'step', status: 'failed', durationMs: Date.now() - startedAt
+      });
+      throw error;
+    } finally {
+      run.log = baseLog;
+    }
+  };
+
+  // One OCR worker pool for the whole run
+  run.ocr = createOcrEngine({ workers: config.ocrWorkers, lang: config.ocrLanguage }, stepLog);
+
+  if (state) {
+    const visited = state.progress ? state.progress.visitCount : 0;
+    log(`Resuming historical imagery capture for coordinates: ${coordinates} (${visited} position(s) already visited)`, {
+      event: 'run', status: 'resumed', coordinates
+    });
+  } else {
+    log("Starting historical imagery capture for coordinates: " + coordinates, { event: 'run', status: 'started', coordinates });
+    if (session.geocoding) {
+      const { query, provider, chosenBy, candidate } = session.geocoding;
+      log(`"${query}" resolved by ${provider} to ${describeCandidate(candidate)}` +
+        (chosenBy === 'user' ? ', chosen from the candidates' : ''), { event: 'geocode', provider });
+    }
+  }
+  log.debug(`Run id ${runId}; full log in ${path.join(outputDir, LOG_FILE)}`);
+
+  // Launch browser
+  const { width, height } = config.viewport;
+  const browser = await puppeteer.launch({
+    headless: config.headless,
+    defaultViewport: { width, height },
+    args: [`--window-size=${width},${height}`]
+  });
+
+  const page = await browser.newPage();
+  page.setDefaultTimeout(config.waitTimeout);
+  run.render = createRenderWaiter(page, config.renderWait, stepLog);
+  if (state) run.render.history.push(...state.renderWaits);
+  let result;
+
+  try {
+    await step('open', () => openEarth(page, run));
+    await step('history', () => activateHistoricalMode(page, run));
+    saveCheckpoint(run);
+    const exploration = await step('timeline', () => exploreTimeline(page, run));
+    const metadata = await step('results', () => writeResults(run, exploration));
+    saveCheckpoint(run, 'complete');
+    const { capturedImages } = exploration;
+
+    log(`Found ${capturedImages.length} unique historical images.`, {
+      event: 'run', status: 'complete', metrics: { images: capturedImages.length }
+    });
+    for (const [step, waits] of Object.entries(metadata.renderWaits.byStep)) {
+      log(`Render waits for ${step}: ${waits.count} wait(s), mean ${(waits.meanMs / 1000).toFixed(1)}s, ` +
+        `max ${(waits.maxMs / 1000).toFixed(1)}s, ${waits.timeouts} hit the maximum`);
+    }
+    log("Capture complete.");
+
+    result = { outputDir, zipPath: null, metadata, capturedImages };
+  } catch (error) {
+    log.error(`Error: ${error.message}`, { event: 'run', status: 'failed' });
+    if (run.profile) {
+      log(`Progress is saved in ${outputDir}; continue this run with: node index.js --resume "${outputDir}"`);
+    }
+    await page.screenshot({ path: path.join(outputDir, 'error_state.png'), fullPage: true })
+      .catch(() => {});
+    throw error;
+  } finally {
+    run.render.stop();
+    await run.ocr.terminate();
+    await browser.close();
+    log("Browser closed");
+  }
+
+  if (config.zip) {
+    result.zipPath = `${outputDir}.zip`;
+    const bytes = await createZipArchive(outputDir, result.zipPath);
+    log(`Archive created: ${result.zipPath} (${bytes} bytes)`);
+  }
+
+  return result;
+}
+
+/**
+ * Capture historical imagery for a location
+ * @param {string} location - Coordinates as "lat,lon"
+ * @param {number} [startYear=2019] - First year of interest
+ * @param {boolean} [headless=false] - Run the browser without a window
+ * @param {Object} [options] - Extra pipeline options (see runCapture)
+ * @returns {Promise<string>} - Path of the ZIP archive, or the output directory when zip is disabled
+ */
+async function captureHistoricalImagery(location, startYear = DEFAULTS.startYear, headless = DEFAULTS.headless, options = {}) {
+  const result = await runCapture({ ...options, coordinates: location, startYear, headless });
+  return result.zipPath || result.outputDir;
+}
+
+module.exports = {
+  parseCoordinates,
+  runCapture,
+  resumeCapture,
+  captureHistoricalImagery
+};
@@ -0,0 +1,468 @@
+/**
+ * Change detection between consecutive acquisitions
+ *
+ * The camera never moves during a run, so the map crops of two dates line up
+ * pixel for pixel and can be differenced directly. Before differencing, each
+ * colour channel of the later frame is matched to the earlier one by gain and
+ * offset, so a brighter or hazier acquisition does not count as change, and
+ * both frames are downsampled and blurred, so JPEG noise and one-pixel
+ * misregistration do not either. Pixels differing by more than the threshold
+ * form the change mask; connected clusters smaller than the minimum area are
+ * dropped as noise, and the rest are reported with their bounding boxes.
+ *
+ * Per pair, a heatmap (the later frame, dimmed, with the difference in colour
+ * and the clusters outlined) and the mask are written as PNGs. With an area of
+ * interest (see lib/roi.js), the same figures are also given for the part of
+ * the mask inside it, and its outline is drawn on the heatmap.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { decodePng, encodePng, resizeImage } = require('./image');
+const { masksOverMap } = require('./regions');
+const { orderByDate } = require('./timelapse');
+const { rasterizeRings, drawRings } = require('./roi');
+
+const DEFAULT_CHANGE_OPTIONS = {
+  threshold: 35, // RGB distance (0-255) above which a pixel has changed
+  minArea: 400, // Smallest cluster kept, in map-crop pixels
+  scale: 2 // Downsampling before differencing
+};
+
+// Clusters listed per pair in metadata.json, largest first
+const MAX_CLUSTERS = 20;
+
+// Illumination gain is limited so a real change cannot be normalized away
+const GAIN_RANGE = [0.5, 2];
+
+/**
+ * Channel planes of a downsampled, slightly blurred RGBA image
+ */
+function channelPlanes(image, scale) {
+  const width = Math.floor(image.width / scale);
+  const height = Math.floor(image.height / scale);
+  const small = scale > 1 ? resizeImage(image, width, height) : image;
+  const planes = [0, 1, 2].map(() => new Float32Array(width * height));
+
+  // 3x3 box blur
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const sums = [0, 0, 0];
+      let count = 0;
+      for (let dy = -1; dy <= 1; dy++) {
+        const yy = y + dy;
+        if (yy < 0 || yy >= height) continue;
+        for (let dx = -1; dx <= 1; dx++) {
+          const xx = x + dx;
+          if (xx < 0 || xx >= width) continue;
+          const i = (yy * width + xx) * 4;
+          for (let c = 0; c < 3; c++) sums[c] += small.data[i + c];
+          count++;
+        }
+      }
+      for (let c = 0; c < 3; c++) planes[c][y * width + x] = sums[c] / count;
+    }
+  }
+
+  return { width, height, planes };
+}
+
+/**
+ * Which downsampled pixels lie outside every mask rectangle
+ */
+function validPixels(width, height, scale, masks) {
+  const valid = new Uint8Array(width * height).fill(1);
+  for (const rect of masks) {
+    const x0 = Math.max(0, Math.floor(rect.x / scale));
+    const y0 = Math.max(0, Math.floor(rect.y / scale));
+    const x1 = Math.min(width, Math.ceil((rect.x + rect.width) / scale));
+    const y1 = Math.min(height, Math.ceil((rect.y + rect.height) / scale));
+    for (let y = y0; y < y1; y++) valid.fill(0, y * width + x0, y * width + Math.max(x0, x1));
+  }
+  return valid;
+}
+
+/**
+ * Gain and offset per channel that bring `after` to the brightness and
+ * contrast of `before` over the valid pixels
+ */
+function matchIllumination(before, after, valid) {
+  const gain = [];
+  const offset = [];
+
+  for (let c = 0; c < 3; c++) {
+    let n = 0, sumA = 0, sumB = 0, sumAA = 0, sumBB = 0;
+    for (let i = 0; i < valid.length; i++) {
+      if (!valid[i]) continue;
+      const a = before.planes[c][i];
+      const b = after.planes[c][i];
+      sumA += a;
+      sumB += b;
+      sumAA += a * a;
+      sumBB += b * b;
+      n++;
+    }
+    if (n === 0) {
+      gain.push(1);
+      offset.push(0);
+      continue;
+    }
+    const meanA = sumA / n;
+    const meanB = sumB / n;
+    const stdA = Math.sqrt(Math.max(0, sumAA / n - meanA * meanA));
+    const stdB = Math.sqrt(Math.max(0, sumBB / n - meanB * meanB));
+    const g = stdB > 1 ? Math.min(GAIN_RANGE[1], Math.max(GAIN_RANGE[0], stdA / stdB)) : 1;
+    gain.push(g);
+    offset.push(meanA - g * meanB);
+  }
+
+  return { gain, offset };
+}
+
+/**
+ * Connected clusters of set pixels (8-connected)
+ * @returns {{labels: Int32Array, clusters: Array<{id: number, x0: number, y0: number, x1: number, y1: number, area: number}>}}
+ */
+function findClusters(mask, width, height) {
+  const labels = new Int32Array(mask.length);
+  const clusters = [];
+  const stack = [];
+
+  for (let start = 0; start < mask.length; start++) {
+    if (!mask[start] || labels[start]) continue;
+
+    const cluster = { id: clusters.length + 1, x0: width, y0: height, x1: 0, y1: 0, area: 0 };
+    clusters.push(cluster);
+    labels[start] = cluster.id;
+    stack.push(start);
+
+    while (stack.length > 0) {
+      const i = stack.pop();
+      const x = i % width;
+      const y = (i - x) / width;
+      cluster.area++;
+      cluster.x0 = Math.min(cluster.x0, x);
+      cluster.y0 = Math.min(cluster.y0, y);
+      cluster.x1 = Math.max(cluster.x1, x);
+      cluster.y1 = Math.max(cluster.y1, y);
+
+      for (let dy = -1; dy <= 1; dy++) {
+        const yy = y + dy;
+        if (yy < 0 || yy >= height) continue;
+        for (let dx = -1; dx <= 1; dx++) {
+          const xx = x + dx;
+          if (xx < 0 || xx >= width) continue;
+          const j = yy * width + xx;
+          if (mask[j] && !labels[j]) {
+            labels[j] = cluster.id;
+            stack.push(j);
+          }
+        }
+      }
+    }
+  }
+
+  return { labels, clusters };
+}
+
+/**
+ * Bounding boxes of the clusters of a mask in image pixels, largest first
+ */
+function clusterBoxes(mask, width, height, scale) {
+  const area = scale * scale;
+  return findClusters(mask, width, height).clusters
+    .sort((p, q) => q.area - p.area)
+    .map(cluster => ({
+      x: cluster.x0 * scale,
+      y: cluster.y0 * scale,
+      width: (cluster.x1 - cluster.x0 + 1) * scale,
+      height: (cluster.y1 - cluster.y0 + 1) * scale,
+      area: cluster.area * area
+    }));
+}
+
+/**
+ * Measure the change between two aligned frames
+ * @param {Object} before - Earlier RGBA image
+ * @param {Object} after - Later RGBA image of the same size
+ * @param {Object} [options]
+ * @param {number} [options.threshold=35] - RGB distance (0-255) above which a pixel has changed
+ * @param {number} [options.minArea=400] - Smallest cluster kept, in image pixels
+ * @param {number} [options.scale=2] - Downsampling before differencing
+ * @param {Array<Object>} [options.masks] - { x, y, width, height } rectangles to ignore, in image pixels
+ * @param {Array<Array<number[]>>} [options.region] - Area of interest rings in image pixels
+ * @returns {Object} - percentChanged, changedArea and validArea (image pixels), clusters
+ *   (bounding boxes in image pixels, largest first), illumination, plus the per-pixel
+ *   `diff`, `mask` (1 = changed) and `valid` planes at width x height for rendering.
+ *   With a region, `roi` holds the same figures for the part inside it.
+ */
+function analyzeChange(before, after, options = {}) {
+  const { threshold, minArea, scale } = { ...DEFAULT_CHANGE_OPTIONS, ...options };
+  if (before.width !== after.width || before.height !== after.height) {
+    throw new Error(`Frames of ${before.width}x${before.height} and ${after.width}x${after.height} cannot be compared pixel by pixel`);
+  }
+
+  const a = channelPlanes(before, scale);
+  const b = channelPlanes(after, scale);
+  const { width, height } = a;
+  const valid = validPixels(width, height, scale, options.masks || []);
+  const illumination = matchIllumination(a, b, valid);
+
+  const diff = new Float32Array(width * height);
+  const changed = new Uint8Array(width * height);
+  for (let i = 0; i < diff.length; i++) {
+    if (!valid[i]) continue;
+    let sum = 0;
+    for (let c = 0; c < 3; c++) {
+      const d = a.planes[c][i] - (illumination.gain[c] * b.planes[c][i] + illumination.offset[c]);
+      sum += d * d;
+    }
+    diff[i] = Math.sqrt(sum / 3);
+    if (diff[i] > threshold) changed[i] = 1;
+  }
+
+  // Drop clusters too small to be more than noise
+  const { labels, clusters } = findClusters(changed, width, height);
+  const area = scale * scale;
+  const kept = new Set(clusters.filter(cluster => cluster.area * area >= minArea).map(cluster => cluster.id));
+  const mask = new Uint8Array(width * height);
+  let changedPixels = 0;
+  let validCount = 0;
+  for (let i = 0; i < mask.length; i++) {
+    validCount += valid[i];
+    if (kept.has(labels[i])) {
+      mask[i] = 1;
+      changedPixels++;
+    }
+  }
+
+  // The same figures inside the area of interest; clusters are cut at its edge
+  let roi = null;
+  if (options.region) {
+    const inside = rasterizeRings(options.region, width, height, scale);
+    const roiMask = new Uint8Array(mask.length);
+    let roiChanged = 0;
+    let roiValid = 0;
+    for (let i = 0; i < mask.length; i++) {
+      if (!inside[i] || !valid[i]) continue;
+      roiValid++;
+      if (mask[i]) {
+        roiMask[i] = 1;
+        roiChanged++;
+      }
+    }
+    roi = {
+      percentChanged: roiValid > 0 ? (roiChanged / roiValid) * 100 : 0,
+      changedArea: roiChanged * area,
+      validArea: roiValid * area,
+      clusters: clusterBoxes(roiMask, width, height, scale)
+    };
+  }
+
+  return {
+    width,
+    height,
+    scale,
+    threshold,
+    percentChanged: validCount > 0 ? (changedPixels / validCount) * 100 : 0,
+    changedArea: changedPixels * area,
+    validArea: validCount * area,
+    clusters: clusterBoxes(mask, width, height, scale),
+    roi,
+    region: options.region || null,
+    illumination,
+    diff,
+    mask,
+    valid
+  };
+}
+
+/**
+ * Heatmap colour of a difference: yellow at the threshold to red at three times it
+ */
+function heatColor(diff, threshold) {
+  const t = Math.max(0, Math.min(1, (diff - threshold) / (2 * threshold)));
+  return [255, Math.round(230 * (1 - t)), 0];
+}
+
+/**
+ * The later frame, dimmed and desaturated, with the difference in colour and
+ * the kept clusters outlined
+ * @param {Object} after - Later RGBA image
+ * @param {Object} analysis - From analyzeChange
+ * @returns {Object} - RGBA image of the same size as `after`
+ */
+function renderHeatmap(after, analysis) {
+  const { width, height, scale, threshold, diff, mask } = analysis;
+  const data = Buffer.alloc(after.width * after.height * 4);
+
+  for (let y = 0; y < after.height; y++) {
+    const sy = Math.min(height - 1, Math.floor(y / scale));
+    for (let x = 0; x < after.width; x++) {
+      const sx = Math.min(width - 1, Math.floor(x / scale));
+      const s = sy * width + sx;
+      const i = (y * after.width + x) * 4;
+      const gray = 0.299 * after.data[i] + 0.587 * after.data[i + 1] + 0.114 * after.data[i + 2];
+      const base = 40 + gray * 0.45;
+
+      // Strong colour on kept clusters, a faint tint on differences dropped as noise
+      const d = diff[s];
+      const alpha = mask[s] ? 0.8 : d > threshold / 2 ? 0.25 * Math.min(1, d / threshold) : 0;
+      const color = heatColor(d, threshold);
+      for (let c = 0; c < 3; c++) data[i + c] = Math.round(base * (1 - alpha) + color[c] * alpha);
+      data[i + 3] = 255;
+    }
+  }
+
+  const image = { width: after.width, height: after.height, data };
+  for (const box of analysis.clusters) drawBox(image, box, [255, 255, 255]);
+  if (analysis.region) drawRings(image, analysis.region);
+  return image;
+}
+
+/**
+ * Outline a rectangle, 2 pixels wide
+ */
+function drawBox(image, box, color) {
+  const set = (x, y) => {
+    if (x < 0 || y < 0 || x >= image.width || y >= image.height) return;
+    const i = (y * image.width + x) * 4;
+    image.data[i] = color[0];
+    image.data[i + 1] = color[1];
+    image.data[i + 2] = color[2];
+  };
+  for (let t = 0; t < 2; t++) {
+    for (let x = box.x; x < box.x + box.width; x++) {
+      set(x, box.y + t);
+      set(x, box.y + box.height - 1 - t);
+    }
+    for (let y = box.y; y < box.y + box.height; y++) {
+      set(box.x + t, y);
+      set(box.x + box.width - 1 - t, y);
+    }
+  }
+}
+
+/**
+ * The change mask at full size: white where changed, black where unchanged,
+ * dark gray where masked out
+ */
+function renderMask(analysis, width, height) {
+  const data = Buffer.alloc(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    const sy = Math.min(analysis.height - 1, Math.floor(y / analysis.scale));
+    for (let x = 0; x < width; x++) {
+      const s = sy * analysis.width + Math.min(analysis.width - 1, Math.floor(x / analysis.scale));
+      const value = !analysis.valid[s] ? 64 : analysis.mask[s] ? 255 : 0;
+      const i = (y * width + x) * 4;
+      data[i] = value;
+      data[i + 1] = value;
+      data[i + 2] = value;
+      data[i + 3] = 255;
+    }
+  }
+  return { width, height, data };
+}
+
+/**
+ * UI masks over the map, moved into map-crop coordinates
+ * @param {Object} captureRegion - metadata.captureRegion ({ map, masks })
+ */
+function cropMasks(captureRegion) {
+  const { map } = captureRegion;
+  return masksOverMap(captureRegion).map(({ rect }) => ({
+    x: rect.x - map.x,
+    y: rect.y - map.y,
+    width: rect.width,
+    height: rect.height
+  }));
+}
+
+/**
+ * Compare each pair of consecutive acquisitions of a run and write their heatmaps and masks
+ * @param {string} runDir - Run folder holding the map crops
+ * @param {Array<Object>} images - metadata.images
+ * @param {Object} [options]
+ * @param {number} [options.threshold] - See analyzeChange
+ * @param {number} [options.minArea] - See analyzeChange
+ * @param {Array<Object>} [options.masks] - Rectangles to ignore, in map-crop pixels (see cropMasks)
+ * @param {Array<Array<number[]>>} [options.region] - Area of interest rings in map-crop pixels
+ * @param {number} [options.metersPerPixel] - Ground resolution, to give areas in square meters
+ * @param {Function} [log] - Run logger
+ * @returns {Object} - Settings and one entry per pair, for metadata.json
+ */
+function detectChanges(runDir, images, options = {}, log = () => {}) {
+  const settings = { ...DEFAULT_CHANGE_OPTIONS, ...options };
+  const ordered = orderByDate(images);
+  const squareMeters = (pixels) => (settings.metersPerPixel ? Math.round(pixels * settings.metersPerPixel ** 2) : null);
+  const describe = (image) => ({
+    file: image.mapFile,
+    formattedDate: image.formattedDate,
+    date: image.imageryDate ? image.imageryDate.iso : null
+  });
+
+  const pairs = [];
+  let before = ordered.length > 0 ? decodePng(path.join(runDir, ordered[0].mapFile)) : null;
+  for (let i = 1; i < ordered.length; i++) {
+    const after = decodePng(path.join(runDir, ordered[i].mapFile));
+    const analysis = analyzeChange(before, after, settings);
+
+    const name = `change_${String(i).padStart(2, '0')}`;
+    const heatmapFile = `${name}_heatmap.png`;
+    const maskFile = `${name}_mask.png`;
+    fs.writeFileSync(path.join(runDir, heatmapFile), encodePng(renderHeatmap(after, analysis)));
+    fs.writeFileSync(path.join(runDir, maskFile), encodePng(renderMask(analysis, after.width, after.height)));
+
+    const pair = {
+      before: describe(ordered[i - 1]),
+      after: describe(ordered[i]),
+      percentChanged: Math.round(analysis.percentChanged * 100) / 100,
+      changedArea: analysis.changedArea,
+      changedAreaM2: squareMeters(analysis.changedArea),
+      clusterCount: analysis.clusters.length,
+      clusters: analysis.clusters.slice(0, MAX_CLUSTERS).map(box => ({ ...box, areaM2: squareMeters(box.area) })),
+      roi: analysis.roi && {
+        percentChanged: Math.round(analysis.roi.percentChanged * 100) / 100,
+        changedArea: analysis.roi.changedArea,
+        changedAreaM2: squareMeters(analysis.roi.changedArea),
+        clusterCount: analysis.roi.clusters.length,
+        clusters: analysis.roi.clusters.slice(0, MAX_CLUSTERS).map(box => ({ ...box, areaM2: squareMeters(box.area) }))
+      },
+      illumination: {
+        gain: analysis.illumination.gain.map(g => Math.round(g * 1000) / 1000),
+        offset: analysis.illumination.offset.map(o => Math.round(o * 10) / 10)
+      },
+      heatmapFile,
+      maskFile
+    };
+    pairs.push(pair);
+
+    log(`Change ${pair.before.formattedDate} -> ${pair.after.formattedDate}: ${pair.percentChanged}% of the map ` +
+      `in ${pair.clusterCount} area(s)${pair.roi ? `, ${pair.roi.percentChanged}% of the area of interest` : ''}`, {
+      event: 'change',
+      metrics: {
+        percentChanged: pair.percentChanged,
+        clusters: pair.clusterCount,
+        changedArea: pair.changedArea,
+        roiPercentChanged: pair.roi ? pair.roi.percentChanged : null
+      }
+    });
+    before = after;
+  }
+
+  return {
+    threshold: settings.threshold,
+    minArea: settings.minArea,
+    scale: settings.scale,
+    pairs
+  };
+}
+
+module.exports = {
+  DEFAULT_CHANGE_OPTIONS,
+  analyzeChange,
+  renderHeatmap,
+  cropMasks,
+  detectChanges
+};
@@ -0,0 +1,63 @@
+/**
+ * Run-state checkpoints for resuming interrupted captures
+ *
+ * The pipeline writes run_state.json to the output directory after opening
+ * Earth, after calibrating the timeline and after every timeline position.
+ * The file holds everything the run has learned so far: the config, the
+ * camera, the calibration, the positions visited with their imagery groups,
+ * and the captured images. Images stay on disk as separate files; frame
+ * fingerprints are rebuilt from them on resume rather than stored.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const STATE_FILE = 'run_state.json';
+const STATE_VERSION = 1;
+
+/**
+ * Write the run state, replacing the previous checkpoint atomically
+ * @param {string} outputDir - Run folder
+ * @param {Object} state - JSON-serializable run state
+ * @returns {string} - Path of the state file
+ */
+function saveRunState(outputDir, state) {
+  const statePath = path.join(outputDir, STATE_FILE);
+  const tempPath = `${statePath}.tmp`;
+
+  // A crash mid-write must not leave a truncated checkpoint behind
+  fs.writeFileSync(tempPath, JSON.stringify({ version: STATE_VERSION, savedAt: new Date().toISOString(), ...state }, null, 2));
+  fs.renameSync(tempPath, statePath);
+  return statePath;
+}
+
+/**
+ * Read the run state of a run folder
+ * @param {string} outputDir - Run folder of the interrupted run
+ * @returns {Object} - The saved state
+ * @throws {Error} - When the folder has no usable checkpoint
+ */
+function loadRunState(outputDir) {
+  const statePath = path.join(outputDir, STATE_FILE);
+  if (!fs.existsSync(statePath)) {
+    throw new Error(`Cannot resume ${outputDir}: no ${STATE_FILE} found (only runs started by this version can be resumed)`);
+  }
+
+  let state;
+  try {
+    state = JSON.parse(fs.readFileSync(statePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot resume ${outputDir}: ${STATE_FILE} is unreadable: ${error.message}`);
+  }
+
+  if (state.version !== STATE_VERSION) {
+    throw new Error(`Cannot resume ${outputDir}: run state version ${state.version} is not supported (expected ${STATE_VERSION})`);
+  }
+  return state;
+}
+
+module.exports = {
+  STATE_FILE,
+  saveRunState,
+  loadRunState
+};
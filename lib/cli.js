@@ -0,0 +1,261 @@
+/**
+ * Command line interface: interactive prompts plus non-interactive flags
+ */
+
+const path = require('path');
+const readline = require('readline');
+const { DEFAULTS, ENV_VARS, resolveConfig, validateConfig } = require('./config');
+const { runCapture, resumeCapture } = require('./capture');
+const { runBatch } = require('./batch');
+const { runMosaic } = require('./mosaic');
+const { describeCandidate } = require('./geocode');
+
+const USAGE = `Usage: node index.js [options]
+
+Options:
+  -c, --config <file>        JSON or YAML config file (default: imagery.config.json/.yaml in cwd)
+  -l, --location <place>     Coordinates ("lat,lon") or a place name to capture
+      --gazetteer <file>     GeoNames TSV file for looking up place names offline
+      --geocoder-url <url>   HTTP geocoder for place names, with {query} and {limit}
+  -b, --batch <file>         Capture every site in a CSV (name,lat,lon,zoom,start_year)
+                             or GeoJSON FeatureCollection of points
+  -m, --mosaic <s,w,n,e>     Capture a grid of tiles over a bounding box and stitch
+                             one mosaic per imagery date
+      --overlap <fraction>   Overlap of neighbouring mosaic tiles (default ${DEFAULTS.mosaicOverlap})
+      --max-tiles <n>        Largest mosaic grid (default ${DEFAULTS.mosaicMaxTiles})
+  -r, --resume <dir>         Continue an interrupted run in its output folder
+  -n, --name <text>          Human-readable location name used in file names
+  -s, --start-year <year>    First year of interest (default ${DEFAULTS.startYear})
+  -z, --zoom <meters>        Camera altitude of the initial view (default ${DEFAULTS.zoomLevel})
+      --zoom-steps <n>       Extra '+' zoom steps after load (default ${DEFAULTS.additionalZoomSteps})
+      --viewport <WxH>       Browser viewport (default ${DEFAULTS.viewport.width}x${DEFAULTS.viewport.height})
+      --wait-timeout <ms>    Navigation and wait timeout (default ${DEFAULTS.waitTimeout})
+      --timeline-points <n>  Most timeline positions to visit (default ${DEFAULTS.timelinePoints})
+      --strategy <name>      Timeline scan: adaptive or uniform (default ${DEFAULTS.scanStrategy})
+      --time-budget <s>      Stop scanning the timeline after this many seconds (default: no limit)
+      --headless             Run the browser without a window
+      --log-level <level>    Console verbosity: debug, info, warn or error (default ${DEFAULTS.logLevel})
+  -v, --verbose              Same as --log-level debug
+  -q, --quiet                Same as --log-level warn
+  -o, --output <dir>         Directory that receives the run folder (default: cwd)
+      --report <formats>     Reports to write, comma separated: html, markdown and/or
+                             standalone (default ${DEFAULTS.reportFormats.join(',')})
+      --timelapse <formats>  Also export a timelapse: gif and/or mp4 (mp4 needs ffmpeg)
+      --frame-duration <ms>  Timelapse time per acquisition (default ${DEFAULTS.timelapseFrameDuration})
+      --timelapse-width <px> Timelapse frame width, 0 = map size (default ${DEFAULTS.timelapseWidth})
+      --no-timelapse-date    Do not stamp the imagery date on timelapse frames
+      --no-georef            Skip the world files and footprints for GIS tools
+      --kml <formats>        Also export the images as KML ground overlays: kml and/or kmz
+      --change-threshold <n> Colour difference (1-255) that counts as change (default ${DEFAULTS.changeThreshold})
+      --change-min-area <px> Smallest changed area kept (default ${DEFAULTS.changeMinArea})
+      --no-change-detection  Skip the change masks and heatmaps
+      --roi <file>           Area of interest: GeoJSON polygon, or JSON { "pixels": [[x, y], ...] }
+      --no-zip               Skip creating the ZIP archive
+  -y, --yes                  Never prompt; use defaults for anything not given
+  -h, --help                 Show this help
+
+Settings are merged as defaults < config file < environment < flags.
+Environment variables: ${Object.keys(ENV_VARS).join(', ')}, IMAGERY_CONFIG.
+Without --yes, the location and any setting left at its default are asked for interactively.`;
+
+const FLAG_ALIASES = {
+  '-c': '--config',
+  '-l': '--location',
+  '-b': '--batch',
+  '-m': '--mosaic',
+  '-r': '--resume',
+  '-n': '--name',
+  '-s': '--start-year',
+  '-z': '--zoom',
+  '-o': '--output',
+  '-y': '--yes',
+  '-v': '--verbose',
+  '-q': '--quiet',
+  '-h': '--help'
+};
+
+/**
+ * Parse process arguments
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Object} - Config keys set on the command line, plus configPath/batchFile/mosaicBounds/resumeDir/yes/help
+ */
+function parseArgs(argv) {
+  const args = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    let flag = argv[i];
+    let value;
+
+    const eq = flag.indexOf('=');
+    if (flag.startsWith('--') && eq !== -1) {
+      value = flag.slice(eq + 1);
+      flag = flag.slice(0, eq);
+    }
+    flag = FLAG_ALIASES[flag] || flag;
+
+    const takeValue = () => {
+      if (value !== undefined) return value;
+      if (i + 1 >= argv.length) throw new Error(`Missing value for ${flag}`);
+      return argv[++i];
+    };
+
+    switch (flag) {
+      case '--config': args.configPath = takeValue(); break;
+      case '--location': args.coordinates = takeValue(); break;
+      case '--batch': args.batchFile = takeValue(); break;
+      case '--mosaic': args.mosaicBounds = takeValue(); break;
+      case '--overlap': args.mosaicOverlap = takeValue(); break;
+      case '--max-tiles': args.mosaicMaxTiles = takeValue(); break;
+      case '--resume': args.resumeDir = takeValue(); break;
+      case '--name': args.locationName = takeValue(); break;
+      case '--gazetteer': args.gazetteer = takeValue(); break;
+      case '--geocoder-url': args.geocoderUrl = takeValue(); break;
+      case '--start-year': args.startYear = takeValue(); break;
+      case '--zoom': args.zoomLevel = takeValue(); break;
+      case '--zoom-steps': args.additionalZoomSteps = takeValue(); break;
+      case '--viewport': args.viewport = takeValue(); break;
+      case '--wait-timeout': args.waitTimeout = takeValue(); break;
+      case '--timeline-points': args.timelinePoints = takeValue(); break;
+      case '--strategy': args.scanStrategy = takeValue(); break;
+      case '--time-budget': args.timeBudget = takeValue(); break;
+      case '--output': args.outputRoot = takeValue(); break;
+      case '--headless': args.headless = true; break;
+      case '--log-level': args.logLevel = takeValue(); break;
+      case '--verbose': args.logLevel = 'debug'; break;
+      case '--quiet': args.logLevel = 'warn'; break;
+      case '--report': args.reportFormats = takeValue(); break;
+      case '--timelapse': args.timelapseFormats = takeValue(); break;
+      case '--frame-duration': args.timelapseFrameDuration = takeValue(); break;
+      case '--timelapse-width': args.timelapseWidth = takeValue(); break;
+      case '--no-timelapse-date': args.timelapseDate = false; break;
+      case '--no-georef': args.georeference = false; break;
+      case '--kml': args.kmlFormats = takeValue(); break;
+      case '--change-threshold': args.changeThreshold = takeValue(); break;
+      case '--change-min-area': args.changeMinArea = takeValue(); break;
+      case '--no-change-detection': args.changeDetection = false; break;
+      case '--roi': args.roi = takeValue(); break;
+      case '--no-zip': args.zip = false; break;
+      case '--yes': args.yes = true; break;
+      case '--help': args.help = true; break;
+      default:
+        throw new Error(`Unknown option: ${flag}`);
+    }
+  }
+
+  return args;
+}
+
+/**
+ * Ask a single question on the terminal
+ */
+function ask(rl, question) {
+  return new Promise(resolve => rl.question(question, answer => resolve(answer.trim())));
+}
+
+/**
+ * Ask for the location and for settings no layer has set explicitly
+ * @param {Object} config - Merged, not yet validated config
+ * @param {Object} origins - Layer that set each key (see resolveConfig)
+ */
+async function promptForMissing(config, origins) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  const isDefault = key => origins[key] === 'default';
+
+  try {
+    if (!config.coordinates) {
+      config.coordinates = await ask(rl, 'Location (lat,lon or place name): ');
+    }
+    if (isDefault('locationName')) {
+      config.locationName = (await ask(rl, 'Location name (optional): ')) || null;
+    }
+    if (isDefault('startYear')) {
+      config.startYear = (await ask(rl, `Start year [${config.startYear}]: `)) || config.startYear;
+    }
+    if (isDefault('headless')) {
+      const answer = await ask(rl, 'Run headless? (y/N): ');
+      config.headless = /^y(es)?$/i.test(answer);
+    }
+  } finally {
+    rl.close();
+  }
+
+  return config;
+}
+
+/**
+ * Let the user pick one of the places a name matched
+ * @param {string} query - Place name as given
+ * @param {Array<Object>} candidates - From lib/geocode.js, best first
+ * @returns {Promise<Object|null>} - null when the answer is not one of the numbers
+ */
+async function chooseCandidate(query, candidates) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  try {
+    console.log(`"${query}" matches several places:`);
+    candidates.forEach((candidate, i) => console.log(`  ${i + 1}. ${describeCandidate(candidate)}`));
+    const answer = (await ask(rl, 'Place [1]: ')) || '1';
+    const index = Number(answer);
+    return Number.isInteger(index) && index >= 1 && index <= candidates.length ? candidates[index - 1] : null;
+  } finally {
+    rl.close();
+  }
+}
+
+/**
+ * CLI entry point
+ * @param {string[]} [argv] - Defaults to process.argv.slice(2)
+ * @returns {Promise<string>} - Path of the ZIP archive or output directory (batch or mosaic summary
+ *   for --batch and --mosaic)
+ */
+async function main(argv = process.argv.slice(2)) {
+  const { configPath, batchFile, mosaicBounds, resumeDir, yes, help, ...overrides } = parseArgs(argv);
+
+  if (help) {
+    console.log(USAGE);
+    return null;
+  }
+
+  // The interrupted run's settings apply; only flags given now can change them
+  if (resumeDir) {
+    const result = await resumeCapture(path.resolve(resumeDir), overrides);
+    return result.zipPath || result.outputDir;
+  }
+
+  const { config, origins } = resolveConfig({ configPath, overrides });
+
+  if (batchFile) {
+    const summary = await runBatch(batchFile, validateConfig(config));
+    if (summary.successes === 0) {
+      throw new Error(`All ${summary.totalSites} sites failed; see ${summary.outputDirectory}`);
+    }
+    return path.join(summary.outputDirectory, 'batch_summary.json');
+  }
+
+  if (mosaicBounds) {
+    const summary = await runMosaic(mosaicBounds, validateConfig(config));
+    if (summary.mosaics.length === 0) {
+      throw new Error(`No mosaic could be stitched (${summary.failures} of ${summary.totalTiles} tiles failed); see ${summary.outputDirectory}`);
+    }
+    return path.join(summary.outputDirectory, 'mosaic_summary.json');
+  }
+
+  const interactive = !yes && process.stdin.isTTY;
+  if (interactive) {
+    await promptForMissing(config, origins);
+  }
+
+  if (!config.coordinates) {
+    throw new Error('A location is required (use --location "lat,lon" or a place name, IMAGERY_COORDINATES or a config file)');
+  }
+
+  // Without a terminal, an ambiguous place name fails with the candidates listed
+  const result = await runCapture(validateConfig(config), { chooseLocation: interactive ? chooseCandidate : undefined });
+
+  return result.zipPath || result.outputDir;
+}
+
+module.exports = {
+  USAGE,
+  parseArgs,
+  main
+};
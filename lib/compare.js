@@ -0,0 +1,247 @@
+/**
+ * Pixel-based screenshot comparison
+ *
+ * Decodes both PNGs and measures how much the map itself changed (inside the
+ * map rectangle, with UI overlays masked; see lib/regions.js) with three
+ * metrics, each with its own threshold:
+ *   - meanDiff:     mean absolute grayscale difference, in percent of full scale
+ *   - ssim:         structural similarity (1 = identical); low values mean change
+ *   - hashDistance: Hamming distance between 64-bit perceptual hashes
+ * A comparison is significant when any metric crosses its threshold, and the
+ * result names the metric(s) that did.
+ */
+
+const { decodePng, toGrayscale, resizeGray } = require('./image');
+const { DEFAULT_LAYOUT, resolveLayout, applyMasks, masksOverMap } = require('./regions');
+
+const DEFAULT_THRESHOLDS = {
+  meanDiff: 3,      // percent
+  ssim: 0.85,       // below this counts as changed
+  hashDistance: 10  // bits out of 64
+};
+
+// Grayscale downsampling used for meanDiff and SSIM; keeps a 1080p frame fast
+const ANALYSIS_SCALE = 4;
+const SSIM_WINDOW = 8;
+
+/**
+ * Mean absolute difference between two equally sized grayscale images
+ * @returns {number} - Percent of full scale (0-100)
+ */
+function meanAbsoluteDifference(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.pixels.length; i++) {
+    sum += Math.abs(a.pixels[i] - b.pixels[i]);
+  }
+  return (sum / a.pixels.length / 255) * 100;
+}
+
+/**
+ * Structural similarity averaged over non-overlapping windows
+ * @returns {number} - Mean SSIM (-1 to 1, 1 = identical)
+ */
+function computeSsim(a, b, windowSize = SSIM_WINDOW) {
+  const C1 = (0.01 * 255) ** 2;
+  const C2 = (0.03 * 255) ** 2;
+  let total = 0;
+  let windows = 0;
+
+  for (let wy = 0; wy + windowSize <= a.height; wy += windowSize) {
+    for (let wx = 0; wx + windowSize <= a.width; wx += windowSize) {
+      let sumA = 0, sumB = 0, sumAA = 0, sumBB = 0, sumAB = 0;
+
+      for (let y = wy; y < wy + windowSize; y++) {
+        for (let x = wx; x < wx + windowSize; x++) {
+          const va = a.pixels[y * a.width + x];
+          const vb = b.pixels[y * b.width + x];
+          sumA += va;
+          sumB += vb;
+          sumAA += va * va;
+          sumBB += vb * vb;
+          sumAB += va * vb;
+        }
+      }
+
+      const n = windowSize * windowSize;
+      const meanA = sumA / n;
+      const meanB = sumB / n;
+      const varA = sumAA / n - meanA * meanA;
+      const varB = sumBB / n - meanB * meanB;
+      const cov = sumAB / n - meanA * meanB;
+
+      total += ((2 * meanA * meanB + C1) * (2 * cov + C2)) /
+        ((meanA * meanA + meanB * meanB + C1) * (varA + varB + C2));
+      windows++;
+    }
+  }
+
+  return windows > 0 ? total / windows : 1;
+}
+
+/**
+ * 64-bit DCT perceptual hash of a grayscale image
+ * @returns {string} - 16 hex characters
+ */
+function perceptualHash(gray) {
+  const N = 32;
+  const small = resizeGray(gray, N, N);
+
+  // 2D DCT-II, keeping only the 8x8 low-frequency block
+  const cos = [];
+  for (let k = 0; k < 8; k++) {
+    cos.push(new Float32Array(N));
+    for (let n = 0; n < N; n++) {
+      cos[k][n] = Math.cos(((2 * n + 1) * k * Math.PI) / (2 * N));
+    }
+  }
+
+  const coefficients = [];
+  for (let v = 0; v < 8; v++) {
+    for (let u = 0; u < 8; u++) {
+      let sum = 0;
+      for (let y = 0; y < N; y++) {
+        for (let x = 0; x < N; x++) {
+          sum += small.pixels[y * N + x] * cos[u][x] * cos[v][y];
+        }
+      }
+      coefficients.push(sum);
+    }
+  }
+
+  // Compare against the median, ignoring the DC term
+  const sorted = coefficients.slice(1).sort((p, q) => p - q);
+  const median = (sorted[31] + sorted[32]) / 2;
+
+  let hex = '';
+  for (let i = 0; i < 64; i += 4) {
+    let nibble = 0;
+    for (let bit = 0; bit < 4; bit++) {
+      nibble = (nibble << 1) | (coefficients[i + bit] > median ? 1 : 0);
+    }
+    hex += nibble.toString(16);
+  }
+  return hex;
+}
+
+/**
+ * Number of differing bits between two hex hashes
+ */
+function hammingDistance(hashA, hashB) {
+  let distance = 0;
+  for (let i = 0; i < hashA.length; i++) {
+    let x = parseInt(hashA[i], 16) ^ parseInt(hashB[i], 16);
+    while (x) {
+      distance += x & 1;
+      x >>= 1;
+    }
+  }
+  return distance;
+}
+
+/**
+ * Reduce a decoded screenshot to what the metrics need
+ * @param {Object} image - Decoded RGBA image
+ * @param {Object|null} [region] - Area to fingerprint; defaults to the map area of the
+ *   default layout (with its UI masks), null for the whole image
+ * @param {Array<{rect: Object}>} [masks] - Rectangles to blank out before measuring
+ * @returns {{width: number, height: number, gray: Object, hash: string}}
+ */
+function fingerprintImage(image, region, masks) {
+  if (region === undefined) {
+    const layout = resolveLayout(DEFAULT_LAYOUT, image.width, image.height);
+    region = layout.map;
+    if (masks === undefined) masks = masksOverMap(layout);
+  }
+  if (masks && masks.length > 0) image = applyMasks(image, masks);
+
+  const gray = toGrayscale(image, region, ANALYSIS_SCALE);
+  return {
+    width: image.width,
+    height: image.height,
+    gray,
+    hash: perceptualHash(gray)
+  };
+}
+
+/**
+ * Compare two fingerprints against the thresholds
+ * @returns {{meanDiff: number, ssim: number, hashDistance: number, percentDiff: number,
+ *            hasSignificantChange: boolean, triggeredBy: string[]}}
+ */
+function compareFingerprints(a, b, thresholds = DEFAULT_THRESHOLDS) {
+  thresholds = { ...DEFAULT_THRESHOLDS, ...thresholds };
+
+  if (a.width !== b.width || a.height !== b.height) {
+    return {
+      meanDiff: 100,
+      ssim: 0,
+      hashDistance: 64,
+      percentDiff: 100,
+      hasSignificantChange: true,
+      triggeredBy: ['dimensions']
+    };
+  }
+
+  const meanDiff = meanAbsoluteDifference(a.gray, b.gray);
+  const ssim = computeSsim(a.gray, b.gray);
+  const hashDistance = hammingDistance(a.hash, b.hash);
+
+  const triggeredBy = [];
+  if (meanDiff > thresholds.meanDiff) triggeredBy.push('meanDiff');
+  if (ssim < thresholds.ssim) triggeredBy.push('ssim');
+  if (hashDistance > thresholds.hashDistance) triggeredBy.push('hashDistance');
+
+  return {
+    meanDiff,
+    ssim,
+    hashDistance,
+    // Kept for existing consumers of the byte-size comparison
+    percentDiff: meanDiff,
+    hasSignificantChange: triggeredBy.length > 0,
+    triggeredBy
+  };
+}
+
+/**
+ * Compare two screenshots to detect differences
+ * @param {Buffer|Object} before - PNG data or a decoded image
+ * @param {Buffer|Object} after - PNG data or a decoded image
+ * @param {Object} [options]
+ * @param {Object|null} [options.region] - Area to compare; defaults to the map area, null for the whole image
+ * @param {Array<{rect: Object}>} [options.masks] - Rectangles to ignore (see lib/regions.js)
+ * @param {Object} [options.thresholds] - Overrides for DEFAULT_THRESHOLDS
+ * @returns {Object} - See compareFingerprints
+ */
+function compareScreenshots(before, after, options = {}) {
+  const imageA = Buffer.isBuffer(before) ? decodePng(before) : before;
+  const imageB = Buffer.isBuffer(after) ? decodePng(after) : after;
+
+  return compareFingerprints(
+    fingerprintImage(imageA, options.region, options.masks),
+    fingerprintImage(imageB, options.region, options.masks),
+    options.thresholds
+  );
+}
+
+/**
+ * One-line summary of a comparison for the run log
+ */
+function describeComparison(comparison) {
+  const verdict = comparison.hasSignificantChange ?
+    `changed (${comparison.triggeredBy.join(', ')})` :
+    'unchanged';
+  return `mean diff ${comparison.meanDiff.toFixed(2)}%, SSIM ${comparison.ssim.toFixed(3)}, ` +
+    `hash distance ${comparison.hashDistance} -> ${verdict}`;
+}
+
+module.exports = {
+  DEFAULT_THRESHOLDS,
+  meanAbsoluteDifference,
+  computeSsim,
+  perceptualHash,
+  hammingDistance,
+  fingerprintImage,
+  compareFingerprints,
+  compareScreenshots,
+  describeComparison
+};
@@ -0,0 +1,461 @@
+/**
+ * Layered configuration for the capture pipeline
+ *
+ * Values are merged in increasing order of precedence:
+ *   defaults < config file (JSON or YAML) < environment variables < CLI flags
+ * and validated once, so the pipeline only ever sees a complete config object.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { DEFAULT_THRESHOLDS } = require('./compare');
+const { AUTO_PROFILE, UI_PROFILES } = require('./profiles');
+const { DATE_ORDERS } = require('./dates');
+const { SCAN_STRATEGIES } = require('./scan');
+const { DEFAULT_RENDER_WAIT, WAIT_STEPS } = require('./readiness');
+const { LOG_LEVELS } = require('./logger');
+const { REPORT_FORMATS } = require('./report');
+const { TIMELAPSE_FORMATS } = require('./timelapse');
+const { KML_FORMATS } = require('./kml');
+const { DEFAULT_CHANGE_OPTIONS } = require('./change');
+const { parseRoi } = require('./roi');
+
+const DEFAULTS = {
+  coordinates: null,
+  locationName: null,
+  gazetteer: null, // GeoNames TSV file for looking up place names offline (see lib/geocode.js)
+  geocoderUrl: null, // HTTP geocoder asked after the gazetteer; {query} and {limit} are filled in
+  startYear: 2019,
+  zoomLevel: 250, // Lower = more zoomed in
+  additionalZoomSteps: 8,
+  headless: false,
+  viewport: { width: 1920, height: 1080 },
+  waitTimeout: 60000, // 60 seconds timeout
+  renderWait: DEFAULT_RENDER_WAIT, // When the map counts as rendered, and per-step bounds
+  outputRoot: process.cwd(),
+  outputDir: null,
+  timelinePoints: 30, // Most positions to visit
+  scanStrategy: 'adaptive',
+  coarsePoints: 8, // First-pass positions of the adaptive scan
+  timeBudget: 0, // Seconds of scanning before stopping; 0 for no limit
+  compareThresholds: DEFAULT_THRESHOLDS,
+  uiLayout: AUTO_PROFILE, // Or a profile name from lib/profiles.js
+  ocrWorkers: 2,
+  ocrLanguage: 'eng', // Tesseract language(s) of the date label, e.g. eng+fra+deu for localized month names
+  dateOrder: 'mdy', // Reading of ambiguous numeric dates such as 05/06/2016
+  extraMasks: [],
+  logLevel: 'info', // Lowest level shown on the console; the log file gets every level
+  reportFormats: ['html'], // Any of html, markdown, standalone (see lib/report.js)
+  timelapseFormats: [], // Any of gif, mp4; none skips the timelapse (see lib/timelapse.js)
+  timelapseFrameDuration: 1000, // ms each acquisition is shown
+  timelapseWidth: 800, // Frame width in pixels, 0 = map crop size
+  timelapseDate: true, // Stamp each frame with its imagery date
+  georeference: true, // World files and GeoJSON footprints for GIS tools (see lib/georef.js)
+  kmlFormats: [], // Any of kml, kmz; needs georeference (see lib/kml.js)
+  changeDetection: true, // Change masks and heatmaps between consecutive acquisitions (see lib/change.js)
+  changeThreshold: DEFAULT_CHANGE_OPTIONS.threshold, // RGB distance (0-255) that counts as change
+  changeMinArea: DEFAULT_CHANGE_OPTIONS.minArea, // Smallest changed area kept, in map-crop pixels
+  roi: null, // Area of interest: GeoJSON or { pixels } file path or object (see lib/roi.js)
+  mosaicOverlap: 0.2, // Fraction of each mosaic tile shared with its neighbours (see lib/mosaic.js)
+  mosaicMaxTiles: 25, // Largest mosaic grid, as a guard against huge areas
+  zip: true
+};
+
+// Config files looked up in the working directory when none is given
+const DEFAULT_CONFIG_FILES = [
+  'imagery.config.json',
+  'imagery.config.yaml',
+  'imagery.config.yml'
+];
+
+// Environment variable -> config key
+const ENV_VARS = {
+  IMAGERY_COORDINATES: 'coordinates',
+  IMAGERY_LOCATION_NAME: 'locationName',
+  IMAGERY_GAZETTEER: 'gazetteer',
+  IMAGERY_GEOCODER_URL: 'geocoderUrl',
+  IMAGERY_START_YEAR: 'startYear',
+  IMAGERY_ZOOM_LEVEL: 'zoomLevel',
+  IMAGERY_ADDITIONAL_ZOOM_STEPS: 'additionalZoomSteps',
+  IMAGERY_HEADLESS: 'headless',
+  IMAGERY_VIEWPORT: 'viewport',
+  IMAGERY_WAIT_TIMEOUT: 'waitTimeout',
+  IMAGERY_OUTPUT_DIR: 'outputRoot',
+  IMAGERY_TIMELINE_POINTS: 'timelinePoints',
+  IMAGERY_SCAN_STRATEGY: 'scanStrategy',
+  IMAGERY_COARSE_POINTS: 'coarsePoints',
+  IMAGERY_TIME_BUDGET: 'timeBudget',
+  IMAGERY_UI_LAYOUT: 'uiLayout',
+  IMAGERY_OCR_WORKERS: 'ocrWorkers',
+  IMAGERY_OCR_LANGUAGE: 'ocrLanguage',
+  IMAGERY_DATE_ORDER: 'dateOrder',
+  IMAGERY_LOG_LEVEL: 'logLevel',
+  IMAGERY_REPORT_FORMATS: 'reportFormats',
+  IMAGERY_TIMELAPSE_FORMATS: 'timelapseFormats',
+  IMAGERY_TIMELAPSE_FRAME_DURATION: 'timelapseFrameDuration',
+  IMAGERY_TIMELAPSE_WIDTH: 'timelapseWidth',
+  IMAGERY_TIMELAPSE_DATE: 'timelapseDate',
+  IMAGERY_GEOREFERENCE: 'georeference',
+  IMAGERY_KML_FORMATS: 'kmlFormats',
+  IMAGERY_CHANGE_DETECTION: 'changeDetection',
+  IMAGERY_CHANGE_THRESHOLD: 'changeThreshold',
+  IMAGERY_CHANGE_MIN_AREA: 'changeMinArea',
+  IMAGERY_ROI: 'roi',
+  IMAGERY_MOSAIC_OVERLAP: 'mosaicOverlap',
+  IMAGERY_MOSAIC_MAX_TILES: 'mosaicMaxTiles',
+  IMAGERY_ZIP: 'zip'
+};
+
+/**
+ * Read a JSON or YAML config file
+ * @param {string} filePath - .json, .yaml or .yml file
+ * @returns {Object} - Parsed config layer
+ */
+function readConfigFile(filePath) {
+  let text;
+  try {
+    text = fs.readFileSync(filePath, 'utf8');
+  } catch (error) {
+    throw new Error(`Cannot read config file ${filePath}: ${error.message}`);
+  }
+
+  let parsed;
+  try {
+    parsed = /\.ya?ml$/i.test(filePath) ? yaml.load(text) : JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Cannot parse config file ${filePath}: ${error.message}`);
+  }
+
+  if (parsed === undefined || parsed === null) return {};
+  if (typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new Error(`Config file ${filePath} must contain an object at the top level`);
+  }
+
+  // Relative output, area of interest and gazetteer paths are relative to the config file, not the cwd
+  for (const key of ['outputRoot', 'roi', 'gazetteer']) {
+    if (typeof parsed[key] === 'string') {
+      parsed[key] = path.resolve(path.dirname(filePath), parsed[key]);
+    }
+  }
+
+  return parsed;
+}
+
+/**
+ * Find the config file to use, if any
+ */
+function findConfigFile(explicitPath, env, cwd) {
+  if (explicitPath) return path.resolve(cwd, explicitPath);
+  if (env.IMAGERY_CONFIG) return path.resolve(cwd, env.IMAGERY_CONFIG);
+
+  for (const name of DEFAULT_CONFIG_FILES) {
+    const candidate = path.join(cwd, name);
+    if (fs.existsSync(candidate)) return candidate;
+  }
+  return null;
+}
+
+/**
+ * Collect the config layer set through IMAGERY_* environment variables
+ */
+function readEnvironment(env) {
+  const layer = {};
+  for (const [name, key] of Object.entries(ENV_VARS)) {
+    if (env[name] !== undefined && env[name] !== '') {
+      layer[key] = env[name];
+    }
+  }
+  return layer;
+}
+
+/**
+ * Coerce a value that may arrive as a string (env, CLI) to a boolean
+ */
+function toBoolean(value) {
+  if (typeof value === 'boolean') return value;
+  if (/^(1|true|yes|on)$/i.test(String(value))) return true;
+  if (/^(0|false|no|off)$/i.test(String(value))) return false;
+  return value;
+}
+
+/**
+ * Coerce "1920x1080" strings into { width, height }
+ */
+function toViewport(value) {
+  if (typeof value !== 'string') return value;
+  const match = /^\s*(\d+)\s*[x,]\s*(\d+)\s*$/i.exec(value);
+  return match ? { width: Number(match[1]), height: Number(match[2]) } : value;
+}
+
+/**
+ * Coerce numeric strings to numbers, leaving anything else for validation to report
+ */
+function toNumber(value) {
+  if (typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value))) {
+    return Number(value);
+  }
+  return value;
+}
+
+/**
+ * Coerce "a,b" strings into ['a', 'b']
+ */
+function toList(value) {
+  if (typeof value !== 'string') return value;
+  return value.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+const COERCE = {
+  startYear: toNumber,
+  zoomLevel: toNumber,
+  additionalZoomSteps: toNumber,
+  waitTimeout: toNumber,
+  timelinePoints: toNumber,
+  coarsePoints: toNumber,
+  timeBudget: toNumber,
+  ocrWorkers: toNumber,
+  timelapseFrameDuration: toNumber,
+  timelapseWidth: toNumber,
+  changeThreshold: toNumber,
+  changeMinArea: toNumber,
+  mosaicOverlap: toNumber,
+  mosaicMaxTiles: toNumber,
+  headless: toBoolean,
+  zip: toBoolean,
+  timelapseDate: toBoolean,
+  georeference: toBoolean,
+  changeDetection: toBoolean,
+  viewport: toViewport,
+  reportFormats: toList,
+  timelapseFormats: toList,
+  kmlFormats: toList
+};
+
+/**
+ * Check a merged config and return a normalized copy
+ * @param {Object} config - Merged config
+ * @returns {Object} - Validated config
+ * @throws {Error} - Lists every invalid setting
+ */
+function validateConfig(config) {
+  const result = { ...config };
+  const errors = [];
+
+  for (const [key, coerce] of Object.entries(COERCE)) {
+    result[key] = coerce(result[key]);
+  }
+
+  const unknown = Object.keys(result).filter(key => !(key in DEFAULTS));
+  if (unknown.length > 0) {
+    errors.push(`unknown setting(s): ${unknown.join(', ')}`);
+  }
+
+  const isInteger = (key, min, max) => {
+    const value = result[key];
+    if (!Number.isInteger(value) || value < min || (max !== undefined && value > max)) {
+      const range = max !== undefined ? `between ${min} and ${max}` : `of at least ${min}`;
+      errors.push(`${key} must be an integer ${range}, got ${JSON.stringify(value)}`);
+    }
+  };
+
+  if (result.coordinates !== null && typeof result.coordinates !== 'string') {
+    errors.push(`coordinates must be a "lat,lon" string or a place name, got ${JSON.stringify(result.coordinates)}`);
+  }
+  if (result.locationName !== null && typeof result.locationName !== 'string') {
+    errors.push(`locationName must be a string, got ${JSON.stringify(result.locationName)}`);
+  }
+  if (result.gazetteer !== null && !(typeof result.gazetteer === 'string' && fs.existsSync(result.gazetteer))) {
+    errors.push(`gazetteer must be an existing GeoNames file, got ${JSON.stringify(result.gazetteer)}`);
+  }
+  if (result.geocoderUrl !== null && !(typeof result.geocoderUrl === 'string' &&
+      /^https?:\/\//.test(result.geocoderUrl) && result.geocoderUrl.includes('{query}'))) {
+    errors.push(`geocoderUrl must be an http(s) URL containing {query}, got ${JSON.stringify(result.geocoderUrl)}`);
+  }
+
+  isInteger('startYear', 1984, new Date().getFullYear());
+  isInteger('additionalZoomSteps', 0, 30);
+  isInteger('waitTimeout', 1000);
+  isInteger('timelinePoints', 1, 500);
+  isInteger('coarsePoints', 2, 100);
+  isInteger('timeBudget', 0);
+  isInteger('ocrWorkers', 1, 8);
+  isInteger('timelapseFrameDuration', 20, 60000);
+  isInteger('timelapseWidth', 0, 7680);
+  isInteger('changeThreshold', 1, 255);
+  isInteger('changeMinArea', 0);
+  isInteger('mosaicMaxTiles', 1, 400);
+
+  if (typeof result.zoomLevel !== 'number' || !(result.zoomLevel > 0)) {
+    errors.push(`zoomLevel must be a positive altitude in meters, got ${JSON.stringify(result.zoomLevel)}`);
+  }
+
+  if (typeof result.mosaicOverlap !== 'number' || !(result.mosaicOverlap >= 0 && result.mosaicOverlap <= 0.9)) {
+    errors.push(`mosaicOverlap must be a fraction between 0 and 0.9, got ${JSON.stringify(result.mosaicOverlap)}`);
+  }
+
+  const viewport = result.viewport;
+  if (!viewport || typeof viewport !== 'object' ||
+      !Number.isInteger(viewport.width) || !Number.isInteger(viewport.height) ||
+      viewport.width < 800 || viewport.height < 600) {
+    errors.push(`viewport must be { width, height } (or "WIDTHxHEIGHT") of at least 800x600, got ${JSON.stringify(viewport)}`);
+  }
+
+  for (const key of ['headless', 'zip', 'timelapseDate', 'georeference', 'changeDetection']) {
+    if (typeof result[key] !== 'boolean') {
+      errors.push(`${key} must be true or false, got ${JSON.stringify(result[key])}`);
+    }
+  }
+
+  const thresholds = result.compareThresholds;
+  if (!thresholds || typeof thresholds !== 'object' || Array.isArray(thresholds)) {
+    errors.push(`compareThresholds must be an object, got ${JSON.stringify(thresholds)}`);
+  } else {
+    // Partial overrides keep the remaining default thresholds
+    result.compareThresholds = { ...DEFAULT_THRESHOLDS, ...thresholds };
+    for (const [key, value] of Object.entries(result.compareThresholds)) {
+      if (!(key in DEFAULT_THRESHOLDS)) {
+        errors.push(`compareThresholds.${key} is not a known metric (use ${Object.keys(DEFAULT_THRESHOLDS).join(', ')})`);
+      } else if (typeof value !== 'number' || isNaN(value)) {
+        errors.push(`compareThresholds.${key} must be a number, got ${JSON.stringify(value)}`);
+      }
+    }
+  }
+
+  const renderWait = result.renderWait;
+  if (!renderWait || typeof renderWait !== 'object' || Array.isArray(renderWait)) {
+    errors.push(`renderWait must be an object, got ${JSON.stringify(renderWait)}`);
+  } else {
+    // Partial overrides keep the remaining defaults, including within each step
+    result.renderWait = { ...DEFAULT_RENDER_WAIT, ...renderWait };
+    for (const [key, value] of Object.entries(result.renderWait)) {
+      if (!(key in DEFAULT_RENDER_WAIT)) {
+        errors.push(`renderWait.${key} is not a known setting (use ${Object.keys(DEFAULT_RENDER_WAIT).join(', ')})`);
+      } else if (WAIT_STEPS.includes(key)) {
+        const bounds = { ...DEFAULT_RENDER_WAIT[key], ...value };
+        result.renderWait[key] = bounds;
+        if (!value || typeof value !== 'object' || !Number.isInteger(bounds.min) || !Number.isInteger(bounds.max) || bounds.min < 0 || bounds.max < bounds.min) {
+          errors.push(`renderWait.${key} must be { min, max } in milliseconds with 0 <= min <= max, got ${JSON.stringify(value)}`);
+        }
+      } else if (typeof value !== 'number' || !(value >= 0)) {
+        errors.push(`renderWait.${key} must be a non-negative number, got ${JSON.stringify(value)}`);
+      }
+    }
+  }
+
+  if (result.uiLayout !== AUTO_PROFILE && !(result.uiLayout in UI_PROFILES)) {
+    const choices = [AUTO_PROFILE, ...Object.keys(UI_PROFILES)];
+    errors.push(`uiLayout must be one of ${choices.join(', ')}, got ${JSON.stringify(result.uiLayout)}`);
+  }
+
+  if (!SCAN_STRATEGIES.includes(result.scanStrategy)) {
+    errors.push(`scanStrategy must be one of ${SCAN_STRATEGIES.join(', ')}, got ${JSON.stringify(result.scanStrategy)}`);
+  }
+
+  if (typeof result.ocrLanguage !== 'string' || !/^[a-z_]+(\+[a-z_]+)*$/i.test(result.ocrLanguage)) {
+    errors.push(`ocrLanguage must be Tesseract language codes joined by +, such as eng or eng+fra+deu, got ${JSON.stringify(result.ocrLanguage)}`);
+  }
+
+  if (!DATE_ORDERS.includes(result.dateOrder)) {
+    errors.push(`dateOrder must be one of ${DATE_ORDERS.join(', ')}, got ${JSON.stringify(result.dateOrder)}`);
+  }
+
+  if (!LOG_LEVELS.includes(result.logLevel)) {
+    errors.push(`logLevel must be one of ${LOG_LEVELS.join(', ')}, got ${JSON.stringify(result.logLevel)}`);
+  }
+
+  if (!Array.isArray(result.reportFormats) || result.reportFormats.some(format => !REPORT_FORMATS.includes(format))) {
+    errors.push(`reportFormats must be a list of ${REPORT_FORMATS.join(', ')}, got ${JSON.stringify(result.reportFormats)}`);
+  }
+
+  if (!Array.isArray(result.timelapseFormats) || result.timelapseFormats.some(format => !TIMELAPSE_FORMATS.includes(format))) {
+    errors.push(`timelapseFormats must be a list of ${TIMELAPSE_FORMATS.join(', ')}, got ${JSON.stringify(result.timelapseFormats)}`);
+  }
+
+  if (!Array.isArray(result.kmlFormats) || result.kmlFormats.some(format => !KML_FORMATS.includes(format))) {
+    errors.push(`kmlFormats must be a list of ${KML_FORMATS.join(', ')}, got ${JSON.stringify(result.kmlFormats)}`);
+  } else if (result.kmlFormats.length > 0 && result.georeference === false) {
+    errors.push('kmlFormats needs georeference, since the overlays are placed by it');
+  }
+
+  if (result.roi !== null) {
+    try {
+      parseRoi(result.roi);
+    } catch (error) {
+      errors.push(`roi must be a GeoJSON polygon or { pixels } file or object: ${error.message}`);
+    }
+  }
+
+  if (!Array.isArray(result.extraMasks)) {
+    errors.push(`extraMasks must be a list of { name, x, y, width, height } rectangles, got ${JSON.stringify(result.extraMasks)}`);
+  } else {
+    result.extraMasks.forEach((mask, i) => {
+      const valid = mask && typeof mask === 'object' &&
+        ['x', 'y', 'width', 'height'].every(key => typeof mask[key] === 'number' && mask[key] >= 0);
+      if (!valid) {
+        errors.push(`extraMasks[${i}] must have non-negative numeric x, y, width and height, got ${JSON.stringify(mask)}`);
+      }
+    });
+  }
+
+  for (const key of ['outputRoot', 'outputDir']) {
+    if (result[key] !== null && typeof result[key] !== 'string') {
+      errors.push(`${key} must be a directory path, got ${JSON.stringify(result[key])}`);
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid configuration:\n  - ${errors.join('\n  - ')}`);
+  }
+
+  return result;
+}
+
+/**
+ * Merge all configuration layers without validating
+ * @param {Object} [sources]
+ * @param {string} [sources.configPath] - Explicit config file (otherwise IMAGERY_CONFIG or a default file)
+ * @param {Object} [sources.overrides] - Highest precedence layer, e.g. parsed CLI flags
+ * @param {Object} [sources.env=process.env]
+ * @param {string} [sources.cwd=process.cwd()]
+ * @returns {{config: Object, origins: Object, configFile: string|null}} - origins maps each key to the layer that set it
+ */
+function resolveConfig({ configPath, overrides = {}, env = process.env, cwd = process.cwd() } = {}) {
+  const configFile = findConfigFile(configPath, env, cwd);
+  const layers = [
+    ['default', { ...DEFAULTS, outputRoot: cwd }],
+    ['file', configFile ? readConfigFile(configFile) : {}],
+    ['env', readEnvironment(env)],
+    ['cli', overrides]
+  ];
+
+  const config = {};
+  const origins = {};
+  for (const [origin, layer] of layers) {
+    for (const [key, value] of Object.entries(layer)) {
+      if (value === undefined) continue;
+      config[key] = value;
+      origins[key] = origin;
+    }
+  }
+
+  return { config, origins, configFile };
+}
+
+/**
+ * Merge and validate all configuration layers
+ * @param {Object} [sources] - See resolveConfig
+ * @returns {Object} - Validated config
+ */
+function loadConfig(sources) {
+  return validateConfig(resolveConfig(sources).config);
+}
+
+module.exports = {
+  DEFAULTS,
+  ENV_VARS,
+  readConfigFile,
+  resolveConfig,
+  validateConfig,
+  loadConfig
+};
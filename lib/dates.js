@@ -0,0 +1,302 @@
+/**
+ * Parsing of imagery dates read from the Earth Web date label
+ *
+ * OCR text such as "older~3/20/2016", "Jan 19, 2024" or "19 janv. 2024" is
+ * turned into a structured result: an ISO date at the precision actually
+ * shown, whether the label is an "older~" upper bound, the pattern that
+ * matched, and a confidence for the parse itself (separate from the OCR
+ * confidence). Common OCR digit confusions are repaired before matching, and
+ * dates that are impossible or outside the plausible imagery range are rejected.
+ */
+
+// Earliest historical imagery in Google Earth is 1930s aerial photography
+const PLAUSIBLE_RANGE = {
+  minYear: 1930
+};
+
+// Order tried for numeric dates where both day and month are <= 12
+const DATE_ORDERS = ['mdy', 'dmy'];
+
+// Base confidence per pattern, before OCR corrections and ambiguity
+const PATTERN_CONFIDENCE = {
+  'iso': 0.95,
+  'numeric': 0.9,
+  'month-name': 0.9,
+  'month-year': 0.75,
+  'numeric-month-year': 0.7,
+  'year': 0.4
+};
+
+// Month names (accents stripped, lower case) in English, French, German,
+// Spanish, Portuguese, Italian and Dutch; abbreviations match as prefixes
+const MONTH_NAMES = [
+  ['january', 'janvier', 'januar', 'enero', 'janeiro', 'gennaio', 'januari'],
+  ['february', 'fevrier', 'februar', 'febrero', 'fevereiro', 'febbraio', 'februari'],
+  ['march', 'mars', 'marz', 'marzo', 'marco', 'maart', 'mrt'],
+  ['april', 'avril', 'abril', 'aprile'],
+  ['may', 'mai', 'mayo', 'maio', 'maggio', 'mei'],
+  ['june', 'juin', 'juni', 'junio', 'junho', 'giugno'],
+  ['july', 'juillet', 'juli', 'julio', 'julho', 'luglio'],
+  ['august', 'aout', 'agosto', 'augustus'],
+  ['september', 'septembre', 'septiembre', 'setembro', 'settembre'],
+  ['october', 'octobre', 'oktober', 'octubre', 'outubro', 'ottobre'],
+  ['november', 'novembre', 'noviembre', 'novembro'],
+  ['december', 'decembre', 'dezember', 'diciembre', 'dezembro', 'dicembre']
+];
+
+// Letters OCR commonly returns in place of digits
+const DIGIT_CONFUSIONS = {
+  'O': '0', 'o': '0', 'Q': '0', 'D': '0',
+  'I': '1', 'l': '1', 'i': '1', '|': '1', '!': '1',
+  'S': '5', 's': '5',
+  'B': '8',
+  'Z': '2', 'z': '2'
+};
+const DIGIT_LIKE = `[0-9${Object.keys(DIGIT_CONFUSIONS).join('').replace('|', '\\|')}]`;
+
+// "older~", including the usual misreads ("oclder", "0lder", "olcler")
+const OLDER_PATTERN = /[o0][a-z]?[l1|i][a-z]?[dc][a-z]?[e3]r/i;
+
+/**
+ * Strip accents and case from a word
+ */
+function normalizeWord(word) {
+  return word.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(/\.$/, '');
+}
+
+/**
+ * Month number for a (possibly abbreviated, possibly foreign) month name
+ * @returns {number|null} - 1-12, or null when unknown or ambiguous ("jui")
+ */
+function monthFromName(word) {
+  const name = normalizeWord(word).replace(/0/g, 'o').replace(/1/g, 'l').replace(/5/g, 's');
+  if (name.length < 3) return null;
+
+  const months = new Set();
+  MONTH_NAMES.forEach((names, i) => {
+    if (names.some(candidate => candidate.startsWith(name))) months.add(i + 1);
+  });
+  return months.size === 1 ? [...months][0] : null;
+}
+
+/**
+ * Repair letters misread as digits inside numbers ("l2/2O/2Ol4" -> "12/20/2014")
+ * @returns {{text: string, corrections: number}}
+ */
+function correctOcrDigits(text) {
+  let corrections = 0;
+  const fix = (run) => run.replace(/./g, (ch) => {
+    if (!(ch in DIGIT_CONFUSIONS)) return ch;
+    corrections++;
+    return DIGIT_CONFUSIONS[ch];
+  });
+  const realDigits = (run) => (run.match(/[0-9]/g) || []).length;
+
+  // Date-shaped runs: 1-4 digit-like groups joined by / . or -
+  const numericDate = new RegExp(
+    `(?<![A-Za-z0-9])${DIGIT_LIKE}{1,4}(?:[/.-]${DIGIT_LIKE}{1,4}){1,2}(?![A-Za-z0-9])`, 'g');
+  let result = text.replace(numericDate, (run) => (realDigits(run) >= 3 ? fix(run) : run));
+
+  // Standalone day and year numbers next to month names ("Jan l9, 2O14")
+  const number = new RegExp(`(?<![A-Za-z0-9])${DIGIT_LIKE}{1,4}(?![A-Za-z0-9])`, 'g');
+  result = result.replace(number, (run) => {
+    const digits = realDigits(run);
+    const plausible = run.length === 4 ? digits >= 2 : digits >= 1;
+    return plausible && digits < run.length ? fix(run) : run;
+  });
+
+  return { text: result, corrections };
+}
+
+/**
+ * Days in a month, accounting for leap years
+ */
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+/**
+ * Check a candidate against the calendar and the plausible imagery range
+ * @returns {string|null} - Why the candidate is rejected, or null when valid
+ */
+function rejectionReason({ year, month, day }, options) {
+  if (month !== null && (month < 1 || month > 12)) return `month ${month} out of range`;
+  if (day !== null && (day < 1 || day > daysInMonth(year, month))) return `day ${day} out of range`;
+  if (year < options.minYear) return `year ${year} is before ${options.minYear}`;
+
+  const now = options.now;
+  const latest = [now.getUTCFullYear(), now.getUTCMonth() + 1, now.getUTCDate()];
+  const candidate = [year, month || 1, day || 1];
+  for (let i = 0; i < 3; i++) {
+    if (candidate[i] !== latest[i]) {
+      return candidate[i] > latest[i] ? `${formatIso(year, month, day)} is in the future` : null;
+    }
+  }
+  return null;
+}
+
+/**
+ * ISO 8601 string at the given precision: "2016-03-20", "2016-03" or "2016"
+ */
+function formatIso(year, month, day) {
+  const parts = [String(year)];
+  if (month !== null) parts.push(String(month).padStart(2, '0'));
+  if (month !== null && day !== null) parts.push(String(day).padStart(2, '0'));
+  return parts.join('-');
+}
+
+/**
+ * Every date-like match in the text, in order of preference
+ */
+function findCandidates(text, order) {
+  const candidates = [];
+  const add = (pattern, match, fields, extra = {}) => {
+    candidates.push({ pattern, text: match[0].trim(), index: match.index, month: null, day: null, ...fields, ...extra });
+  };
+  const allMatches = (regex) => [...text.matchAll(regex)];
+  const WORD = '([A-Za-zÀ-ÿ015]{3,}\\.?)';
+
+  // 2016-03-20 or 2016/03/20
+  for (const m of allMatches(/(?<!\d)(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})(?!\d)/g)) {
+    add('iso', m, { year: +m[1], month: +m[2], day: +m[3] });
+  }
+
+  // 3/20/2016, 20.03.2016, 20-03-2016
+  for (const m of allMatches(/(?<!\d)(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})(?!\d)/g)) {
+    const a = +m[1];
+    const b = +m[2];
+    const year = +m[3];
+    const mdy = { year, month: a, day: b };
+    const dmy = { year, month: b, day: a };
+
+    if (a > 12 && b <= 12) {
+      add('numeric', m, dmy, { order: 'dmy' });
+    } else if (b > 12 && a <= 12) {
+      add('numeric', m, mdy, { order: 'mdy' });
+    } else if (a === b) {
+      add('numeric', m, mdy, { order: null });
+    } else {
+      // Both readings are valid dates; prefer the configured order
+      const [preferred, other] = order === 'dmy' ? [dmy, mdy] : [mdy, dmy];
+      add('numeric', m, preferred, {
+        order,
+        ambiguous: true,
+        alternatives: [formatIso(other.year, other.month, other.day)]
+      });
+    }
+  }
+
+  // Jan 19, 2024 / January 19th 2024
+  for (const m of allMatches(new RegExp(`${WORD}\\s*(\\d{1,2})(?:st|nd|rd|th)?,?\\s+(\\d{4})(?!\\d)`, 'g'))) {
+    const month = monthFromName(m[1]);
+    if (month) add('month-name', m, { year: +m[3], month, day: +m[2] }, { order: 'mdy' });
+  }
+
+  // 19 Jan 2024 / 19. März 2024 / 19 de enero de 2024 / 1er janvier 2024
+  for (const m of allMatches(new RegExp(`(?<!\\d)(\\d{1,2})(?:st|nd|rd|th|er|\\.|º)?\\s*(?:de\\s+)?${WORD},?\\s+(?:de\\s+)?(\\d{4})(?!\\d)`, 'gi'))) {
+    const month = monthFromName(m[2]);
+    if (month) add('month-name', m, { year: +m[3], month, day: +m[1] }, { order: 'dmy' });
+  }
+
+  // Jan 2024 / janvier 2024 / enero de 2024
+  for (const m of allMatches(new RegExp(`${WORD},?\\s+(?:de\\s+)?(\\d{4})(?!\\d)`, 'g'))) {
+    const month = monthFromName(m[1]);
+    if (month) add('month-year', m, { year: +m[2], month });
+  }
+
+  // 3/2016
+  for (const m of allMatches(/(?<![\d/.-])(\d{1,2})[/.-](\d{4})(?![\d/.-])/g)) {
+    add('numeric-month-year', m, { year: +m[2], month: +m[1] });
+  }
+
+  // 2016
+  for (const m of allMatches(/(?<!\d)((?:19|20)\d{2})(?!\d)/g)) {
+    add('year', m, { year: +m[1] });
+  }
+
+  return candidates;
+}
+
+/**
+ * Parse an imagery date out of OCR text
+ * @param {string} text - Recognized text, e.g. "older~3/20/2016"
+ * @param {Object} [options]
+ * @param {string} [options.order='mdy'] - Reading of ambiguous numeric dates ('mdy' or 'dmy')
+ * @param {number} [options.minYear=1930] - Earliest plausible imagery year
+ * @param {Date} [options.now=new Date()] - Latest plausible imagery date
+ * @returns {Object|null} - { iso, year, month, day, precision, olderThan, pattern, order,
+ *   ambiguous, alternatives, corrections, confidence, text }, or null when no plausible date
+ */
+function parseImageryDate(text, options = {}) {
+  if (!text) return null;
+  options = { order: 'mdy', ...PLAUSIBLE_RANGE, now: new Date(), ...options };
+  if (!DATE_ORDERS.includes(options.order)) {
+    throw new Error(`Unknown date order "${options.order}" (use ${DATE_ORDERS.join(' or ')})`);
+  }
+
+  const { text: corrected, corrections } = correctOcrDigits(String(text));
+  const olderMatch = OLDER_PATTERN.exec(corrected);
+
+  for (const candidate of findCandidates(corrected, options.order)) {
+    if (rejectionReason(candidate, options)) continue;
+
+    const { year, month, day } = candidate;
+    const precision = day !== null ? 'day' : month !== null ? 'month' : 'year';
+    const ambiguous = Boolean(candidate.ambiguous);
+
+    let confidence = PATTERN_CONFIDENCE[candidate.pattern];
+    if (ambiguous) confidence -= 0.3;
+    confidence -= Math.min(0.3, corrections * 0.05);
+
+    return {
+      iso: formatIso(year, month, day),
+      year,
+      month,
+      day,
+      precision,
+      // "older~" marks the newest possible date of imagery that may be older
+      olderThan: Boolean(olderMatch && olderMatch.index < candidate.index),
+      pattern: candidate.pattern,
+      order: candidate.order || null,
+      ambiguous,
+      alternatives: candidate.alternatives || [],
+      corrections,
+      confidence: Math.round(Math.max(0.05, confidence) * 100) / 100,
+      text: candidate.text
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Short description of a parsed date for the run log
+ */
+function describeDate(date) {
+  const notes = [`${date.precision} precision`];
+  if (date.olderThan) notes.push('older-than bound');
+  if (date.ambiguous) notes.push(`ambiguous, alternative ${date.alternatives.join(', ')}`);
+  if (date.corrections > 0) notes.push(`${date.corrections} OCR correction(s)`);
+  return `${date.iso} (${notes.join(', ')}, confidence ${date.confidence.toFixed(2)})`;
+}
+
+/**
+ * Format date for filename
+ * @param {string|Object} date - Date text or a parseImageryDate result
+ * @returns {string} - ISO date at its precision, or "unknown_date"
+ */
+function formatDateForFilename(date, options) {
+  const parsed = typeof date === 'string' ? parseImageryDate(date, options) : date;
+  return parsed ? parsed.iso : 'unknown_date';
+}
+
+module.exports = {
+  PLAUSIBLE_RANGE,
+  DATE_ORDERS,
+  MONTH_NAMES,
+  monthFromName,
+  correctOcrDigits,
+  parseImageryDate,
+  describeDate,
+  formatDateForFilename
+};
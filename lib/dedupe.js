@@ -0,0 +1,122 @@
+/**
+ * Run-wide deduplication of captured frames
+ *
+ * Every timeline position is fingerprinted and matched against all imagery
+ * groups seen so far in the run, not just the previous position, so a slider
+ * that bounces between two acquisitions still yields one group (and one saved
+ * file) per acquisition. Each group remembers the positions that showed it.
+ *
+ * The same acquisition can differ by more than the thresholds between two
+ * visits when its tiles had not quite finished loading. A frame whose label
+ * reads the same day as a group is therefore matched to it with looser
+ * thresholds. Two groups of one date are still kept when their imagery
+ * differs clearly, since Earth does publish several acquisitions of one day
+ * (different satellites or mosaics); they are saved as <date> and <date>_2.
+ */
+
+const { DEFAULT_THRESHOLDS, compareFingerprints } = require('./compare');
+
+// How much looser the thresholds are for a frame dated the same day as a group
+const SAME_DATE_LEEWAY = 2;
+
+/**
+ * Whether two parsed imagery dates (see lib/dates.js) name the same day beyond doubt
+ */
+function sameDay(a, b) {
+  return Boolean(a && b && a.precision === 'day' && b.precision === 'day' &&
+    !a.ambiguous && !b.ambiguous && a.iso === b.iso);
+}
+
+/**
+ * Create an index of the unique frames of a run
+ * @param {Object} [thresholds] - Comparison thresholds (see lib/compare.js); frames
+ *   that do not differ significantly from a group's representative join that group
+ * @returns {Object} - { groups, match(fingerprint, date), add(fingerprint, member), join(group, member) }
+ */
+function createFrameIndex(thresholds) {
+  const groups = [];
+  const strict = { ...DEFAULT_THRESHOLDS, ...thresholds };
+  const loose = {
+    meanDiff: strict.meanDiff * SAME_DATE_LEEWAY,
+    ssim: 1 - (1 - strict.ssim) * SAME_DATE_LEEWAY,
+    hashDistance: strict.hashDistance * SAME_DATE_LEEWAY
+  };
+
+  /**
+   * Find the group a frame belongs to
+   * @param {Object} fingerprint - From fingerprintImage
+   * @param {Object|null} [date] - The frame's parsed imagery date; a group with a member
+   *   dated the same day matches with looser thresholds
+   * @returns {{group: Object|null, comparison: Object|null, sameDate: boolean}} - The closest
+   *   group and its comparison; group is null when no group matches (a new acquisition),
+   *   and sameDate is true when only the shared date made it a match
+   */
+  function match(fingerprint, date = null) {
+    let best = null;
+    let closest = null;
+
+    for (const group of groups) {
+      const comparison = compareFingerprints(group.fingerprint, fingerprint, strict);
+      if (!closest || comparison.meanDiff < closest.meanDiff) {
+        closest = comparison;
+      }
+
+      let sameDate = false;
+      if (comparison.hasSignificantChange) {
+        if (!group.members.some(member => sameDay(member.imageryDate, date))) continue;
+        if (compareFingerprints(group.fingerprint, fingerprint, loose).hasSignificantChange) continue;
+        sameDate = true;
+      }
+      // A match on the thresholds alone beats one that needed the date
+      if (!best || (best.sameDate && !sameDate) ||
+          (best.sameDate === sameDate && comparison.meanDiff < best.comparison.meanDiff)) {
+        best = { group, comparison, sameDate };
+      }
+    }
+
+    return best || { group: null, comparison: closest, sameDate: false };
+  }
+
+  /**
+   * Start a new group with this frame as its representative
+   * @param {Object} fingerprint - From fingerprintImage
+   * @param {Object} member - Timeline position record
+   */
+  function add(fingerprint, member) {
+    const group = {
+      id: groups.length + 1,
+      hash: fingerprint.hash,
+      fingerprint,
+      members: [member]
+    };
+    groups.push(group);
+    return group;
+  }
+
+  /**
+   * Record another timeline position showing an existing group
+   */
+  function join(group, member) {
+    group.members.push(member);
+    return group;
+  }
+
+  return { groups, match, add, join };
+}
+
+/**
+ * Plain JSON view of a group for metadata.json
+ */
+function describeGroup(group) {
+  return {
+    id: group.id,
+    hash: group.hash,
+    positions: group.members.map(m => m.position),
+    members: group.members
+  };
+}
+
+module.exports = {
+  createFrameIndex,
+  describeGroup
+};
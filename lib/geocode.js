@@ -0,0 +1,474 @@
+/**
+ * Place names to coordinates
+ *
+ * A location is either "lat,lon" coordinates or a place name such as
+ * "Accra, Ghana". Names are looked up by providers, objects with a `name`
+ * and an async `search(query, { limit })` that returns candidates:
+ *   { name, displayName, lat, lon, country, featureCode, population, confidence, provider }
+ * with `confidence` from 0 to 1. Two providers come with the tool: an offline
+ * gazetteer read from a GeoNames TSV file, and an HTTP provider for
+ * geocoding services that answer with Nominatim-style JSON or GeoJSON.
+ * Providers are asked in turn, and the first with any candidates answers.
+ *
+ * The best candidate is taken on its own only when it is confident and
+ * clearly ahead of the next one; otherwise the caller's `choose` callback
+ * picks (the CLI asks on the terminal), or resolving fails with the list.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const { constants: { MAX_STRING_LENGTH } } = require('buffer');
+
+// GeoNames columns (see the readme at download.geonames.org/export/dump)
+const GEONAMES_COLUMNS = {
+  name: 1,
+  asciiName: 2,
+  alternateNames: 3,
+  lat: 4,
+  lon: 5,
+  featureClass: 6,
+  featureCode: 7,
+  country: 8,
+  admin1: 10,
+  population: 14
+};
+
+// GeoNames country table, looked for beside the gazetteer file
+const COUNTRY_INFO_FILE = 'countryInfo.txt';
+
+// The best candidate is taken without asking when it scores at least this...
+const AUTO_CONFIDENCE = 0.5;
+// ...and beats the runner-up by this much
+const AMBIGUITY_MARGIN = 0.1;
+
+const DEFAULT_LIMIT = 10;
+const HTTP_TIMEOUT = 10000;
+const USER_AGENT = 'google-earth-historical-imagery/1.0';
+
+/**
+ * Parse a "lat,lon" string into numbers
+ * @param {string} location - Coordinates such as "5.55551247,-0.26162416"
+ * @returns {{lat: number, lon: number}|null} - null when not coordinates
+ */
+function parseCoordinates(location) {
+  const match = /^\s*(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)\s*$/.exec(String(location));
+  if (!match) return null;
+
+  const lat = parseFloat(match[1]);
+  const lon = parseFloat(match[2]);
+  if (lat < -90 || lat > 90 || lon < -180 || lon > 180) return null;
+
+  return { lat, lon };
+}
+
+/**
+ * Lowercase, without accents or punctuation, for comparing names
+ */
+function normalizeName(text) {
+  return String(text)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+/**
+ * Split a query into the place name and the qualifiers after it ("Accra, Ghana" -> Accra + [ghana])
+ */
+function splitQuery(query) {
+  const [name, ...qualifiers] = String(query).split(',').map(normalizeName);
+  return { name, qualifiers: qualifiers.filter(Boolean) };
+}
+
+/**
+ * Read places from GeoNames TSV text (cities500.txt, a country file such as GH.txt, and the like)
+ * @param {string} text
+ * @returns {Array<Object>} - Places with their names normalized for searching
+ * @throws {Error} - On a row without a name or valid coordinates
+ */
+function parseGazetteer(text) {
+  const places = [];
+  text.split(/\r?\n/).forEach((line, i) => {
+    if (line.trim() === '' || line.startsWith('#')) return;
+
+    const fields = line.split('\t');
+    const field = key => (fields[GEONAMES_COLUMNS[key]] || '').trim();
+    const lat = Number(field('lat'));
+    const lon = Number(field('lon'));
+    if (!field('name') || field('lat') === '' || field('lon') === '' || !(lat >= -90 && lat <= 90) || !(lon >= -180 && lon <= 180)) {
+      throw new Error(`line ${i + 1} is not a GeoNames row with a name and coordinates`);
+    }
+
+    places.push({
+      name: field('name'),
+      lat,
+      lon,
+      featureClass: field('featureClass') || null,
+      featureCode: field('featureCode') || null,
+      country: field('country') || null,
+      admin1: field('admin1') || null,
+      population: Number(field('population')) || 0,
+      // Comma-wrapped so a whole alternate name can be found with includes()
+      names: [normalizeName(field('name')), normalizeName(field('asciiName'))],
+      alternates: `,${field('alternateNames').split(',').map(normalizeName).join(',')},`
+    });
+  });
+  return places;
+}
+
+/**
+ * Read a GeoNames countryInfo.txt table
+ * @returns {Map<string, string>} - ISO code -> country name
+ */
+function parseCountryInfo(text) {
+  const countries = new Map();
+  for (const line of text.split(/\r?\n/)) {
+    if (line.trim() === '' || line.startsWith('#')) continue;
+    const fields = line.split('\t');
+    if (fields[0] && fields[4]) countries.set(fields[0].trim(), fields[4].trim());
+  }
+  return countries;
+}
+
+/**
+ * Names a qualifier may use for a place's country and first-level region
+ */
+function regionNames(place, countries, regions) {
+  const names = [];
+  if (place.country) {
+    names.push(normalizeName(place.country));
+    if (countries.has(place.country)) names.push(normalizeName(countries.get(place.country)));
+  }
+  if (place.admin1) {
+    names.push(normalizeName(place.admin1));
+    names.push(...(regions.get(`${place.country}.${place.admin1}`) || []));
+  }
+  return names;
+}
+
+/**
+ * Offline provider searching a GeoNames gazetteer
+ *
+ * A query's first part is matched against each place's names: exactly (the
+ * main or ASCII name scores 1, an alternate name 0.85) or, from three
+ * letters on, as the start of the name (0.5). Each further part must name
+ * the country (ISO code, or name when countryInfo.txt is available) or the
+ * first-level region (code, or the name of its ADM1 row); a part that does
+ * not costs most of the score. Populous places and towns or regions rank
+ * above small places and other features.
+ *
+ * The file is read whole and kept in memory, so use the citiesN extracts or
+ * country files; allCountries.txt is larger than Node can read into a string.
+ * @param {string|Array<Object>} source - GeoNames TSV file, or places from parseGazetteer
+ * @param {Object} [options]
+ * @param {Map<string, string>} [options.countries] - ISO code -> name; read from
+ *   countryInfo.txt beside the file when there is one
+ * @returns {{name: string, size: number, search: Function}}
+ */
+function createGazetteerProvider(source, { countries } = {}) {
+  let places = source;
+  if (typeof source === 'string') {
+    let text;
+    try {
+      if (fs.statSync(source).size > MAX_STRING_LENGTH) {
+        throw new Error('the file is too large to load; use cities500.txt or a country file instead of allCountries.txt');
+      }
+      text = fs.readFileSync(source, 'utf8');
+    } catch (error) {
+      throw new Error(`Cannot read gazetteer ${source}: ${error.message}`);
+    }
+    try {
+      places = parseGazetteer(text);
+    } catch (error) {
+      throw new Error(`Cannot parse gazetteer ${source}: ${error.message}`);
+    }
+
+    const countryFile = path.join(path.dirname(source), COUNTRY_INFO_FILE);
+    if (!countries && fs.existsSync(countryFile)) {
+      countries = parseCountryInfo(fs.readFileSync(countryFile, 'utf8'));
+    }
+  }
+  countries = countries || new Map();
+
+  // Country and region rows of the gazetteer name the places within them
+  const regions = new Map();
+  const regionLabels = new Map();
+  for (const place of places) {
+    if (place.featureClass !== 'A') continue;
+    if (/^PCL/.test(place.featureCode || '') && place.country && !countries.has(place.country)) {
+      countries.set(place.country, place.name);
+    }
+    if (place.featureCode === 'ADM1' && place.admin1) {
+      const key = `${place.country}.${place.admin1}`;
+      regions.set(key, [...(regions.get(key) || []), ...place.names]);
+      if (!regionLabels.has(key)) regionLabels.set(key, place.name);
+    }
+  }
+
+  const search = async (query, { limit = DEFAULT_LIMIT } = {}) => {
+    const { name, qualifiers } = splitQuery(query);
+    if (!name) return [];
+
+    const candidates = [];
+    for (const place of places) {
+      const nameScore = place.names.includes(name) ? 1 :
+        place.alternates.includes(`,${name},`) ? 0.85 :
+        name.length >= 3 && place.names.some(n => n.startsWith(name)) ? 0.5 : 0;
+      if (nameScore === 0) continue;
+
+      const known = regionNames(place, countries, regions);
+      const qualifierScore = qualifiers.reduce((score, q) => score * (known.includes(q) ? 1 : 0.25), 1);
+      const prominence = 0.6 + 0.4 * Math.min(1, Math.log10(place.population + 1) / 7);
+      const featureScore = place.featureClass === 'P' || place.featureClass === 'A' ? 1 : 0.8;
+      const countryName = countries.get(place.country) || place.country;
+      // Numeric region codes mean nothing to a reader, so they are left out
+      const regionName = place.featureCode !== 'ADM1' && place.admin1 &&
+        (regionLabels.get(`${place.country}.${place.admin1}`) || (/^[A-Z]+$/.test(place.admin1) ? place.admin1 : null));
+
+      candidates.push({
+        name: place.name,
+        displayName: [place.name, regionName, countryName].filter(Boolean).join(', '),
+        lat: place.lat,
+        lon: place.lon,
+        country: place.country,
+        featureCode: place.featureCode,
+        population: place.population,
+        confidence: Math.round(nameScore * qualifierScore * prominence * featureScore * 100) / 100,
+        provider: 'gazetteer'
+      });
+    }
+
+    return candidates
+      .sort((a, b) => b.confidence - a.confidence || b.population - a.population)
+      .slice(0, limit);
+  };
+
+  return { name: 'gazetteer', size: places.length, search };
+}
+
+/**
+ * GET a URL and parse the body as JSON
+ */
+function getJson(url, { headers = {}, timeout = HTTP_TIMEOUT } = {}) {
+  return new Promise((resolve, reject) => {
+    const client = url.startsWith('https:') ? https : http;
+    const request = client.get(url, { headers: { 'User-Agent': USER_AGENT, Accept: 'application/json', ...headers } }, (response) => {
+      const chunks = [];
+      response.on('error', reject);
+      response.on('data', chunk => chunks.push(chunk));
+      response.on('end', () => {
+        const body = Buffer.concat(chunks).toString('utf8');
+        if (response.statusCode < 200 || response.statusCode >= 300) {
+          reject(new Error(`HTTP ${response.statusCode} from ${new URL(url).host}`));
+          return;
+        }
+        try {
+          resolve(JSON.parse(body));
+        } catch (error) {
+          reject(new Error(`The response from ${new URL(url).host} is not JSON`));
+        }
+      });
+    });
+    request.setTimeout(timeout, () => request.destroy(new Error(`No answer from ${new URL(url).host} within ${timeout}ms`)));
+    request.on('error', reject);
+  });
+}
+
+/**
+ * Candidates from a geocoder's JSON: a Nominatim-style array of results, or a
+ * GeoJSON FeatureCollection as Photon and Pelias return
+ * @throws {Error} - On any other shape
+ */
+function parseGeocoderResponse(body) {
+  const clamp = value => (typeof value === 'number' && value >= 0 ? Math.min(1, Math.round(value * 100) / 100) : 0.5);
+
+  if (Array.isArray(body)) {
+    return body.map(result => ({
+      name: result.name || String(result.display_name || '').split(',')[0],
+      displayName: result.display_name || result.name,
+      lat: Number(result.lat),
+      lon: Number(result.lon),
+      country: result.address && result.address.country_code ? result.address.country_code.toUpperCase() : null,
+      featureCode: result.type || null,
+      population: null,
+      confidence: clamp(result.importance)
+    }));
+  }
+
+  if (body && body.type === 'FeatureCollection' && Array.isArray(body.features)) {
+    return body.features
+      .filter(feature => feature.geometry && feature.geometry.type === 'Point')
+      .map(({ geometry, properties = {} }) => ({
+        name: properties.name || properties.label,
+        displayName: properties.label ||
+          [properties.name, properties.city, properties.state, properties.country].filter(Boolean).join(', '),
+        lat: Number(geometry.coordinates[1]),
+        lon: Number(geometry.coordinates[0]),
+        country: properties.countrycode || properties.country_a || null,
+        featureCode: properties.osm_value || properties.layer || null,
+        population: null,
+        confidence: clamp(properties.confidence)
+      }));
+  }
+
+  throw new Error('Unrecognized geocoder response (expected a JSON array of results or a GeoJSON FeatureCollection)');
+}
+
+/**
+ * Provider asking an HTTP geocoding service
+ * @param {Object} options
+ * @param {string} options.url - URL template; `{query}` and `{limit}` are filled in, e.g.
+ *   https://nominatim.openstreetmap.org/search?format=json&limit={limit}&q={query}
+ * @param {string} [options.name='http']
+ * @param {Object} [options.headers] - Extra request headers, such as an API key
+ * @param {number} [options.timeout] - Milliseconds to wait for an answer
+ * @param {Function} [options.parse] - Response body -> candidates; parseGeocoderResponse by default
+ * @returns {{name: string, search: Function}}
+ */
+function createHttpProvider({ url, name = 'http', headers, timeout, parse = parseGeocoderResponse }) {
+  if (!/^https?:\/\//.test(String(url)) || !String(url).includes('{query}')) {
+    throw new Error(`A geocoder URL must be http(s) and contain {query}, got ${JSON.stringify(url)}`);
+  }
+
+  const search = async (query, { limit = DEFAULT_LIMIT } = {}) => {
+    const requestUrl = url.replace('{query}', encodeURIComponent(query)).replace('{limit}', String(limit));
+    const body = await getJson(requestUrl, { headers, timeout });
+    return parse(body)
+      .filter(candidate => parseCoordinates(`${candidate.lat},${candidate.lon}`))
+      .map(candidate => ({ ...candidate, provider: name }))
+      .sort((a, b) => b.confidence - a.confidence)
+      .slice(0, limit);
+  };
+
+  return { name, search };
+}
+
+/**
+ * The providers a config sets up: the gazetteer first, then the HTTP geocoder
+ * @param {Object} config - Validated config (see lib/config.js)
+ */
+function createProviders(config) {
+  const providers = [];
+  if (config.gazetteer) providers.push(createGazetteerProvider(config.gazetteer));
+  if (config.geocoderUrl) providers.push(createHttpProvider({ url: config.geocoderUrl }));
+  return providers;
+}
+
+/**
+ * Ask each provider in turn until one has candidates
+ * @returns {Promise<{provider: string|null, candidates: Array<Object>, errors: string[]}>}
+ * @throws {Error} - When every provider failed
+ */
+async function geocode(query, providers, { limit = DEFAULT_LIMIT } = {}) {
+  const errors = [];
+  for (const provider of providers) {
+    try {
+      const candidates = await provider.search(query, { limit });
+      if (candidates.length > 0) return { provider: provider.name, candidates, errors };
+    } catch (error) {
+      errors.push(`${provider.name}: ${error.message}`);
+    }
+  }
+
+  if (providers.length > 0 && errors.length === providers.length) {
+    throw new Error(`Cannot look up "${query}": ${errors.join('; ')}`);
+  }
+  return { provider: null, candidates: [], errors };
+}
+
+/**
+ * The candidate to take without asking, or null when the choice is not clear
+ */
+function pickCandidate(candidates) {
+  const [best, next] = candidates;
+  if (!best || best.confidence < AUTO_CONFIDENCE) return null;
+  if (next && best.confidence - next.confidence < AMBIGUITY_MARGIN) return null;
+  return best;
+}
+
+/**
+ * One line describing a candidate, for prompts and errors
+ */
+function describeCandidate(candidate) {
+  const details = [`${candidate.lat},${candidate.lon}`];
+  if (candidate.featureCode) details.push(candidate.featureCode);
+  if (candidate.population) details.push(`pop. ${candidate.population.toLocaleString('en-US')}`);
+  details.push(`confidence ${candidate.confidence}`);
+  return `${candidate.displayName} (${details.join(', ')})`;
+}
+
+/**
+ * Turn a location into coordinates, looking up place names
+ * @param {string} location - "lat,lon" or a place name
+ * @param {Object} [options]
+ * @param {Array<Object>|Function} [options.providers] - See createProviders; a function returning
+ *   them is only called for a place name, so coordinates never load a gazetteer
+ * @param {Function} [options.choose] - async (query, candidates) -> candidate or null,
+ *   asked when no candidate is a clear winner
+ * @param {number} [options.limit] - Most candidates to consider
+ * @returns {Promise<{coordinates: string, name: string|null, geocoding: Object|null}>} - `geocoding`
+ *   records the query, the provider and the candidate taken, for metadata.json
+ * @throws {Error} - When the name is not found, or is ambiguous and nobody chose
+ */
+async function resolveLocation(location, { providers = [], choose, limit = DEFAULT_LIMIT } = {}) {
+  const coordinates = parseCoordinates(location);
+  if (coordinates) return { coordinates: `${coordinates.lat},${coordinates.lon}`, name: null, geocoding: null };
+
+  if (typeof location !== 'string' || location.trim() === '') {
+    throw new Error('A location is required, as "lat,lon" coordinates or a place name');
+  }
+  const available = typeof providers === 'function' ? providers() : providers;
+  if (available.length === 0) {
+    throw new Error(`"${location}" is not "lat,lon" coordinates, and no geocoder is set up to look it up ` +
+      '(set gazetteer to a GeoNames file, or geocoderUrl)');
+  }
+
+  const { provider, candidates, errors } = await geocode(location, available, { limit });
+  if (candidates.length === 0) {
+    throw new Error(`No place matching "${location}" was found${errors.length > 0 ? ` (${errors.join('; ')})` : ''}`);
+  }
+
+  let chosen = pickCandidate(candidates);
+  const chosenBy = chosen ? 'confidence' : 'user';
+  if (!chosen) {
+    if (!choose) {
+      const list = candidates.slice(0, 5).map((c, i) => `\n  ${i + 1}. ${describeCandidate(c)}`).join('');
+      throw new Error(`"${location}" does not clearly name one place:${list}\n` +
+        'Give coordinates, or a more specific name such as "Name, Country"');
+    }
+    chosen = await choose(location, candidates);
+    if (!chosen) throw new Error(`No place was chosen for "${location}"`);
+  }
+
+  return {
+    coordinates: `${chosen.lat},${chosen.lon}`,
+    name: chosen.displayName,
+    geocoding: {
+      query: location,
+      provider,
+      chosenBy,
+      candidate: chosen,
+      candidates: candidates.length
+    }
+  };
+}
+
+module.exports = {
+  AUTO_CONFIDENCE,
+  AMBIGUITY_MARGIN,
+  parseCoordinates,
+  normalizeName,
+  parseGazetteer,
+  parseCountryInfo,
+  createGazetteerProvider,
+  parseGeocoderResponse,
+  createHttpProvider,
+  createProviders,
+  geocode,
+  pickCandidate,
+  describeCandidate,
+  resolveLocation
+};
@@ -0,0 +1,254 @@
+/**
+ * Georeferencing of captured frames
+ *
+ * Earth Web keeps its camera in the URL (see lib/camera.js). For the
+ * straight-down view used here (zero tilt and roll) the ground under the
+ * viewport is a rectangle centred on lat,lon: the vertical field of view and
+ * the camera height give its extent in meters, and the heading its rotation.
+ * From that, every unique image gets an ESRI world file (.pgw) with a WGS84
+ * .prj, and a GeoJSON footprint of its map area, so GIS tools place the
+ * frames without manual registration.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// WGS84 ellipsoid
+const SEMI_MAJOR_AXIS = 6378137;
+const ECCENTRICITY_SQUARED = 0.00669437999014;
+
+const PRJ_WGS84 = 'GEOGCS["GCS_WGS_1984",DATUM["D_WGS_1984",SPHEROID["WGS_1984",6378137.0,298.257223563]],' +
+  'PRIMEM["Greenwich",0.0],UNIT["Degree",0.0174532925199433]]';
+
+// The camera is treated as straight down up to this tilt or roll, in degrees
+const NADIR_TOLERANCE = 0.5;
+
+/**
+ * Ground resolution of a straight-down camera
+ *
+ * With a distance, `a` is the height of the ground at the target and `d` the
+ * camera's distance to it. Without one, `a` is the camera's altitude, which is
+ * only its height above ground where the ground is near sea level.
+ * @param {Object} camera - From parseCameraUrl (see lib/camera.js)
+ * @param {number} viewportHeight - Viewport height in pixels
+ * @returns {{metersPerPixel: number, height: number, heightSource: string}}
+ * @throws {Error} - When the camera is tilted or lacks a height or field of view
+ */
+function groundResolution(camera, viewportHeight) {
+  if (Math.abs(camera.tilt) > NADIR_TOLERANCE || Math.abs(camera.roll) > NADIR_TOLERANCE) {
+    throw new Error(`Only a straight-down camera can be georeferenced, got ${camera.tilt}° tilt and ${camera.roll}° roll`);
+  }
+  if (!(camera.fov > 0 && camera.fov < 180)) {
+    throw new Error(`The camera has no usable field of view (${camera.fov})`);
+  }
+
+  const heightSource = camera.distance !== null ? 'distance' : 'altitude';
+  const height = camera.distance !== null ? camera.distance : camera.altitude;
+  if (!(height > 0)) {
+    throw new Error(`The camera has no height above ground (${heightSource} ${height})`);
+  }
+
+  // The field of view spans the viewport height
+  const groundHeight = 2 * height * Math.tan((camera.fov * Math.PI / 180) / 2);
+  return { metersPerPixel: groundHeight / viewportHeight, height, heightSource };
+}
+
+/**
+ * Meters per degree of latitude and longitude at a latitude
+ */
+function metersPerDegree(lat) {
+  const phi = lat * Math.PI / 180;
+  const w = 1 - ECCENTRICITY_SQUARED * Math.sin(phi) ** 2;
+  const meridional = SEMI_MAJOR_AXIS * (1 - ECCENTRICITY_SQUARED) / Math.pow(w, 1.5);
+  const primeVertical = SEMI_MAJOR_AXIS / Math.sqrt(w);
+  return {
+    lat: meridional * Math.PI / 180,
+    lon: primeVertical * Math.cos(phi) * Math.PI / 180
+  };
+}
+
+/**
+ * Pixel-to-lon/lat transform of a rectangle of the viewport
+ * @param {Object} camera - From parseCameraUrl (see lib/camera.js)
+ * @param {{width: number, height: number}} viewport - Screenshot size in pixels
+ * @param {{x: number, y: number, width: number, height: number}} [rect] - Part of the
+ *   screenshot the image holds, such as the map crop; the whole viewport by default
+ * @returns {{worldFile: number[], footprint: Array<number[]>, latLonBox: Object,
+ *   metersPerPixel: number, height: number, heightSource: string}} - World file parameters
+ *   (A, D, B, E, C, F), the [lon, lat] corners clockwise from the top left, closed, and
+ *   the KML LatLonBox: the north-up box turned counter-clockwise by `rotation` degrees
+ */
+function georeference(camera, viewport, rect = { x: 0, y: 0, width: viewport.width, height: viewport.height }) {
+  const { metersPerPixel, height, heightSource } = groundResolution(camera, viewport.height);
+  const scale = metersPerDegree(camera.lat);
+  const h = camera.heading * Math.PI / 180;
+  const cos = Math.cos(h);
+  const sin = Math.sin(h);
+
+  // Image pixel edges (column, row) -> meters east and north of the camera target.
+  // Screen up points along the heading, screen right 90° clockwise from it.
+  const toLonLat = (col, row) => {
+    const right = (rect.x + col - viewport.width / 2) * metersPerPixel;
+    const up = (viewport.height / 2 - rect.y - row) * metersPerPixel;
+    const east = right * cos + up * sin;
+    const north = -right * sin + up * cos;
+    return [camera.lon + east / scale.lon, camera.lat + north / scale.lat];
+  };
+
+  // World files give the centre of the top-left pixel and the change per column and row
+  const [c, f] = toLonLat(0.5, 0.5);
+  const worldFile = [
+    metersPerPixel * cos / scale.lon,
+    -metersPerPixel * sin / scale.lat,
+    -metersPerPixel * sin / scale.lon,
+    -metersPerPixel * cos / scale.lat,
+    c,
+    f
+  ];
+
+  const footprint = [
+    toLonLat(0, 0),
+    toLonLat(rect.width, 0),
+    toLonLat(rect.width, rect.height),
+    toLonLat(0, rect.height)
+  ];
+  footprint.push(footprint[0]);
+
+  const [lon, lat] = toLonLat(rect.width / 2, rect.height / 2);
+  const halfWidth = rect.width * metersPerPixel / 2 / scale.lon;
+  const halfHeight = rect.height * metersPerPixel / 2 / scale.lat;
+  const latLonBox = {
+    north: round(lat + halfHeight),
+    south: round(lat - halfHeight),
+    east: round(lon + halfWidth),
+    west: round(lon - halfWidth),
+    // Image up points along the heading, clockwise from north
+    rotation: -(((camera.heading + 180) % 360 + 360) % 360 - 180)
+  };
+
+  return { worldFile, footprint, latLonBox, metersPerPixel, height, heightSource };
+}
+
+/**
+ * Lon/lat-to-pixel transform of a rectangle of the viewport, the inverse of georeference
+ * @param {Object} camera - From parseCameraUrl (see lib/camera.js)
+ * @param {{width: number, height: number}} viewport - Screenshot size in pixels
+ * @param {Object} [rect] - Part of the screenshot the image holds; the whole viewport by default
+ * @returns {Function} - [lon, lat] -> [column, row] in image pixel edges
+ */
+function lonLatToPixel(camera, viewport, rect = { x: 0, y: 0, width: viewport.width, height: viewport.height }) {
+  const { metersPerPixel } = groundResolution(camera, viewport.height);
+  const scale = metersPerDegree(camera.lat);
+  const h = camera.heading * Math.PI / 180;
+  const cos = Math.cos(h);
+  const sin = Math.sin(h);
+
+  return ([lon, lat]) => {
+    const east = (lon - camera.lon) * scale.lon;
+    const north = (lat - camera.lat) * scale.lat;
+    const right = east * cos - north * sin;
+    const up = east * sin + north * cos;
+    return [
+      right / metersPerPixel + viewport.width / 2 - rect.x,
+      viewport.height / 2 - rect.y - up / metersPerPixel
+    ];
+  };
+}
+
+/**
+ * World file text: six lines, A D B E C F
+ */
+function formatWorldFile(worldFile) {
+  // Rotation terms of a north-up camera come out as float noise around zero
+  return worldFile.map(value => (Math.abs(value) < 1e-15 ? 0 : value).toFixed(12)).join('\n') + '\n';
+}
+
+/**
+ * Write the world file and projection beside a PNG
+ */
+function writeWorldFile(pngPath, worldFile) {
+  const base = pngPath.replace(/\.png$/i, '');
+  fs.writeFileSync(`${base}.pgw`, formatWorldFile(worldFile));
+  fs.writeFileSync(`${base}.prj`, PRJ_WGS84);
+}
+
+/**
+ * Georeference every unique image of a run
+ *
+ * Each image gets `<name>.pgw`/`.prj` for the full screenshot,
+ * `<name>_map.pgw`/`.prj` for the map crop, and `<name>_footprint.geojson`
+ * with the ground outline of the map crop.
+ * @param {string} runDir - Run folder
+ * @param {Array<Object>} images - metadata.images
+ * @param {Object} options
+ * @param {Object} options.camera - From parseCameraUrl (see lib/camera.js)
+ * @param {{width: number, height: number}} options.viewport - Screenshot size
+ * @param {Object} options.mapRect - Map rectangle of the capture layout
+ * @param {Function} [log] - Run logger
+ * @returns {Object} - Georeference summary for metadata.json
+ */
+function writeGeoreference(runDir, images, { camera, viewport, mapRect }, log = () => {}) {
+  const screen = georeference(camera, viewport);
+  const map = georeference(camera, viewport, mapRect);
+  const footprint = { type: 'Polygon', coordinates: [map.footprint.map(([lon, lat]) => [round(lon), round(lat)])] };
+
+  for (const image of images) {
+    writeWorldFile(path.join(runDir, image.file), screen.worldFile);
+    writeWorldFile(path.join(runDir, image.mapFile), map.worldFile);
+
+    const feature = {
+      type: 'Feature',
+      geometry: footprint,
+      properties: {
+        file: image.mapFile,
+        date: image.imageryDate ? image.imageryDate.iso : null,
+        formattedDate: image.formattedDate,
+        groupId: image.groupId,
+        metersPerPixel: map.metersPerPixel
+      }
+    };
+    fs.writeFileSync(path.join(runDir, footprintFile(image)), JSON.stringify(feature, null, 2));
+  }
+
+  log(`Georeferenced ${images.length} image(s) at ${map.metersPerPixel.toFixed(3)} m/px ` +
+    `(camera ${Math.round(map.height)}m above ground by ${map.heightSource}, heading ${camera.heading}°)`, {
+    event: 'georeference',
+    metrics: { metersPerPixel: map.metersPerPixel, height: map.height, heading: camera.heading }
+  });
+
+  return {
+    crs: 'EPSG:4326',
+    camera,
+    heightSource: map.heightSource,
+    metersPerPixel: map.metersPerPixel,
+    // Ground outline of the map crops, shared by every image since the camera never moves
+    footprint,
+    // The same outline as a KML LatLonBox
+    latLonBox: map.latLonBox,
+    screenFootprint: { type: 'Polygon', coordinates: [screen.footprint.map(([lon, lat]) => [round(lon), round(lat)])] }
+  };
+}
+
+/**
+ * Name of the GeoJSON footprint written for an image
+ */
+function footprintFile(image) {
+  return image.mapFile.replace(/_map\.png$/i, '').replace(/\.png$/i, '') + '_footprint.geojson';
+}
+
+// Eight decimals of a degree are about a millimeter
+function round(degrees) {
+  return Math.round(degrees * 1e8) / 1e8;
+}
+
+module.exports = {
+  PRJ_WGS84,
+  groundResolution,
+  metersPerDegree,
+  georeference,
+  lonLatToPixel,
+  formatWorldFile,
+  writeWorldFile,
+  footprintFile,
+  writeGeoreference
+};
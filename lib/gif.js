@@ -0,0 +1,244 @@
+/**
+ * Animated GIF encoder
+ *
+ * Pure JavaScript, so timelapses need nothing installed. Each frame gets its
+ * own 256-colour palette by median cut, since acquisitions years apart can
+ * differ a lot in colour, and is compressed with GIF's variant of LZW.
+ */
+
+const MAX_COLORS = 256;
+const MAX_CODE = 4095;
+
+/**
+ * Median-cut palette for an RGBA image
+ * @returns {{palette: Uint8Array, lookup: Uint8Array}} - 256 RGB entries, and
+ *   the palette index of every 15-bit colour (r5 g5 b5) that occurs
+ */
+function quantize(image) {
+  // Histogram of colours at 5 bits per channel
+  const counts = new Uint32Array(32768);
+  const { data } = image;
+  for (let i = 0; i < data.length; i += 4) {
+    counts[((data[i] >> 3) << 10) | ((data[i + 1] >> 3) << 5) | (data[i + 2] >> 3)]++;
+  }
+  const colors = [];
+  for (let c = 0; c < counts.length; c++) {
+    if (counts[c] > 0) colors.push(c);
+  }
+
+  const channel = (c, k) => (c >> (10 - 5 * k)) & 31;
+  const describe = (members) => {
+    let population = 0;
+    const min = [31, 31, 31];
+    const max = [0, 0, 0];
+    for (const c of members) {
+      population += counts[c];
+      for (let k = 0; k < 3; k++) {
+        min[k] = Math.min(min[k], channel(c, k));
+        max[k] = Math.max(max[k], channel(c, k));
+      }
+    }
+    const ranges = max.map((m, k) => m - min[k]);
+    const widest = ranges.indexOf(Math.max(...ranges));
+    return { members, population, widest, range: ranges[widest] };
+  };
+
+  // Split the box with the most pixels spread over the widest range until there are enough
+  const boxes = [describe(colors)];
+  while (boxes.length < MAX_COLORS) {
+    let pick = -1;
+    let best = 0;
+    boxes.forEach((box, i) => {
+      const score = box.range * box.population;
+      if (box.members.length > 1 && score > best) {
+        best = score;
+        pick = i;
+      }
+    });
+    if (pick < 0) break;
+
+    const box = boxes[pick];
+    const sorted = box.members.slice().sort((a, b) => channel(a, box.widest) - channel(b, box.widest));
+    // Cut at the pixel-weighted median
+    let seen = 0;
+    let cut = 1;
+    for (; cut < sorted.length - 1; cut++) {
+      seen += counts[sorted[cut - 1]];
+      if (seen >= box.population / 2) break;
+    }
+    boxes.splice(pick, 1, describe(sorted.slice(0, cut)), describe(sorted.slice(cut)));
+  }
+
+  const palette = new Uint8Array(MAX_COLORS * 3);
+  boxes.forEach((box, i) => {
+    const sum = [0, 0, 0];
+    for (const c of box.members) {
+      for (let k = 0; k < 3; k++) sum[k] += ((channel(c, k) << 3) | 4) * counts[c];
+    }
+    for (let k = 0; k < 3; k++) palette[i * 3 + k] = Math.round(sum[k] / box.population);
+  });
+
+  // Nearest palette entry for every colour present
+  const lookup = new Uint8Array(32768);
+  for (const c of colors) {
+    const r = (channel(c, 0) << 3) | 4;
+    const g = (channel(c, 1) << 3) | 4;
+    const b = (channel(c, 2) << 3) | 4;
+    let nearest = 0;
+    let nearestDistance = Infinity;
+    for (let i = 0; i < boxes.length; i++) {
+      const dr = r - palette[i * 3];
+      const dg = g - palette[i * 3 + 1];
+      const db = b - palette[i * 3 + 2];
+      const distance = dr * dr + dg * dg + db * db;
+      if (distance < nearestDistance) {
+        nearestDistance = distance;
+        nearest = i;
+      }
+    }
+    lookup[c] = nearest;
+  }
+
+  return { palette, lookup };
+}
+
+/**
+ * LZW-compress palette indices into GIF image data sub-blocks
+ * @param {Uint8Array} indices - One palette index per pixel
+ * @returns {number[]} - Bytes following the minimum code size byte
+ */
+function lzwEncode(indices) {
+  const minCodeSize = 8;
+  const clearCode = 1 << minCodeSize;
+  const endCode = clearCode + 1;
+  const output = [];
+  let block = [];
+  let bitBuffer = 0;
+  let bitCount = 0;
+
+  const writeByte = (byte) => {
+    block.push(byte);
+    if (block.length === 255) {
+      output.push(255, ...block);
+      block = [];
+    }
+  };
+  let codeSize = minCodeSize + 1;
+  const writeCode = (code) => {
+    bitBuffer |= code << bitCount;
+    bitCount += codeSize;
+    while (bitCount >= 8) {
+      writeByte(bitBuffer & 0xff);
+      bitBuffer >>= 8;
+      bitCount -= 8;
+    }
+  };
+
+  let dictionary = new Map();
+  let nextCode = endCode + 1;
+  writeCode(clearCode);
+
+  let prefix = indices[0];
+  for (let i = 1; i < indices.length; i++) {
+    const pixel = indices[i];
+    const key = (prefix << 8) | pixel;
+    const code = dictionary.get(key);
+    if (code !== undefined) {
+      prefix = code;
+      continue;
+    }
+
+    writeCode(prefix);
+    if (nextCode <= MAX_CODE) {
+      // Codes widen as soon as the next entry needs the extra bit
+      if (nextCode === 1 << codeSize && codeSize < 12) codeSize++;
+      dictionary.set(key, nextCode++);
+    } else {
+      writeCode(clearCode);
+      dictionary = new Map();
+      nextCode = endCode + 1;
+      codeSize = minCodeSize + 1;
+    }
+    prefix = pixel;
+  }
+
+  writeCode(prefix);
+  writeCode(endCode);
+  if (bitCount > 0) writeByte(bitBuffer & 0xff);
+  if (block.length > 0) output.push(block.length, ...block);
+  output.push(0);
+  return output;
+}
+
+/**
+ * Encode RGBA frames as an animated GIF
+ * @param {Array<Object>} frames - Images of one size ({ width, height, data })
+ * @param {Object} [options]
+ * @param {number|number[]} [options.delay=1000] - Display time in ms, for all frames or per frame
+ * @param {number} [options.loop=0] - Times to repeat; 0 repeats forever
+ * @returns {Buffer}
+ */
+function encodeGif(frames, { delay = 1000, loop = 0 } = {}) {
+  if (frames.length === 0) {
+    throw new Error('A GIF needs at least one frame');
+  }
+  const { width, height } = frames[0];
+  if (frames.some(frame => frame.width !== width || frame.height !== height)) {
+    throw new Error('Every GIF frame must have the same size');
+  }
+
+  // Bytes gather per frame and are flushed as buffers, keeping long GIFs out of one huge array
+  const chunks = [];
+  let bytes = [];
+  const flush = () => {
+    chunks.push(Buffer.from(bytes));
+    bytes = [];
+  };
+  const word = (value) => bytes.push(value & 0xff, (value >> 8) & 0xff);
+
+  bytes.push(...Buffer.from('GIF89a'));
+  // Logical screen without a global colour table
+  word(width);
+  word(height);
+  bytes.push(0, 0, 0);
+  // Netscape looping extension
+  bytes.push(0x21, 0xff, 11, ...Buffer.from('NETSCAPE2.0'), 3, 1);
+  word(loop);
+  bytes.push(0);
+
+  frames.forEach((frame, i) => {
+    const ms = Array.isArray(delay) ? delay[i] : delay;
+    // Graphic control: delay in hundredths of a second
+    bytes.push(0x21, 0xf9, 4, 0);
+    word(Math.max(2, Math.round(ms / 10)));
+    bytes.push(0, 0);
+
+    // Image descriptor with a 256-entry local colour table
+    bytes.push(0x2c);
+    word(0);
+    word(0);
+    word(width);
+    word(height);
+    bytes.push(0x80 | 7);
+
+    const { palette, lookup } = quantize(frame);
+    bytes.push(...palette);
+
+    const indices = new Uint8Array(width * height);
+    for (let p = 0, i4 = 0; p < indices.length; p++, i4 += 4) {
+      indices[p] = lookup[((frame.data[i4] >> 3) << 10) | ((frame.data[i4 + 1] >> 3) << 5) | (frame.data[i4 + 2] >> 3)];
+    }
+    bytes.push(8);
+    flush();
+    chunks.push(Buffer.from(lzwEncode(indices)));
+  });
+
+  bytes.push(0x3b);
+  flush();
+  return Buffer.concat(chunks);
+}
+
+module.exports = {
+  quantize,
+  encodeGif
+};
@@ -0,0 +1,203 @@
+/**
+ * Minimal image helpers on decoded PNG data
+ *
+ * Images are plain objects: { width, height, data } with RGBA bytes (as decoded
+ * by pngjs), and grayscale images are { width, height, pixels } with one
+ * Float32 luminance value (0-255) per pixel.
+ */
+
+const fs = require('fs');
+const { PNG } = require('pngjs');
+
+/**
+ * Decode a PNG buffer or file
+ * @param {Buffer|string} source - PNG data or a file path
+ * @returns {{width: number, height: number, data: Buffer}}
+ */
+function decodePng(source) {
+  const buffer = typeof source === 'string' ? fs.readFileSync(source) : source;
+  const { width, height, data } = PNG.sync.read(buffer);
+  return { width, height, data };
+}
+
+/**
+ * Encode an RGBA image as PNG
+ * @returns {Buffer}
+ */
+function encodePng(image) {
+  const png = new PNG({ width: image.width, height: image.height });
+  image.data.copy(png.data);
+  return PNG.sync.write(png);
+}
+
+/**
+ * Clamp a rectangle to the bounds of an image; a missing rect means the whole image
+ * @returns {{x: number, y: number, width: number, height: number}}
+ */
+function clampRect(rect, width, height) {
+  if (!rect) return { x: 0, y: 0, width, height };
+
+  const x = Math.max(0, Math.min(width, Math.round(rect.x)));
+  const y = Math.max(0, Math.min(height, Math.round(rect.y)));
+  return {
+    x,
+    y,
+    width: Math.max(0, Math.min(width - x, Math.round(rect.width))),
+    height: Math.max(0, Math.min(height - y, Math.round(rect.height)))
+  };
+}
+
+/**
+ * Copy a rectangle out of an RGBA image
+ */
+function cropImage(image, rect) {
+  const r = clampRect(rect, image.width, image.height);
+  const data = Buffer.alloc(r.width * r.height * 4);
+
+  for (let row = 0; row < r.height; row++) {
+    const start = ((r.y + row) * image.width + r.x) * 4;
+    image.data.copy(data, row * r.width * 4, start, start + r.width * 4);
+  }
+
+  return { width: r.width, height: r.height, data };
+}
+
+/**
+ * Convert (a region of) an RGBA image to grayscale, optionally downsampling
+ * by an integer factor with box averaging
+ * @param {Object} image - RGBA image
+ * @param {Object} [rect] - Region to convert (whole image when omitted)
+ * @param {number} [scale=1] - Downsampling factor
+ */
+function toGrayscale(image, rect, scale = 1) {
+  const r = clampRect(rect, image.width, image.height);
+  const width = Math.floor(r.width / scale);
+  const height = Math.floor(r.height / scale);
+  const pixels = new Float32Array(width * height);
+  const area = scale * scale;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let sum = 0;
+      for (let dy = 0; dy < scale; dy++) {
+        let idx = ((r.y + y * scale + dy) * image.width + r.x + x * scale) * 4;
+        for (let dx = 0; dx < scale; dx++, idx += 4) {
+          sum += 0.299 * image.data[idx] + 0.587 * image.data[idx + 1] + 0.114 * image.data[idx + 2];
+        }
+      }
+      pixels[y * width + x] = sum / area;
+    }
+  }
+
+  return { width, height, pixels };
+}
+
+/**
+ * Resize a grayscale image to an exact size by area averaging
+ */
+function resizeGray(gray, width, height) {
+  const pixels = new Float32Array(width * height);
+  const sx = gray.width / width;
+  const sy = gray.height / height;
+
+  for (let y = 0; y < height; y++) {
+    const y0 = Math.floor(y * sy);
+    const y1 = Math.max(y0 + 1, Math.floor((y + 1) * sy));
+    for (let x = 0; x < width; x++) {
+      const x0 = Math.floor(x * sx);
+      const x1 = Math.max(x0 + 1, Math.floor((x + 1) * sx));
+      let sum = 0;
+      for (let yy = y0; yy < y1; yy++) {
+        for (let xx = x0; xx < x1; xx++) {
+          sum += gray.pixels[yy * gray.width + xx];
+        }
+      }
+      pixels[y * width + x] = sum / ((y1 - y0) * (x1 - x0));
+    }
+  }
+
+  return { width, height, pixels };
+}
+
+/**
+ * Resize an RGBA image to an exact size by area averaging (best for shrinking)
+ */
+function resizeImage(image, width, height) {
+  const data = Buffer.alloc(width * height * 4);
+  const sx = image.width / width;
+  const sy = image.height / height;
+
+  for (let y = 0; y < height; y++) {
+    const y0 = Math.floor(y * sy);
+    const y1 = Math.max(y0 + 1, Math.floor((y + 1) * sy));
+    for (let x = 0; x < width; x++) {
+      const x0 = Math.floor(x * sx);
+      const x1 = Math.max(x0 + 1, Math.floor((x + 1) * sx));
+      const sum = [0, 0, 0, 0];
+      for (let yy = y0; yy < y1; yy++) {
+        for (let xx = x0; xx < x1; xx++) {
+          const i = (yy * image.width + xx) * 4;
+          for (let c = 0; c < 4; c++) sum[c] += image.data[i + c];
+        }
+      }
+      const count = (y1 - y0) * (x1 - x0);
+      for (let c = 0; c < 4; c++) data[(y * width + x) * 4 + c] = Math.round(sum[c] / count);
+    }
+  }
+
+  return { width, height, data };
+}
+
+/**
+ * Enlarge a grayscale image by a factor with bilinear interpolation
+ */
+function upscaleGray(gray, factor) {
+  const width = Math.round(gray.width * factor);
+  const height = Math.round(gray.height * factor);
+  const pixels = new Float32Array(width * height);
+
+  for (let y = 0; y < height; y++) {
+    const sy = Math.min(gray.height - 1, Math.max(0, (y + 0.5) / factor - 0.5));
+    const y0 = Math.floor(sy);
+    const y1 = Math.min(gray.height - 1, y0 + 1);
+    const fy = sy - y0;
+    for (let x = 0; x < width; x++) {
+      const sx = Math.min(gray.width - 1, Math.max(0, (x + 0.5) / factor - 0.5));
+      const x0 = Math.floor(sx);
+      const x1 = Math.min(gray.width - 1, x0 + 1);
+      const fx = sx - x0;
+      const top = gray.pixels[y0 * gray.width + x0] * (1 - fx) + gray.pixels[y0 * gray.width + x1] * fx;
+      const bottom = gray.pixels[y1 * gray.width + x0] * (1 - fx) + gray.pixels[y1 * gray.width + x1] * fx;
+      pixels[y * width + x] = top * (1 - fy) + bottom * fy;
+    }
+  }
+
+  return { width, height, pixels };
+}
+
+/**
+ * Expand a grayscale image back to opaque RGBA (e.g. for encodePng)
+ */
+function grayToRgba(gray) {
+  const data = Buffer.alloc(gray.width * gray.height * 4);
+  for (let i = 0; i < gray.pixels.length; i++) {
+    const v = Math.max(0, Math.min(255, Math.round(gray.pixels[i])));
+    data[i * 4] = v;
+    data[i * 4 + 1] = v;
+    data[i * 4 + 2] = v;
+    data[i * 4 + 3] = 255;
+  }
+  return { width: gray.width, height: gray.height, data };
+}
+
+module.exports = {
+  decodePng,
+  encodePng,
+  clampRect,
+  cropImage,
+  toGrayscale,
+  resizeGray,
+  resizeImage,
+  upscaleGray,
+  grayToRgba
+};
@@ -0,0 +1,219 @@
+/**
+ * KML and KMZ export of a run's unique images
+ *
+ * Each image becomes a GroundOverlay of its map crop, placed by the run's
+ * georeference (see lib/georef.js) and stamped with its imagery date, so the
+ * time slider of Google Earth Pro or QGIS steps through the acquisitions. A
+ * placemark marks the target coordinates, and the capture metadata goes in
+ * ExtendedData. The KMZ carries the images; the KML points at the files in
+ * the run folder.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const archiver = require('archiver');
+
+const { orderByDate } = require('./timelapse');
+
+const KML_FORMATS = ['kml', 'kmz'];
+
+const KML_FILES = {
+  kml: 'imagery.kml',
+  kmz: 'imagery.kmz'
+};
+
+// Folder of the images inside a KMZ
+const KMZ_IMAGE_DIR = 'files';
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * ExtendedData block from name -> value pairs, leaving out empty values
+ */
+function extendedData(fields, indent) {
+  const rows = Object.entries(fields)
+    .filter(([, value]) => value !== null && value !== undefined && value !== '')
+    .map(([name, value]) => `${indent}  <Data name="${escapeXml(name)}"><value>${escapeXml(value)}</value></Data>`);
+  return [`${indent}<ExtendedData>`, ...rows, `${indent}</ExtendedData>`].join('\n');
+}
+
+/**
+ * KML time of an image: the parsed imagery date, or the estimated year
+ */
+function imageTime(image) {
+  return image.imageryDate ? image.imageryDate.iso : String(image.estimatedYear);
+}
+
+/**
+ * Build the KML document of a run
+ * @param {Object} metadata - Run metadata with a georeference
+ * @param {Array<Object>} images - metadata.images
+ * @param {Object} [options]
+ * @param {Function} [options.href] - Link to an image file from its name; the name itself by default
+ * @returns {string} - KML text
+ * @throws {Error} - When the run was not georeferenced
+ */
+function buildKml(metadata, images, { href = (file) => file } = {}) {
+  const georef = metadata.georeference;
+  if (!georef || !georef.latLonBox) {
+    throw new Error('The run has no georeference, so its images cannot be placed (see the georeference setting)');
+  }
+
+  const [lat, lon] = String(metadata.coordinates).split(',').map(Number);
+  const title = metadata.locationName || metadata.coordinates;
+  const box = georef.latLonBox;
+
+  const overlays = orderByDate(images).map((image, i) => {
+    const date = image.imageryDate;
+    const when = imageTime(image);
+    const note = !date ? 'Year estimated from the timeline position' :
+      date.olderThan ? `Imagery from ${date.iso} or earlier` : `Imagery from ${date.iso}`;
+    return [
+      '      <GroundOverlay>',
+      `        <name>${escapeXml(image.formattedDate)}</name>`,
+      `        <description>${escapeXml(note)}</description>`,
+      `        <TimeStamp><when>${escapeXml(when)}</when></TimeStamp>`,
+      extendedData({
+        groupId: image.groupId,
+        file: image.file,
+        mapFile: image.mapFile,
+        imageryDate: date ? date.iso : null,
+        datePrecision: date ? date.precision : null,
+        olderThan: date ? date.olderThan : null,
+        estimatedYear: image.estimatedYear,
+        detectedDateText: image.detectedDateText,
+        ocrConfidence: image.ocrConfidence,
+        dateFromOcr: image.dateFromOcr
+      }, '        '),
+      // Later acquisitions draw on top
+      `        <drawOrder>${i + 1}</drawOrder>`,
+      `        <Icon><href>${escapeXml(href(image.mapFile))}</href></Icon>`,
+      '        <LatLonBox>',
+      `          <north>${box.north}</north>`,
+      `          <south>${box.south}</south>`,
+      `          <east>${box.east}</east>`,
+      `          <west>${box.west}</west>`,
+      `          <rotation>${box.rotation}</rotation>`,
+      '        </LatLonBox>',
+      '      </GroundOverlay>'
+    ].join('\n');
+  });
+
+  const profile = metadata.uiProfile || {};
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    '  <Document>',
+    `    <name>${escapeXml(`Historical imagery: ${title}`)}</name>`,
+    '    <open>1</open>',
+    extendedData({
+      locationName: metadata.locationName,
+      coordinates: metadata.coordinates,
+      runId: metadata.runId,
+      startTime: metadata.startTime,
+      endTime: metadata.endTime,
+      capturedImages: images.length,
+      actualYearRange: metadata.actualYearRange,
+      zoomLevel: metadata.zoomLevel,
+      additionalZoomSteps: metadata.additionalZoomSteps,
+      uiProfile: profile.name ? `${profile.name} (${profile.revision})` : null,
+      crs: georef.crs,
+      metersPerPixel: georef.metersPerPixel,
+      cameraDistance: georef.camera.distance,
+      cameraAltitude: georef.camera.altitude,
+      cameraHeading: georef.camera.heading,
+      fieldOfView: georef.camera.fov
+    }, '    '),
+    '    <Placemark>',
+    `      <name>${escapeXml(title)}</name>`,
+    `      <Point><coordinates>${lon},${lat},0</coordinates></Point>`,
+    '    </Placemark>',
+    '    <Folder>',
+    '      <name>Imagery</name>',
+    ...overlays,
+    '    </Folder>',
+    '  </Document>',
+    '</kml>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Package a KML document and its images as a KMZ
+ * @returns {Promise<number>} - Total bytes written
+ */
+function writeKmz(outputPath, kml, runDir, images) {
+  return new Promise((resolve, reject) => {
+    const output = fs.createWriteStream(outputPath);
+    const archive = archiver('zip', {
+      zlib: { level: 9 }
+    });
+
+    output.on('close', () => {
+      resolve(archive.pointer());
+    });
+
+    archive.on('error', (err) => {
+      reject(err);
+    });
+
+    archive.pipe(output);
+    // Readers take the first .kml in the archive as the document
+    archive.append(kml, { name: 'doc.kml' });
+    for (const image of images) {
+      // PNGs are compressed already
+      archive.file(path.join(runDir, image.mapFile), { name: `${KMZ_IMAGE_DIR}/${image.mapFile}`, store: true });
+    }
+    archive.finalize();
+  });
+}
+
+/**
+ * Write the KML and/or KMZ of a run into its folder
+ * @param {string} runDir - Run folder
+ * @param {Object} metadata - Run metadata with a georeference
+ * @param {Array<Object>} images - metadata.images
+ * @param {string[]} [formats=['kmz']] - KML_FORMATS to write
+ * @param {Function} [log] - Run logger
+ * @returns {Promise<Object>} - format -> path of the written file
+ */
+async function writeKml(runDir, metadata, images, formats = ['kmz'], log = () => {}) {
+  const unknown = formats.filter(format => !KML_FORMATS.includes(format));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown KML format(s) ${unknown.join(', ')} (use ${KML_FORMATS.join(', ')})`);
+  }
+  const missing = images.filter(image => !fs.existsSync(path.join(runDir, image.mapFile)));
+  if (missing.length > 0) {
+    throw new Error(`Cannot build the KML: ${missing.map(image => image.mapFile).join(', ')} missing from ${runDir}`);
+  }
+
+  const written = {};
+  if (formats.includes('kml')) {
+    written.kml = path.join(runDir, KML_FILES.kml);
+    fs.writeFileSync(written.kml, buildKml(metadata, images));
+  }
+  if (formats.includes('kmz')) {
+    written.kmz = path.join(runDir, KML_FILES.kmz);
+    const kml = buildKml(metadata, images, { href: (file) => `${KMZ_IMAGE_DIR}/${file}` });
+    await writeKmz(written.kmz, kml, runDir, images);
+  }
+
+  for (const [format, file] of Object.entries(written)) {
+    log(`${format.toUpperCase()} with ${images.length} ground overlay(s) written to ${path.basename(file)}`, { event: 'kml', format });
+  }
+  return written;
+}
+
+module.exports = {
+  KML_FORMATS,
+  KML_FILES,
+  buildKml,
+  writeKml
+};
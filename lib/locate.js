@@ -0,0 +1,244 @@
+/**
+ * Visual locator for Earth UI controls
+ *
+ * Earth Web draws its controls on a canvas, so there is nothing to query in
+ * the DOM. Instead, a control is found the way a person finds it: by looking
+ * for its icon. Each UI profile keeps reference icons in
+ * assets/templates/<profile>/, and they are matched against a screenshot with
+ * normalized cross-correlation (NCC) at several scales. NCC ignores uniform
+ * brightness and contrast changes such as hover highlights, and the scales
+ * cover moderate browser zoom.
+ */
+
+const path = require('path');
+
+const { decodePng, clampRect, toGrayscale, resizeGray } = require('./image');
+const { getProfile } = require('./profiles');
+
+const TEMPLATE_DIR = path.join(__dirname, '..', 'assets', 'templates');
+
+// Template sizes tried, relative to the stored icon
+const DEFAULT_SCALES = [0.8, 0.9, 1, 1.1, 1.25];
+// NCC score (-1..1) a match needs to count as found
+const MIN_MATCH_SCORE = 0.75;
+// Best score still reported (as not found) so near misses show up in the log
+const NEAR_MISS_SCORE = 0.4;
+// Coarse-pass positions this far below the threshold are still refined
+const COARSE_MARGIN = 0.2;
+// Matches whose centres are closer than this fraction of the icon size are one control
+const SUPPRESSION_DISTANCE = 0.5;
+
+const templateCache = new Map();
+
+/**
+ * Load a reference icon as grayscale
+ * @param {string} file - Path to a PNG
+ * @returns {{width: number, height: number, pixels: Float32Array}}
+ */
+function loadTemplate(file) {
+  if (!templateCache.has(file)) {
+    templateCache.set(file, toGrayscale(decodePng(file)));
+  }
+  return templateCache.get(file);
+}
+
+/**
+ * Summed-area tables of values and squared values for O(1) window statistics
+ */
+function integralImages(gray) {
+  const w = gray.width + 1;
+  const sum = new Float64Array(w * (gray.height + 1));
+  const squares = new Float64Array(w * (gray.height + 1));
+
+  for (let y = 0; y < gray.height; y++) {
+    let rowSum = 0;
+    let rowSquares = 0;
+    for (let x = 0; x < gray.width; x++) {
+      const v = gray.pixels[y * gray.width + x];
+      rowSum += v;
+      rowSquares += v * v;
+      sum[(y + 1) * w + x + 1] = sum[y * w + x + 1] + rowSum;
+      squares[(y + 1) * w + x + 1] = squares[y * w + x + 1] + rowSquares;
+    }
+  }
+
+  const area = (table, x, y, width, height) =>
+    table[(y + height) * w + x + width] - table[y * w + x + width] - table[(y + height) * w + x] + table[y * w + x];
+  return {
+    sum: (x, y, width, height) => area(sum, x, y, width, height),
+    squares: (x, y, width, height) => area(squares, x, y, width, height)
+  };
+}
+
+/**
+ * Score every placement of a template on a coarse grid, then refine the peaks
+ * @returns {Array<{x: number, y: number, score: number}>} - Top-left corners in gray coordinates
+ */
+function correlate(gray, integrals, template, minScore) {
+  const { width: tw, height: th } = template;
+  const n = tw * th;
+
+  // Zero-mean template, so the cross term needs no window mean
+  let mean = 0;
+  for (let i = 0; i < n; i++) mean += template.pixels[i];
+  mean /= n;
+  const centred = new Float32Array(n);
+  let norm = 0;
+  for (let i = 0; i < n; i++) {
+    centred[i] = template.pixels[i] - mean;
+    norm += centred[i] * centred[i];
+  }
+  norm = Math.sqrt(norm);
+  if (norm < 1e-6) return [];
+
+  const maxX = gray.width - tw;
+  const maxY = gray.height - th;
+  const score = (x, y) => {
+    const sum = integrals.sum(x, y, tw, th);
+    const variance = integrals.squares(x, y, tw, th) - (sum * sum) / n;
+    if (variance < 1e-6 * n) return 0;
+    let cross = 0;
+    for (let row = 0; row < th; row++) {
+      const offset = (y + row) * gray.width + x;
+      for (let col = 0; col < tw; col++) {
+        cross += centred[row * tw + col] * gray.pixels[offset + col];
+      }
+    }
+    return cross / (norm * Math.sqrt(variance));
+  };
+
+  // Coarse pass every other pixel
+  const step = 2;
+  const columns = Math.floor(maxX / step) + 1;
+  const rows = Math.floor(maxY / step) + 1;
+  const coarse = new Float32Array(columns * rows);
+  for (let j = 0; j < rows; j++) {
+    for (let i = 0; i < columns; i++) {
+      coarse[j * columns + i] = score(i * step, j * step);
+    }
+  }
+
+  // Refine each coarse local maximum over its neighbourhood
+  const peaks = [];
+  for (let j = 0; j < rows; j++) {
+    for (let i = 0; i < columns; i++) {
+      const value = coarse[j * columns + i];
+      if (value < minScore - COARSE_MARGIN) continue;
+      let isPeak = true;
+      for (let dj = -1; dj <= 1 && isPeak; dj++) {
+        for (let di = -1; di <= 1 && isPeak; di++) {
+          const ni = i + di;
+          const nj = j + dj;
+          if ((di || dj) && ni >= 0 && nj >= 0 && ni < columns && nj < rows && coarse[nj * columns + ni] > value) {
+            isPeak = false;
+          }
+        }
+      }
+      if (!isPeak) continue;
+
+      let best = { x: i * step, y: j * step, score: value };
+      for (let y = Math.max(0, j * step - 1); y <= Math.min(maxY, j * step + 1); y++) {
+        for (let x = Math.max(0, i * step - 1); x <= Math.min(maxX, i * step + 1); x++) {
+          const s = score(x, y);
+          if (s > best.score) best = { x, y, score: s };
+        }
+      }
+      if (best.score >= minScore) peaks.push(best);
+    }
+  }
+
+  return peaks;
+}
+
+/**
+ * Find a template in a screenshot with multi-scale normalized cross-correlation
+ * @param {Object} image - Decoded RGBA screenshot
+ * @param {Object} template - Grayscale reference icon (see loadTemplate)
+ * @param {Object} [options]
+ * @param {Object} [options.rect] - Area to search (whole image when omitted)
+ * @param {number[]} [options.scales] - Template scale factors to try
+ * @param {number} [options.minScore=0.75] - Lowest NCC score to return
+ * @param {number} [options.maxMatches=1] - How many separate matches to return
+ * @returns {Array<{x: number, y: number, rect: Object, scale: number, score: number}>} -
+ *   Best first; x and y are the match centre in screenshot coordinates
+ */
+function matchTemplate(image, template, { rect, scales = DEFAULT_SCALES, minScore = MIN_MATCH_SCORE, maxMatches = 1 } = {}) {
+  const area = clampRect(rect, image.width, image.height);
+  const gray = toGrayscale(image, area);
+  const integrals = integralImages(gray);
+
+  const candidates = [];
+  for (const scale of scales) {
+    const width = Math.round(template.width * scale);
+    const height = Math.round(template.height * scale);
+    if (width < 4 || height < 4 || width > gray.width || height > gray.height) continue;
+
+    const scaled = scale === 1 ? template : resizeGray(template, width, height);
+    for (const peak of correlate(gray, integrals, scaled, minScore)) {
+      candidates.push({
+        x: area.x + peak.x + Math.floor(width / 2),
+        y: area.y + peak.y + Math.floor(height / 2),
+        rect: { x: area.x + peak.x, y: area.y + peak.y, width, height },
+        scale,
+        score: Math.round(peak.score * 1000) / 1000
+      });
+    }
+  }
+
+  // Keep the best match of each cluster, across scales
+  candidates.sort((a, b) => b.score - a.score);
+  const matches = [];
+  for (const candidate of candidates) {
+    const distance = SUPPRESSION_DISTANCE * Math.max(candidate.rect.width, candidate.rect.height);
+    if (matches.some(m => Math.hypot(m.x - candidate.x, m.y - candidate.y) < distance)) continue;
+    matches.push(candidate);
+    if (matches.length >= maxMatches) break;
+  }
+
+  return matches;
+}
+
+/**
+ * Locate one of a UI profile's controls in a screenshot
+ * @param {Object} image - Decoded RGBA screenshot
+ * @param {string} profileName - UI profile the screenshot was identified as
+ * @param {string} control - Key of the profile's templates, e.g. 'historyButton'
+ * @param {Object} [options]
+ * @param {Object} [options.rect] - Area to search instead of the profile's search area
+ * @param {number} [options.minScore] - Score needed to count as found
+ * @returns {{control: string, found: boolean, x: number, y: number, rect: Object, scale: number, score: number}|null} -
+ *   The best match, found or not (so callers can log how close it came); null when nothing matched at all
+ */
+function locateControl(image, profileName, control, options = {}) {
+  const definition = (getProfile(profileName).templates || {})[control];
+  if (!definition) {
+    throw new Error(`UI profile "${profileName}" has no reference icon for ${control}`);
+  }
+
+  const template = loadTemplate(path.join(TEMPLATE_DIR, profileName, definition.file));
+  const minScore = options.minScore !== undefined ? options.minScore : (definition.minScore || MIN_MATCH_SCORE);
+  const rect = options.rect || (definition.search ? definition.search(image.width, image.height) : null);
+
+  const [best] = matchTemplate(image, template, { rect, minScore: Math.min(minScore, NEAR_MISS_SCORE) });
+  if (!best) return null;
+
+  return { control, found: best.score >= minScore, ...best };
+}
+
+/**
+ * One-line log description of a locateControl result
+ */
+function describeLocation(location) {
+  if (!location) return 'no match';
+  return `${location.found ? 'found' : 'not found'} at (${location.x}, ${location.y}), ` +
+    `match ${location.score.toFixed(2)} at scale ${location.scale}`;
+}
+
+module.exports = {
+  TEMPLATE_DIR,
+  MIN_MATCH_SCORE,
+  loadTemplate,
+  matchTemplate,
+  locateControl,
+  describeLocation
+};
@@ -0,0 +1,109 @@
+/**
+ * Structured run logger
+ *
+ * Each entry is written to the run's log file as one JSON object per line:
+ *   { ts, level, runId, step, location, msg, event?, ...fields }
+ * Entries meant for machines carry an `event` name (step timings, decisions,
+ * OCR results, render waits) and their numbers under `metrics`; see
+ * lib/logsummary.js for the summary built from them. The console shows the
+ * same entries as readable lines, filtered by verbosity, while the file always
+ * receives every level.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+const LOG_FILE = 'capture_log.jsonl';
+
+/**
+ * New run id: the date plus random hex, e.g. "20250416-9f3a61c2"
+ */
+function createRunId(date = new Date()) {
+  return `${date.toISOString().slice(0, 10).replace(/-/g, '')}-${crypto.randomBytes(4).toString('hex')}`;
+}
+
+/**
+ * Render an entry as one console line
+ */
+function formatEntry(entry) {
+  const tag = entry.level === 'info' ? '' : `${entry.level.toUpperCase()} `;
+  const step = entry.step ? `[${entry.step}] ` : '';
+  return `[${entry.ts}] ${tag}${step}${entry.msg}`;
+}
+
+/**
+ * Create a logger bound to an output directory
+ * @param {string} outputDir - Directory that receives the log file
+ * @param {Object} [options]
+ * @param {string} [options.fileName='capture_log.jsonl'] - Log file name
+ * @param {string} [options.runId] - Run id stamped on every entry (a new one when omitted)
+ * @param {string} [options.level='info'] - Lowest level shown on the console
+ * @param {Object} [options.fields] - Fields added to every entry, e.g. { location }
+ * @param {boolean} [options.console=true] - Also print to the console
+ * @returns {Function} - log(message, fields); fields.level picks the level (default info).
+ *   Also has debug/info/warn/error(message, fields), child(fields) and runId.
+ */
+function createLogger(outputDir, { fileName = LOG_FILE, runId = createRunId(), level = 'info', fields = {}, console: toConsole = true } = {}) {
+  if (!LOG_LEVELS.includes(level)) {
+    throw new Error(`Unknown log level "${level}" (use ${LOG_LEVELS.join(', ')})`);
+  }
+  const logPath = path.join(outputDir, fileName);
+  const threshold = LOG_LEVELS.indexOf(level);
+
+  const write = (entry) => {
+    fs.appendFileSync(logPath, JSON.stringify(entry) + '\n');
+    if (toConsole && LOG_LEVELS.indexOf(entry.level) >= threshold) {
+      (entry.level === 'error' ? console.error : console.log)(formatEntry(entry));
+    }
+  };
+
+  const bind = (bound) => {
+    const log = (message, { level: entryLevel = 'info', ...extra } = {}) => {
+      const entry = { ts: new Date().toISOString(), level: entryLevel, runId, ...bound, msg: String(message) };
+      for (const [key, value] of Object.entries(extra)) {
+        if (value !== undefined) entry[key] = value;
+      }
+      write(entry);
+    };
+    for (const name of LOG_LEVELS) {
+      log[name] = (message, extra = {}) => log(message, { ...extra, level: name });
+    }
+    log.child = (more) => bind({ ...bound, ...more });
+    log.runId = runId;
+    return log;
+  };
+
+  return bind(fields);
+}
+
+/**
+ * Parse a JSON-lines log file
+ * @param {string} file - Log file path
+ * @returns {{entries: Array<Object>, invalidLines: number}}
+ */
+function readLogFile(file) {
+  const entries = [];
+  let invalidLines = 0;
+
+  for (const line of fs.readFileSync(file, 'utf8').split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      entries.push(JSON.parse(line));
+    } catch (error) {
+      invalidLines++;
+    }
+  }
+
+  return { entries, invalidLines };
+}
+
+module.exports = {
+  LOG_LEVELS,
+  LOG_FILE,
+  createRunId,
+  formatEntry,
+  createLogger,
+  readLogFile
+};
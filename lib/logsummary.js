@@ -0,0 +1,169 @@
+/**
+ * Summaries of structured run logs
+ *
+ * Reads the entries lib/logger.js writes and condenses each run into step
+ * timings, decision counts, OCR and render-wait figures, and its warnings and
+ * errors. A resumed run shares its run id with the interrupted one, so both
+ * halves end up in one summary.
+ */
+
+const MAX_LISTED_PROBLEMS = 10;
+
+const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+function emptyRun(runId) {
+  return {
+    runId,
+    location: null,
+    status: null,
+    firstEntry: null,
+    lastEntry: null,
+    steps: {},
+    positions: 0,
+    decisions: {},
+    triggers: {},
+    ocr: { reads: 0, dated: 0, confidenceSum: 0, confidenceCount: 0 },
+    renderWaits: {},
+    warnings: [],
+    errors: []
+  };
+}
+
+/**
+ * Fold one entry into its run's summary
+ */
+function addEntry(run, entry) {
+  if (!run.firstEntry) run.firstEntry = entry.ts;
+  run.lastEntry = entry.ts;
+  if (entry.location && !run.location) run.location = entry.location;
+
+  if (entry.level === 'warn') run.warnings.push(entry.msg);
+  if (entry.level === 'error') run.errors.push(entry.msg);
+
+  const metrics = entry.metrics || {};
+  switch (entry.event) {
+    case 'run':
+      run.status = entry.status;
+      break;
+    case 'step': {
+      const step = run.steps[entry.step] || (run.steps[entry.step] = { count: 0, totalMs: 0, failures: 0 });
+      step.count++;
+      step.totalMs += entry.durationMs || 0;
+      if (entry.status === 'failed') step.failures++;
+      break;
+    }
+    case 'position':
+      run.positions++;
+      break;
+    case 'decision':
+      run.decisions[entry.decision] = (run.decisions[entry.decision] || 0) + 1;
+      if (entry.decision === 'new' && metrics.triggeredBy) {
+        for (const metric of [].concat(metrics.triggeredBy)) {
+          run.triggers[metric] = (run.triggers[metric] || 0) + 1;
+        }
+      }
+      break;
+    case 'ocr':
+      run.ocr.reads++;
+      if (entry.date) run.ocr.dated++;
+      if (typeof metrics.ocrConfidence === 'number') {
+        run.ocr.confidenceSum += metrics.ocrConfidence;
+        run.ocr.confidenceCount++;
+      }
+      break;
+    case 'render-wait': {
+      const waits = run.renderWaits[entry.wait] || (run.renderWaits[entry.wait] = { count: 0, totalMs: 0, maxMs: 0, timeouts: 0 });
+      waits.count++;
+      waits.totalMs += metrics.waitedMs || 0;
+      waits.maxMs = Math.max(waits.maxMs, metrics.waitedMs || 0);
+      if (!entry.ready) waits.timeouts++;
+      break;
+    }
+  }
+}
+
+/**
+ * Summarize log entries, one summary per run id
+ * @param {Array<Object>} entries - Parsed log entries (see readLogFile)
+ * @returns {Array<Object>} - Run summaries in order of first appearance
+ */
+function summarizeLog(entries) {
+  const runs = new Map();
+
+  for (const entry of entries) {
+    const runId = entry.runId || 'unknown';
+    if (!runs.has(runId)) runs.set(runId, emptyRun(runId));
+    addEntry(runs.get(runId), entry);
+  }
+
+  return [...runs.values()].map(run => {
+    const { confidenceSum, confidenceCount, ...ocr } = run.ocr;
+    const steps = {};
+    for (const [name, step] of Object.entries(run.steps)) {
+      steps[name] = { ...step, meanMs: Math.round(step.totalMs / step.count) };
+    }
+    const renderWaits = {};
+    for (const [name, waits] of Object.entries(run.renderWaits)) {
+      renderWaits[name] = { ...waits, meanMs: Math.round(waits.totalMs / waits.count) };
+    }
+
+    return {
+      ...run,
+      durationMs: run.firstEntry ? Date.parse(run.lastEntry) - Date.parse(run.firstEntry) : 0,
+      steps,
+      renderWaits,
+      ocr: { ...ocr, meanConfidence: confidenceCount > 0 ? round(confidenceSum / confidenceCount, 1) : null }
+    };
+  });
+}
+
+/**
+ * Render run summaries as readable text
+ * @param {Array<Object>} summaries - From summarizeLog
+ * @returns {string}
+ */
+function formatSummary(summaries) {
+  const seconds = (ms) => `${(ms / 1000).toFixed(1)}s`;
+  const counts = (object) => Object.entries(object).map(([key, count]) => `${key} ${count}`).join(', ') || 'none';
+  const lines = [];
+
+  for (const run of summaries) {
+    lines.push(`Run ${run.runId}${run.location ? ` (${run.location})` : ''}: ${run.status || 'no status'}, ` +
+      `${seconds(run.durationMs)} from ${run.firstEntry} to ${run.lastEntry}`);
+
+    lines.push('  Steps:');
+    for (const [name, step] of Object.entries(run.steps)) {
+      lines.push(`    ${name}: ${seconds(step.totalMs)}` +
+        (step.count > 1 ? ` over ${step.count} attempts` : '') +
+        (step.failures > 0 ? `, ${step.failures} failed` : ''));
+    }
+    if (Object.keys(run.steps).length === 0) lines.push('    none recorded');
+
+    lines.push(`  Positions visited: ${run.positions}`);
+    lines.push(`  Decisions: ${counts(run.decisions)}`);
+    lines.push(`  New imagery triggered by: ${counts(run.triggers)}`);
+    lines.push(`  OCR: ${run.ocr.dated} of ${run.ocr.reads} read(s) dated` +
+      (run.ocr.meanConfidence !== null ? `, mean confidence ${run.ocr.meanConfidence}%` : ''));
+
+    lines.push('  Render waits:');
+    for (const [name, waits] of Object.entries(run.renderWaits)) {
+      lines.push(`    ${name}: ${waits.count} wait(s), mean ${seconds(waits.meanMs)}, max ${seconds(waits.maxMs)}, ` +
+        `${waits.timeouts} hit the maximum`);
+    }
+    if (Object.keys(run.renderWaits).length === 0) lines.push('    none recorded');
+
+    for (const [label, messages] of [['Warnings', run.warnings], ['Errors', run.errors]]) {
+      lines.push(`  ${label}: ${messages.length}`);
+      for (const message of messages.slice(0, MAX_LISTED_PROBLEMS)) lines.push(`    - ${message}`);
+      if (messages.length > MAX_LISTED_PROBLEMS) lines.push(`    ... and ${messages.length - MAX_LISTED_PROBLEMS} more`);
+    }
+    lines.push('');
+  }
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  summarizeLog,
+  formatSummary
+};
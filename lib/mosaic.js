@@ -0,0 +1,627 @@
+/**
+ * Wide-area mosaics: a grid of overlapping captures stitched into one image per date
+ *
+ * A bounding box larger than one view is covered by a grid of camera
+ * positions whose map crops overlap by a set fraction. Every tile runs through
+ * the normal capture pipeline into its own folder, so it visits the whole
+ * timeline; a failing tile is recorded and the mosaic moves on. The map crops
+ * of each imagery date are then placed by the tiles' georeference (see
+ * lib/georef.js) and nudged into register by matching corner features in the
+ * overlaps, since Earth does not always land the camera exactly where it was
+ * sent. Tiles missing a date leave a transparent hole in that date's mosaic.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { promisify } = require('util');
+const writeFileAsync = promisify(fs.writeFile);
+
+const { createLogger } = require('./logger');
+const { fileTimestamp } = require('./utils');
+const { decodePng, encodePng, toGrayscale } = require('./image');
+const { DEFAULT_LAYOUT, resolveLayout } = require('./regions');
+const { AUTO_PROFILE } = require('./profiles');
+const { groundResolution, metersPerDegree, writeWorldFile } = require('./georef');
+const { nadirCamera } = require('./camera');
+const { cropMasks } = require('./change');
+const { orderByDate } = require('./timelapse');
+const { runCapture } = require('./capture');
+
+const SUMMARY_FILE = 'mosaic_summary.json';
+
+// Settings every tile runs with: a known camera height for the grid, georeferenced
+// tiles for placement, and none of the per-run outputs a tile does not need
+const TILE_SETTINGS = {
+  additionalZoomSteps: 0,
+  georeference: true,
+  reportFormats: [],
+  timelapseFormats: [],
+  kmlFormats: [],
+  changeDetection: false,
+  roi: null,
+  // Tiles are given as coordinates, so no place name needs looking up
+  gazetteer: null,
+  geocoderUrl: null,
+  zip: false
+};
+
+// Feature alignment: corner patches (radius in pixels) are searched for within
+// SEARCH_RADIUS pixels of where the georeference puts them
+const PATCH_RADIUS = 7;
+const SEARCH_RADIUS = 24;
+const FEATURE_CELL = 32;
+const MAX_FEATURES = 60;
+const MIN_CORRELATION = 0.8;
+// Matches agreeing on the offset within INLIER_DISTANCE pixels needed to move a tile
+const MIN_INLIERS = 5;
+const INLIER_DISTANCE = 1.5;
+
+/**
+ * Read a bounding box
+ * @param {string|number[]|Object} value - "south,west,north,east", the same as an array,
+ *   or { south, west, north, east }
+ * @returns {{south: number, west: number, north: number, east: number}}
+ * @throws {Error} - When the box is malformed, empty or crosses the antimeridian
+ */
+function parseBounds(value) {
+  let parts = value;
+  if (typeof value === 'string') parts = value.split(',').map(part => part.trim());
+  if (parts && !Array.isArray(parts) && typeof parts === 'object') {
+    parts = [parts.south, parts.west, parts.north, parts.east];
+  }
+  if (!Array.isArray(parts) || parts.length !== 4) {
+    throw new Error(`A mosaic area must be "south,west,north,east", got ${JSON.stringify(value)}`);
+  }
+
+  const [south, west, north, east] = parts.map(Number);
+  if (![south, west, north, east].every(Number.isFinite)) {
+    throw new Error(`A mosaic area must be four numbers "south,west,north,east", got ${JSON.stringify(value)}`);
+  }
+  if (south < -85 || north > 85 || west < -180 || east > 180) {
+    throw new Error('A mosaic area must lie within latitudes -85..85 and longitudes -180..180');
+  }
+  if (south >= north || west >= east) {
+    throw new Error(`A mosaic area needs south < north and west < east (boxes across the antimeridian are not supported), got ${parts.join(',')}`);
+  }
+  return { south, west, north, east };
+}
+
+/**
+ * Plan the grid of camera positions covering a bounding box
+ *
+ * Tiles are laid out so their map crops, not the whole screenshots, overlap
+ * by `overlap` and the grid is centred on the box. Rows run north to south,
+ * columns west to east.
+ * @param {Object} bounds - From parseBounds
+ * @param {Object} options
+ * @param {number} options.zoomLevel - Camera altitude in meters
+ * @param {{width: number, height: number}} options.viewport - Screenshot size
+ * @param {string} [options.uiLayout] - UI profile whose map rectangle is cropped
+ * @param {number} options.overlap - Fraction of a map crop shared with each neighbour
+ * @param {number} options.maxTiles - Largest grid allowed
+ * @returns {Object} - Grid geometry and tiles [{ id, row, col, lat, lon, coordinates }]
+ * @throws {Error} - When the grid would exceed maxTiles
+ */
+function planMosaic(bounds, { zoomLevel, viewport, uiLayout = AUTO_PROFILE, overlap, maxTiles }) {
+  const layout = resolveLayout(uiLayout === AUTO_PROFILE ? DEFAULT_LAYOUT : uiLayout, viewport.width, viewport.height);
+  const map = layout.map;
+  const centre = { lat: (bounds.south + bounds.north) / 2, lon: (bounds.west + bounds.east) / 2 };
+  const { metersPerPixel } = groundResolution(nadirCamera(centre.lat, centre.lon, zoomLevel), viewport.height);
+  const scale = metersPerDegree(centre.lat);
+
+  const tile = { width: map.width * metersPerPixel, height: map.height * metersPerPixel };
+  const step = { width: tile.width * (1 - overlap), height: tile.height * (1 - overlap) };
+  const area = { width: (bounds.east - bounds.west) * scale.lon, height: (bounds.north - bounds.south) * scale.lat };
+  const count = (extent, size, stride) => (extent <= size ? 1 : Math.ceil((extent - size) / stride) + 1);
+  const cols = count(area.width, tile.width, step.width);
+  const rows = count(area.height, tile.height, step.height);
+
+  if (rows * cols > maxTiles) {
+    throw new Error(`Covering the area takes a ${rows}x${cols} grid of ${rows * cols} tiles, more than mosaicMaxTiles ` +
+      `(${maxTiles}); raise it, raise zoomLevel or lower mosaicOverlap`);
+  }
+
+  const span = { width: tile.width + (cols - 1) * step.width, height: tile.height + (rows - 1) * step.height };
+  // The map crop is not centred on the screen, and the camera targets the screen centre
+  const shift = {
+    right: (map.x + map.width / 2 - viewport.width / 2) * metersPerPixel,
+    down: (map.y + map.height / 2 - viewport.height / 2) * metersPerPixel
+  };
+
+  const tiles = [];
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < cols; col++) {
+      const east = -span.width / 2 + tile.width / 2 + col * step.width - shift.right;
+      const north = span.height / 2 - tile.height / 2 - row * step.height + shift.down;
+      const lat = round(centre.lat + north / scale.lat);
+      const lon = round(centre.lon + east / scale.lon);
+      tiles.push({ id: tileId(row, col), row, col, lat, lon, coordinates: `${lat},${lon}` });
+    }
+  }
+
+  return {
+    bounds,
+    // Corners of the area the grid covers, a little more than the box
+    extent: {
+      north: round(centre.lat + span.height / 2 / scale.lat),
+      south: round(centre.lat - span.height / 2 / scale.lat),
+      west: round(centre.lon - span.width / 2 / scale.lon),
+      east: round(centre.lon + span.width / 2 / scale.lon)
+    },
+    zoomLevel,
+    viewport,
+    mapRect: map,
+    metersPerPixel,
+    overlap,
+    rows,
+    cols,
+    // Map crop size and distance between tile centres, in pixels
+    tileSize: { width: map.width, height: map.height },
+    step: { width: step.width / metersPerPixel, height: step.height / metersPerPixel },
+    tiles
+  };
+}
+
+function tileId(row, col) {
+  return `r${String(row + 1).padStart(2, '0')}_c${String(col + 1).padStart(2, '0')}`;
+}
+
+// Seven decimals of a degree are about a centimeter
+function round(degrees) {
+  return Math.round(degrees * 1e7) / 1e7;
+}
+
+/**
+ * Key that groups the images of one acquisition across tiles
+ */
+function dateKey(image) {
+  return image.imageryDate ? image.imageryDate.iso : String(image.estimatedYear);
+}
+
+/**
+ * Harris corner features of a grayscale image within a rectangle, at most one per
+ * FEATURE_CELL square, strongest first
+ * @param {Object} gray - Grayscale image
+ * @param {{x: number, y: number, width: number, height: number}} rect - Search area
+ * @param {Array<Object>} [exclude] - Rectangles (UI masks) to keep features out of
+ * @returns {Array<{x: number, y: number, response: number}>}
+ */
+function detectFeatures(gray, rect, exclude = []) {
+  const { width, pixels } = gray;
+  const x0 = Math.max(rect.x, 2);
+  const y0 = Math.max(rect.y, 2);
+  const x1 = Math.min(rect.x + rect.width, gray.width - 2);
+  const y1 = Math.min(rect.y + rect.height, gray.height - 2);
+  if (x1 - x0 < 5 || y1 - y0 < 5) return [];
+
+  const w = x1 - x0;
+  const h = y1 - y0;
+  const xx = new Float32Array(w * h);
+  const yy = new Float32Array(w * h);
+  const xy = new Float32Array(w * h);
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      const i = (y0 + y) * width + x0 + x;
+      const gx = pixels[i + 1] - pixels[i - 1];
+      const gy = pixels[i + width] - pixels[i - width];
+      xx[y * w + x] = gx * gx;
+      yy[y * w + x] = gy * gy;
+      xy[y * w + x] = gx * gy;
+    }
+  }
+
+  // Structure tensor summed over a 5x5 window, then the Harris response per cell
+  const cells = new Map();
+  for (let y = 2; y < h - 2; y++) {
+    for (let x = 2; x < w - 2; x++) {
+      let a = 0, b = 0, c = 0;
+      for (let dy = -2; dy <= 2; dy++) {
+        for (let dx = -2; dx <= 2; dx++) {
+          const j = (y + dy) * w + x + dx;
+          a += xx[j];
+          b += yy[j];
+          c += xy[j];
+        }
+      }
+      const response = a * b - c * c - 0.04 * (a + b) * (a + b);
+      if (!(response > 0)) continue;
+
+      const px = x0 + x;
+      const py = y0 + y;
+      const cell = `${Math.floor(px / FEATURE_CELL)},${Math.floor(py / FEATURE_CELL)}`;
+      const best = cells.get(cell);
+      if (!best || response > best.response) cells.set(cell, { x: px, y: py, response });
+    }
+  }
+
+  const strongest = Math.max(0, ...[...cells.values()].map(f => f.response));
+  return [...cells.values()]
+    .filter(f => f.response > strongest * 0.01)
+    .filter(f => !exclude.some(r => f.x >= r.x - PATCH_RADIUS && f.x < r.x + r.width + PATCH_RADIUS &&
+      f.y >= r.y - PATCH_RADIUS && f.y < r.y + r.height + PATCH_RADIUS))
+    .sort((a, b) => b.response - a.response)
+    .slice(0, MAX_FEATURES);
+}
+
+/**
+ * Normalized cross-correlation of the patch around (ax, ay) in a with the patch around (bx, by) in b
+ */
+function correlate(a, ax, ay, b, bx, by) {
+  let sa = 0, sb = 0, saa = 0, sbb = 0, sab = 0;
+  const n = (2 * PATCH_RADIUS + 1) ** 2;
+  for (let dy = -PATCH_RADIUS; dy <= PATCH_RADIUS; dy++) {
+    const ia = (ay + dy) * a.width + ax;
+    const ib = (by + dy) * b.width + bx;
+    for (let dx = -PATCH_RADIUS; dx <= PATCH_RADIUS; dx++) {
+      const va = a.pixels[ia + dx];
+      const vb = b.pixels[ib + dx];
+      sa += va;
+      sb += vb;
+      saa += va * va;
+      sbb += vb * vb;
+      sab += va * vb;
+    }
+  }
+  const cov = sab - (sa * sb) / n;
+  const varA = saa - (sa * sa) / n;
+  const varB = sbb - (sb * sb) / n;
+  return varA > 0 && varB > 0 ? cov / Math.sqrt(varA * varB) : 0;
+}
+
+/**
+ * Offset that brings tile b into register with an already placed tile a
+ *
+ * Corners found in the part of a that b overlaps are looked for in b around
+ * where the guessed placement puts them; the median of the agreeing
+ * displacements is the correction.
+ * @param {Object} a - { gray, x, y, masks } of the placed tile
+ * @param {Object} b - { gray, masks } of the tile being placed
+ * @param {{x: number, y: number}} guess - Mosaic position of b before alignment
+ * @returns {{dx: number, dy: number, matches: number}|null} - Correction to add to the guess,
+ *   or null without enough agreeing matches
+ */
+function alignTiles(a, b, guess) {
+  const margin = PATCH_RADIUS + SEARCH_RADIUS;
+  // Overlap of the two tiles in a's pixels, kept clear of b's edges by the search margin
+  const left = Math.max(PATCH_RADIUS, guess.x - a.x + margin);
+  const top = Math.max(PATCH_RADIUS, guess.y - a.y + margin);
+  const right = Math.min(a.gray.width - PATCH_RADIUS, guess.x - a.x + b.gray.width - margin);
+  const bottom = Math.min(a.gray.height - PATCH_RADIUS, guess.y - a.y + b.gray.height - margin);
+  if (right - left < 2 * PATCH_RADIUS || bottom - top < 2 * PATCH_RADIUS) return null;
+
+  const features = detectFeatures(a.gray, { x: left, y: top, width: right - left, height: bottom - top }, a.masks);
+  const shifts = [];
+  for (const feature of features) {
+    // Where the guess puts the feature in b
+    const px = feature.x + a.x - guess.x;
+    const py = feature.y + a.y - guess.y;
+    let best = { score: -1, dx: 0, dy: 0 };
+    for (let dy = -SEARCH_RADIUS; dy <= SEARCH_RADIUS; dy++) {
+      for (let dx = -SEARCH_RADIUS; dx <= SEARCH_RADIUS; dx++) {
+        const score = correlate(a.gray, feature.x, feature.y, b.gray, px + dx, py + dy);
+        if (score > best.score) best = { score, dx, dy };
+      }
+    }
+    if (best.score >= MIN_CORRELATION) shifts.push(best);
+  }
+
+  const median = values => values.slice().sort((p, q) => p - q)[Math.floor(values.length / 2)];
+  const dx = median(shifts.map(s => s.dx));
+  const dy = median(shifts.map(s => s.dy));
+  const inliers = shifts.filter(s => Math.hypot(s.dx - dx, s.dy - dy) <= INLIER_DISTANCE);
+  if (inliers.length < MIN_INLIERS || inliers.length < shifts.length / 2) return null;
+
+  // A feature found dx to the right in b means b sits dx too far left
+  return {
+    dx: -median(inliers.map(s => s.dx)),
+    dy: -median(inliers.map(s => s.dy)),
+    matches: inliers.length
+  };
+}
+
+/**
+ * Read the finished tiles of a mosaic: their images and where their map crops lie
+ * @returns {Array<Object>} - Tiles with `runDir`, `images`, `masks` and `origin` (mosaic pixels)
+ */
+function loadTiles(mosaicDir, plan) {
+  const scale = metersPerDegree((plan.extent.north + plan.extent.south) / 2);
+  const mpp = plan.metersPerPixel;
+
+  return plan.tiles.map(tile => {
+    const runDir = path.join(mosaicDir, tile.folder || path.join('tiles', tile.id));
+    const metadataPath = path.join(runDir, 'metadata.json');
+    if (!fs.existsSync(metadataPath)) return { ...tile, runDir, images: [] };
+
+    const metadata = JSON.parse(fs.readFileSync(metadataPath, 'utf8'));
+    const georef = metadata.georeference;
+    // Top-left corner of the map crop, or where the plan meant it to be
+    const origin = georef && georef.footprint ? {
+      x: (georef.footprint.coordinates[0][0][0] - plan.extent.west) * scale.lon / mpp,
+      y: (plan.extent.north - georef.footprint.coordinates[0][0][1]) * scale.lat / mpp,
+      source: 'georeference'
+    } : {
+      x: tile.col * plan.step.width,
+      y: tile.row * plan.step.height,
+      source: 'plan'
+    };
+
+    return {
+      ...tile,
+      runDir,
+      images: metadata.images || [],
+      masks: metadata.captureRegion ? cropMasks(metadata.captureRegion) : [],
+      origin: { ...origin, x: Math.round(origin.x), y: Math.round(origin.y) }
+    };
+  });
+}
+
+/**
+ * Paste a tile into the mosaic where it is nearer its own centre than any tile
+ * pasted before; UI-masked pixels only fill what no clean pixel covers
+ */
+function pasteTile(canvas, distance, image, at, masks) {
+  const cx = at.x + image.width / 2;
+  const cy = at.y + image.height / 2;
+  const isMasked = (x, y) => masks.some(r => x >= r.x && x < r.x + r.width && y >= r.y && y < r.y + r.height);
+
+  for (let y = 0; y < image.height; y++) {
+    const my = at.y + y;
+    if (my < 0 || my >= canvas.height) continue;
+    for (let x = 0; x < image.width; x++) {
+      const mx = at.x + x;
+      if (mx < 0 || mx >= canvas.width) continue;
+
+      const d = Math.max(Math.abs(mx + 0.5 - cx) / image.width, Math.abs(my + 0.5 - cy) / image.height) +
+        (isMasked(x, y) ? 1 : 0);
+      const m = my * canvas.width + mx;
+      if (d >= distance[m]) continue;
+
+      distance[m] = d;
+      image.data.copy(canvas.data, m * 4, (y * image.width + x) * 4, (y * image.width + x) * 4 + 4);
+    }
+  }
+}
+
+/**
+ * Stitch the map crops of every imagery date into one image per date
+ *
+ * Each mosaic is written as `mosaic_<date>.png` with a world file and projection.
+ * @param {string} mosaicDir - Mosaic folder holding tiles/<id> run folders
+ * @param {Object} plan - From planMosaic; tiles may carry a `folder` relative to mosaicDir
+ * @param {Function} [log] - Mosaic logger
+ * @returns {Array<Object>} - Per date: file, size, tiles used and missing, and the alignment of each tile
+ */
+function stitchMosaic(mosaicDir, plan, log = () => {}) {
+  const tiles = loadTiles(mosaicDir, plan).filter(tile => tile.images.length > 0);
+  if (tiles.length === 0) {
+    throw new Error(`No finished tiles in ${mosaicDir} to stitch`);
+  }
+
+  const width = Math.round(plan.tileSize.width + (plan.cols - 1) * plan.step.width);
+  const height = Math.round(plan.tileSize.height + (plan.rows - 1) * plan.step.height);
+  const scale = metersPerDegree((plan.extent.north + plan.extent.south) / 2);
+  const mpp = plan.metersPerPixel;
+  const worldFile = [mpp / scale.lon, 0, 0, -mpp / scale.lat,
+    plan.extent.west + mpp / scale.lon / 2, plan.extent.north - mpp / scale.lat / 2];
+
+  // Acquisitions in date order, each with the tile images that show it
+  const dates = new Map();
+  for (const tile of tiles) {
+    for (const image of orderByDate(tile.images)) {
+      const key = dateKey(image);
+      if (!dates.has(key)) dates.set(key, { key, formattedDate: image.formattedDate, images: new Map() });
+      const entry = dates.get(key);
+      // The first image of a tile for a date wins, should two share one
+      if (!entry.images.has(tile.id)) entry.images.set(tile.id, image);
+    }
+  }
+
+  const mosaics = [];
+  for (const entry of [...dates.values()].sort((a, b) => a.key.localeCompare(b.key))) {
+    const canvas = { width, height, data: Buffer.alloc(width * height * 4) };
+    const distance = new Float32Array(width * height).fill(Infinity);
+    const placed = new Map();
+    const alignment = [];
+
+    for (const tile of tiles) {
+      const image = entry.images.get(tile.id);
+      if (!image) continue;
+
+      const crop = decodePng(path.join(tile.runDir, image.mapFile));
+      const gray = toGrayscale(crop);
+
+      // Each placed neighbour above or to the left suggests a position; average them
+      const estimates = [];
+      for (const neighbour of [tileId(tile.row, tile.col - 1), tileId(tile.row - 1, tile.col)]) {
+        const a = placed.get(neighbour);
+        if (!a) continue;
+        const guess = { x: a.x + tile.origin.x - a.origin.x, y: a.y + tile.origin.y - a.origin.y };
+        const correction = alignTiles(a, { gray, masks: tile.masks }, guess);
+        if (correction) {
+          estimates.push({ x: guess.x + correction.dx, y: guess.y + correction.dy, matches: correction.matches });
+        }
+      }
+
+      const matches = estimates.reduce((sum, e) => sum + e.matches, 0);
+      const at = estimates.length > 0 ? {
+        x: Math.round(estimates.reduce((sum, e) => sum + e.x * e.matches, 0) / matches),
+        y: Math.round(estimates.reduce((sum, e) => sum + e.y * e.matches, 0) / matches)
+      } : { x: tile.origin.x, y: tile.origin.y };
+
+      pasteTile(canvas, distance, crop, at, tile.masks);
+      placed.set(tile.id, { gray, masks: tile.masks, origin: tile.origin, x: at.x, y: at.y });
+      alignment.push({
+        tile: tile.id,
+        file: path.relative(mosaicDir, path.join(tile.runDir, image.mapFile)),
+        x: at.x,
+        y: at.y,
+        // Shift from the georeferenced (or planned) position, in pixels
+        dx: at.x - tile.origin.x,
+        dy: at.y - tile.origin.y,
+        placedBy: estimates.length > 0 ? 'features' : tile.origin.source,
+        matches
+      });
+    }
+
+    // Keys are ISO dates or years, safe in file names
+    const file = `mosaic_${entry.key}.png`;
+    fs.writeFileSync(path.join(mosaicDir, file), encodePng(canvas));
+    writeWorldFile(path.join(mosaicDir, file), worldFile);
+
+    const missing = plan.tiles.map(t => t.id).filter(id => !entry.images.has(id));
+    const covered = distance.reduce((sum, d) => sum + (d < Infinity ? 1 : 0), 0);
+    mosaics.push({
+      date: entry.key,
+      formattedDate: entry.formattedDate,
+      file,
+      width,
+      height,
+      tiles: alignment.length,
+      missingTiles: missing,
+      coverage: Math.round((covered / (width * height)) * 1000) / 10,
+      alignment
+    });
+    log(`Mosaic ${entry.key}: ${alignment.length}/${plan.tiles.length} tile(s), ${width}x${height}, ` +
+      `${alignment.filter(a => a.placedBy === 'features').length} aligned by features`, {
+      event: 'mosaic',
+      status: 'stitched',
+      metrics: { tiles: alignment.length, missing: missing.length, width, height }
+    });
+  }
+
+  return mosaics;
+}
+
+/**
+ * Capture every tile of a mosaic and stitch them
+ * @param {Object|string} bounds - See parseBounds
+ * @param {Object} config - Validated config (see lib/config.js); tiles override it with TILE_SETTINGS
+ * @returns {Promise<Object>} - Mosaic summary, also written to mosaic_summary.json
+ */
+async function runMosaic(bounds, config) {
+  const box = parseBounds(bounds);
+  const plan = planMosaic(box, {
+    zoomLevel: config.zoomLevel,
+    viewport: config.viewport,
+    uiLayout: config.uiLayout,
+    overlap: config.mosaicOverlap,
+    maxTiles: config.mosaicMaxTiles
+  });
+
+  const name = config.locationName || 'mosaic';
+  const mosaicDir = config.outputDir || path.join(config.outputRoot, 'mosaic_' + fileTimestamp());
+  fs.mkdirSync(mosaicDir, { recursive: true });
+
+  const log = createLogger(mosaicDir, { fileName: 'mosaic_log.jsonl', level: config.logLevel });
+  const startTime = new Date();
+
+  log(`Starting mosaic of ${box.south},${box.west} to ${box.north},${box.east}: ${plan.rows}x${plan.cols} tiles ` +
+    `at ${plan.metersPerPixel.toFixed(3)} m/px into ${mosaicDir}`, { event: 'mosaic', status: 'started' });
+  if (config.additionalZoomSteps !== 0) {
+    log.warn(`Mosaic tiles skip the ${config.additionalZoomSteps} extra zoom step(s); the camera stays at zoomLevel (${config.zoomLevel}m) so the grid can be planned`);
+  }
+
+  const tiles = [];
+  for (let i = 0; i < plan.tiles.length; i++) {
+    const tile = plan.tiles[i];
+    const entry = {
+      ...tile,
+      folder: path.join('tiles', tile.id),
+      status: null,
+      runId: null,
+      imageCount: 0,
+      error: null
+    };
+
+    log(`Tile ${i+1}/${plan.tiles.length}: ${tile.id} (${tile.coordinates})`, { event: 'tile', status: 'started', location: tile.id });
+
+    try {
+      const result = await runCapture({
+        ...config,
+        ...TILE_SETTINGS,
+        coordinates: tile.coordinates,
+        locationName: `${name} ${tile.id}`,
+        outputDir: path.join(mosaicDir, entry.folder)
+      });
+
+      entry.status = 'success';
+      entry.runId = result.metadata.runId;
+      entry.imageCount = result.capturedImages.length;
+      log(`Tile ${i+1}/${plan.tiles.length}: captured ${entry.imageCount} unique images`, {
+        event: 'tile', status: 'success', location: tile.id, tileRunId: entry.runId, metrics: { images: entry.imageCount }
+      });
+    } catch (error) {
+      entry.status = 'failed';
+      entry.error = error.message;
+      log.error(`Tile ${i+1}/${plan.tiles.length}: failed - ${error.message}`, { event: 'tile', status: 'failed', location: tile.id });
+    }
+
+    tiles.push(entry);
+  }
+
+  const { tiles: planned, ...grid } = plan;
+  let mosaics = [];
+  let stitchError = null;
+  try {
+    mosaics = stitchMosaic(mosaicDir, { ...grid, tiles }, log);
+  } catch (error) {
+    stitchError = error.message;
+    log.error(`Stitching failed - ${error.message}`, { event: 'mosaic', status: 'failed' });
+  }
+
+  const endTime = new Date();
+  const summary = {
+    locationName: config.locationName,
+    startTime: startTime.toISOString(),
+    endTime: endTime.toISOString(),
+    duration: Math.round((endTime - startTime) / 1000) + " seconds",
+    totalTiles: planned.length,
+    successes: tiles.filter(t => t.status === 'success').length,
+    failures: tiles.filter(t => t.status === 'failed').length,
+    totalImages: tiles.reduce((sum, t) => sum + t.imageCount, 0),
+    outputDirectory: mosaicDir,
+    grid,
+    mosaics,
+    stitchError,
+    tiles
+  };
+
+  await writeFileAsync(path.join(mosaicDir, SUMMARY_FILE), JSON.stringify(summary, null, 2));
+
+  log(`Mosaic complete: ${summary.successes}/${summary.totalTiles} tiles, ${mosaics.length} mosaic(s)`, {
+    event: 'mosaic',
+    status: 'complete',
+    metrics: { successes: summary.successes, failures: summary.failures, mosaics: mosaics.length }
+  });
+
+  return summary;
+}
+
+/**
+ * Stitch a mosaic folder again, e.g. after resuming a failed tile
+ * @param {string} mosaicDir - Folder holding mosaic_summary.json
+ * @param {Function} [log]
+ * @returns {Object} - The updated summary, also written back
+ */
+function restitchMosaic(mosaicDir, log = () => {}) {
+  const summaryPath = path.join(mosaicDir, SUMMARY_FILE);
+  if (!fs.existsSync(summaryPath)) {
+    throw new Error(`No ${SUMMARY_FILE} in ${mosaicDir}; only mosaic folders can be stitched`);
+  }
+
+  const summary = JSON.parse(fs.readFileSync(summaryPath, 'utf8'));
+  summary.mosaics = stitchMosaic(mosaicDir, { ...summary.grid, tiles: summary.tiles }, log);
+  summary.stitchError = null;
+  fs.writeFileSync(summaryPath, JSON.stringify(summary, null, 2));
+  return summary;
+}
+
+module.exports = {
+  SUMMARY_FILE,
+  parseBounds,
+  planMosaic,
+  alignTiles,
+  stitchMosaic,
+  runMosaic,
+  restitchMosaic
+};
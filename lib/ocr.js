@@ -0,0 +1,225 @@
+/**
+ * OCR of the imagery date label shown in the bottom-left corner
+ *
+ * One engine is created per run: a pool of Tesseract workers is started on
+ * first use and reused for every timeline position until terminate(). Crops
+ * are preprocessed before recognition (upscaled, grayscale, thresholded and,
+ * for the light-on-dark status bar, inverted to dark text on white).
+ */
+
+const { createWorker, createScheduler } = require('tesseract.js');
+const { decodePng, encodePng, toGrayscale, upscaleGray, grayToRgba } = require('./image');
+const { parseImageryDate } = require('./dates');
+
+const DEFAULT_OCR_OPTIONS = {
+  workers: 2,
+  lang: 'eng',
+  upscale: 3,
+  padding: 12,
+  binarize: true,
+  langPath: null
+};
+
+// Accented letters are needed for month names such as "févr." or "März" (see lib/dates.js);
+// the language must include them too, e.g. lang 'eng+fra+deu'
+const CHAR_WHITELIST = '0123456789/-.~,: abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ' +
+  'àáâãäçèéêëìíîïñòóôõöùúûüÿßÀÁÂÃÄÇÈÉÊËÌÍÎÏÑÒÓÔÕÖÙÚÛÜ';
+
+/**
+ * Otsu's threshold for a grayscale image
+ * @returns {number} - Threshold in 0-255
+ */
+function otsuThreshold(gray) {
+  const histogram = new Array(256).fill(0);
+  for (let i = 0; i < gray.pixels.length; i++) {
+    histogram[Math.max(0, Math.min(255, Math.round(gray.pixels[i])))]++;
+  }
+
+  const total = gray.pixels.length;
+  let sumAll = 0;
+  for (let t = 0; t < 256; t++) sumAll += t * histogram[t];
+
+  let sumBackground = 0;
+  let weightBackground = 0;
+  let bestThreshold = 127;
+  let bestVariance = -1;
+
+  for (let t = 0; t < 256; t++) {
+    weightBackground += histogram[t];
+    if (weightBackground === 0) continue;
+    const weightForeground = total - weightBackground;
+    if (weightForeground === 0) break;
+
+    sumBackground += t * histogram[t];
+    const meanBackground = sumBackground / weightBackground;
+    const meanForeground = (sumAll - sumBackground) / weightForeground;
+    const variance = weightBackground * weightForeground * (meanBackground - meanForeground) ** 2;
+
+    if (variance > bestVariance) {
+      bestVariance = variance;
+      bestThreshold = t;
+    }
+  }
+
+  return bestThreshold;
+}
+
+/**
+ * Prepare a date-label crop for recognition
+ * @param {Buffer|string|Object} source - PNG data, a PNG path or a decoded image
+ * @param {Object} [options] - upscale factor, white padding in output pixels, and
+ *   binarize (false keeps grayscale, only normalized to dark text on light)
+ * @returns {{png: Buffer, inverted: boolean, threshold: number}}
+ */
+function preprocessForOcr(source, options = {}) {
+  const { upscale, padding, binarize } = { ...DEFAULT_OCR_OPTIONS, ...options };
+  const image = (Buffer.isBuffer(source) || typeof source === 'string') ? decodePng(source) : source;
+
+  const gray = upscaleGray(toGrayscale(image), upscale);
+  const threshold = otsuThreshold(gray);
+
+  // Text is the minority class; if most pixels are dark the text is light
+  let dark = 0;
+  for (let i = 0; i < gray.pixels.length; i++) {
+    if (gray.pixels[i] <= threshold) dark++;
+  }
+  const inverted = dark > gray.pixels.length / 2;
+
+  // Binarize to black text on white, with a white border Tesseract likes
+  const width = gray.width + padding * 2;
+  const height = gray.height + padding * 2;
+  const pixels = new Float32Array(width * height).fill(255);
+  for (let y = 0; y < gray.height; y++) {
+    for (let x = 0; x < gray.width; x++) {
+      const value = gray.pixels[y * gray.width + x];
+      if (binarize) {
+        const isText = (value > threshold) === inverted;
+        pixels[(y + padding) * width + x + padding] = isText ? 0 : 255;
+      } else {
+        pixels[(y + padding) * width + x + padding] = inverted ? 255 - value : value;
+      }
+    }
+  }
+
+  return {
+    png: encodePng(grayToRgba({ width, height, pixels })),
+    inverted,
+    threshold
+  };
+}
+
+/**
+ * Create a pooled OCR engine for one run
+ * @param {Object} [options] - workers, lang (Tesseract languages joined by '+'), upscale, padding,
+ *   binarize, langPath (see DEFAULT_OCR_OPTIONS)
+ * @param {Function} [log] - Run logger
+ * @returns {{recognize: Function, extractDate: Function, terminate: Function}}
+ */
+function createOcrEngine(options = {}, log = () => {}) {
+  options = { ...DEFAULT_OCR_OPTIONS, ...options };
+  let ready = null;
+  let scheduler = null;
+
+  // Start the worker pool once, on first use
+  function start() {
+    if (!ready) {
+      ready = (async () => {
+        const startedAt = Date.now();
+        scheduler = createScheduler();
+        const workerOptions = options.langPath ? { langPath: options.langPath } : {};
+
+        await Promise.all(Array.from({ length: options.workers }, async () => {
+          const worker = createWorker(workerOptions);
+          await worker.load();
+          await worker.loadLanguage(options.lang);
+          await worker.initialize(options.lang);
+          await worker.setParameters({
+            tessedit_char_whitelist: CHAR_WHITELIST,
+            tessedit_pageseg_mode: '7' // Single line of text
+          });
+          scheduler.addWorker(worker);
+        }));
+
+        log(`OCR pool ready: ${options.workers} worker(s) in ${Date.now() - startedAt}ms`);
+      })();
+
+      // Let a later call retry if startup failed
+      ready.catch(() => { ready = null; });
+    }
+    return ready;
+  }
+
+  /**
+   * Recognize one line of text, such as the date label or the timeline's year labels
+   * @param {Buffer|string|Object} source - PNG data, a PNG path or a decoded image
+   * @param {Object} [preprocess] - Overrides for the engine's upscale, padding and binarize
+   * @returns {Promise<{text: string, confidence: number,
+   *   words: Array<{text: string, confidence: number, bbox: {x0: number, y0: number, x1: number, y1: number}}>}>} -
+   *   Word boxes are in the pixel coordinates of the source image
+   */
+  async function recognize(source, preprocess = {}) {
+    await start();
+    const settings = { ...options, ...preprocess };
+    const { png } = preprocessForOcr(source, settings);
+    const { data } = await scheduler.addJob('recognize', png);
+
+    // Undo the padding and upscaling applied by preprocessForOcr
+    const toSource = (value) => (value - settings.padding) / settings.upscale;
+
+    return {
+      text: data.text.trim(),
+      confidence: data.confidence,
+      words: (data.words || []).map(w => ({
+        text: w.text,
+        confidence: w.confidence,
+        bbox: {
+          x0: toSource(w.bbox.x0),
+          y0: toSource(w.bbox.y0),
+          x1: toSource(w.bbox.x1),
+          y1: toSource(w.bbox.y1)
+        }
+      }))
+    };
+  }
+
+  /**
+   * Extract date from image using OCR
+   * @param {Buffer|string|Object} source - Date-label crop
+   * @param {Object} [dateOptions] - Passed to parseImageryDate (order, minYear, now)
+   * @returns {Promise<{date: Object|null, raw: string|null, confidence: number|null, error?: string}>} -
+   *   date is a parseImageryDate result (see lib/dates.js)
+   */
+  async function extractDate(source, dateOptions) {
+    try {
+      const { text, confidence } = await recognize(source);
+      return { date: parseImageryDate(text, dateOptions), raw: text, confidence };
+    } catch (error) {
+      log(`OCR error: ${error.message}`);
+      return { date: null, raw: null, confidence: null, error: error.message };
+    }
+  }
+
+  /**
+   * Stop the worker pool; safe to call when it never started
+   */
+  async function terminate() {
+    if (!ready) return;
+    try {
+      await ready;
+      await scheduler.terminate();
+    } catch (error) {
+      log(`OCR shutdown error: ${error.message}`);
+    }
+    ready = null;
+    scheduler = null;
+  }
+
+  return { recognize, extractDate, terminate };
+}
+
+module.exports = {
+  DEFAULT_OCR_OPTIONS,
+  otsuThreshold,
+  preprocessForOcr,
+  createOcrEngine
+};
@@ -0,0 +1,162 @@
+/**
+ * Versioned UI profiles for Google Earth Web
+ *
+ * Earth Web draws its UI on a Flutter canvas, so every click target and screen
+ * region is a coordinate. A profile collects them for one Earth UI revision:
+ *   - regions:   rectangles for the map, date label, timeline strip and slider
+ *   - masks:     UI drawn over the map, ignored when diffing (lib/regions.js)
+ *   - targets:   points to click, such as the history button
+ *   - templates: reference icons of controls, found on screen by lib/locate.js;
+ *                the files are in assets/templates/<profile>/
+ *   - signature: pixel probes that identify the revision in a screenshot
+ * Geometry is given as functions of the viewport size so edge-anchored UI
+ * follows the window. A profile only claims the viewport sizes it was checked
+ * against; anything else is an unknown layout, not a guess.
+ */
+
+const { clampRect } = require('./image');
+
+const AUTO_PROFILE = 'auto';
+const DEFAULT_PROFILE = 'earth-web-2025';
+
+// Fraction of signature probes that must match for a profile to be detected
+const MIN_SIGNATURE_SCORE = 0.8;
+
+const UI_PROFILES = {
+  // Measured on the April 2025 Earth Web UI at 1920x1080
+  'earth-web-2025': {
+    revision: '2025-04',
+    description: 'Google Earth Web (Flutter UI, April 2025)',
+    viewport: { minWidth: 1280, minHeight: 720 },
+    regions: {
+      map: (w, h) => ({ x: 0, y: 150, width: w, height: h - 182 }),
+      dateLabel: (w, h) => ({ x: 100, y: h - 30, width: 250, height: 30 }),
+      timeline: (w) => ({ x: 0, y: 75, width: w, height: 75 }),
+      // Slider bar as drawn once historical imagery is on
+      slider: (w) => ({ x: 525, y: 104, width: w - 687, height: 16 })
+    },
+    masks: {
+      toolbar: (w) => ({ x: 0, y: 0, width: w, height: 75 }),
+      timeline: (w) => ({ x: 0, y: 75, width: w, height: 75 }),
+      projectsPopup: () => ({ x: 0, y: 75, width: 370, height: 110 }),
+      layersButton: (w, h) => ({ x: 0, y: h - 95, width: 140, height: 63 }),
+      navigationControls: (w, h) => ({ x: w - 300, y: h - 100, width: 300, height: 68 }),
+      notice: (w, h) => ({ x: Math.round(w / 2) - 220, y: h - 90, width: 440, height: 90 }),
+      attribution: (w, h) => ({ x: 0, y: h - 32, width: w, height: 32 }),
+      dateLabel: (w, h) => ({ x: 100, y: h - 30, width: 250, height: 30 })
+    },
+    targets: {
+      searchBox: () => ({ x: 216, y: 50 }),
+      historyButton: () => ({ x: 529, y: 48 }),
+      toolsMenu: () => ({ x: 232, y: 12 }),
+      settingsButton: (w) => ({ x: w - 85, y: 38 })
+    },
+    templates: {
+      historyButton: { file: 'history_button.png', search: (w) => ({ x: 0, y: 0, width: w, height: 75 }) },
+      // A plain disc, so other round shapes come close; real matches score ~1
+      timelineKnob: { file: 'timeline_knob.png', search: (w) => ({ x: 0, y: 75, width: w, height: 75 }), minScore: 0.9 }
+    },
+    signature: [
+      { name: 'menuBar', at: (w) => ({ x: Math.round(w / 2), y: 10 }), color: [19, 19, 20], tolerance: 12 },
+      { name: 'toolbar', at: (w) => ({ x: Math.round(w / 2), y: 50 }), color: [30, 31, 32], tolerance: 12 },
+      { name: 'toolbarEdge', at: (w) => ({ x: Math.round(w / 2), y: 73 }), color: [19, 19, 20], tolerance: 12 },
+      { name: 'searchBox', at: () => ({ x: 300, y: 50 }), color: [55, 57, 59], tolerance: 12 },
+      { name: 'logo', at: () => ({ x: 36, y: 40 }), color: [75, 139, 245], tolerance: 40 },
+      { name: 'settingsButton', at: (w) => ({ x: w - 85, y: 38 }), color: [196, 199, 197], tolerance: 40 }
+    ]
+  }
+};
+
+/**
+ * Look up a profile by name
+ * @throws {Error} - For names that are not profiles
+ */
+function getProfile(name) {
+  const profile = UI_PROFILES[name];
+  if (!profile) {
+    throw new Error(`Unknown UI layout "${name}" (known layouts: ${Object.keys(UI_PROFILES).join(', ')})`);
+  }
+  return profile;
+}
+
+/**
+ * Whether a profile covers a viewport size
+ */
+function profileFitsViewport(profile, width, height) {
+  const { minWidth = 0, minHeight = 0, maxWidth = Infinity, maxHeight = Infinity } = profile.viewport;
+  return width >= minWidth && width <= maxWidth && height >= minHeight && height <= maxHeight;
+}
+
+/**
+ * Match a profile's signature probes against a screenshot
+ * @param {Object} image - Decoded RGBA screenshot
+ * @param {Object} profile - Entry of UI_PROFILES
+ * @returns {{score: number, mismatches: string[]}} - score is the fraction of probes that matched
+ */
+function scoreProfile(image, profile) {
+  const mismatches = [];
+
+  for (const probe of profile.signature) {
+    const { x, y } = probe.at(image.width, image.height);
+    const i = (y * image.width + x) * 4;
+    const inside = x >= 0 && y >= 0 && x < image.width && y < image.height;
+    const matches = inside && probe.color.every((value, c) => Math.abs(image.data[i + c] - value) <= probe.tolerance);
+    if (!matches) mismatches.push(probe.name);
+  }
+
+  return { score: 1 - mismatches.length / profile.signature.length, mismatches };
+}
+
+/**
+ * Pick the profile that matches a startup screenshot
+ * @param {Object} image - Decoded RGBA screenshot of the loaded Earth view
+ * @param {string} [requested='auto'] - A profile name to verify, or 'auto' to try them all
+ * @returns {{name: string, score: number}}
+ * @throws {Error} - "Unknown UI layout" when no profile matches well enough
+ */
+function detectUiProfile(image, requested = AUTO_PROFILE) {
+  const names = requested === AUTO_PROFILE ? Object.keys(UI_PROFILES) : [requested];
+  const results = names.map(name => {
+    const profile = getProfile(name);
+    if (!profileFitsViewport(profile, image.width, image.height)) {
+      return { name, score: 0, reason: `not defined for a ${image.width}x${image.height} viewport` };
+    }
+    const { score, mismatches } = scoreProfile(image, profile);
+    return { name, score, reason: mismatches.length > 0 ? `no match for ${mismatches.join(', ')}` : null };
+  });
+
+  const best = results.reduce((a, b) => (b.score > a.score ? b : a));
+  if (best.score < MIN_SIGNATURE_SCORE) {
+    const details = results.map(r => `${r.name}: ${Math.round(r.score * 100)}%${r.reason ? ` (${r.reason})` : ''}`);
+    throw new Error(`Unknown UI layout: the screen does not match ${requested === AUTO_PROFILE ? 'any known' : 'the requested'} ` +
+      `Google Earth UI profile (${details.join('; ')}). Refusing to click blindly; ` +
+      'check the startup screenshot or add a profile in lib/profiles.js');
+  }
+
+  return { name: best.name, score: best.score };
+}
+
+/**
+ * Click targets of a profile for a viewport
+ * @returns {Object} - Target name -> { x, y }, inside the viewport
+ */
+function resolveTargets(name, width, height) {
+  const profile = getProfile(name);
+  const targets = {};
+  for (const [target, at] of Object.entries(profile.targets)) {
+    const r = clampRect({ ...at(width, height), width: 0, height: 0 }, width - 1, height - 1);
+    targets[target] = { x: r.x, y: r.y };
+  }
+  return targets;
+}
+
+module.exports = {
+  AUTO_PROFILE,
+  DEFAULT_PROFILE,
+  UI_PROFILES,
+  getProfile,
+  profileFitsViewport,
+  scoreProfile,
+  detectUiProfile,
+  resolveTargets
+};
@@ -0,0 +1,187 @@
+/**
+ * Render-readiness waits in place of fixed sleeps
+ *
+ * After navigating, zooming or clicking the slider, Earth streams tiles for a
+ * while before the map is complete. A wait polls screenshots of an area of the
+ * page and ends once consecutive frames stop changing and no tile requests
+ * have been in flight for a moment. Each step has bounds: the minimum covers
+ * the pause before Earth starts streaming, and the maximum stops waiting on a
+ * map that never settles. Every wait is recorded, so the bounds can be tuned
+ * from the run log and metadata.json.
+ */
+
+const { sleep } = require('./utils');
+const { decodePng, toGrayscale } = require('./image');
+const { meanAbsoluteDifference } = require('./compare');
+
+const DEFAULT_RENDER_WAIT = {
+  interval: 300,      // ms between frames
+  stableFrames: 2,    // consecutive frames that must match the one before
+  maxFrameDiff: 0.5,  // mean difference (percent) still counted as a match
+  networkIdle: 500,   // ms without tile requests in flight
+  // Bounds per step, in ms
+  load: { min: 3000, max: 45000 },
+  zoom: { min: 250, max: 5000 },
+  historyClick: { min: 1000, max: 10000 },
+  timelineClick: { min: 500, max: 15000 }
+};
+
+const WAIT_STEPS = ['load', 'zoom', 'historyClick', 'timelineClick'];
+
+// Imagery and terrain tiles come from these hosts
+const TILE_REQUEST = /^https?:\/\/kh(?:mdb)?\.google\.com\//;
+// A request in flight longer than this is treated as hung, not as loading
+const STALE_REQUEST_MS = 30000;
+// Frames are compared after downsampling by this factor
+const FRAME_SCALE = 4;
+
+/**
+ * Count tile requests in flight on a page
+ * @returns {{pending: Function, idleFor: Function, stop: Function}}
+ */
+function trackTileRequests(page) {
+  const inFlight = new Map(); // request -> start time
+  let lastActivity = Date.now();
+
+  const onRequest = (request) => {
+    if (!TILE_REQUEST.test(request.url())) return;
+    inFlight.set(request, Date.now());
+    lastActivity = Date.now();
+  };
+  const onDone = (request) => {
+    if (inFlight.delete(request)) lastActivity = Date.now();
+  };
+
+  page.on('request', onRequest);
+  page.on('requestfinished', onDone);
+  page.on('requestfailed', onDone);
+
+  const pending = () => {
+    const now = Date.now();
+    let count = 0;
+    for (const startedAt of inFlight.values()) {
+      if (now - startedAt < STALE_REQUEST_MS) count++;
+    }
+    return count;
+  };
+
+  return {
+    pending,
+    // Milliseconds since the last tile request started or ended; 0 while any are pending
+    idleFor: () => (pending() > 0 ? 0 : Date.now() - lastActivity),
+    stop() {
+      page.off('request', onRequest);
+      page.off('requestfinished', onDone);
+      page.off('requestfailed', onDone);
+    }
+  };
+}
+
+/**
+ * Create the readiness waiter for a page; one per run
+ * @param {Object} page - Puppeteer page
+ * @param {Object} [settings] - See DEFAULT_RENDER_WAIT
+ * @param {Function} [log] - Run logger
+ * @returns {{wait: Function, summary: Function, history: Array<Object>, stop: Function}}
+ */
+function createRenderWaiter(page, settings = DEFAULT_RENDER_WAIT, log = () => {}) {
+  const network = trackTileRequests(page);
+  const history = [];
+
+  const grabFrame = async (region) => {
+    const png = await page.screenshot(region ? { clip: region } : {});
+    return toGrayscale(decodePng(png), null, FRAME_SCALE);
+  };
+
+  /**
+   * Wait until the page has finished rendering after a step
+   * @param {string} step - One of WAIT_STEPS; selects the min/max bounds
+   * @param {Object} [options]
+   * @param {Object} [options.region] - Area of the page to watch (whole viewport when omitted)
+   * @param {string} [options.label] - Name for the log, e.g. "position 3"
+   * @returns {Promise<{step: string, label: string, waitedMs: number, frames: number,
+   *   ready: boolean, lastFrameDiff: number|null, pendingRequests: number}>}
+   */
+  async function wait(step, { region = null, label = step } = {}) {
+    const { min, max } = settings[step];
+    const startedAt = Date.now();
+    let previous = null;
+    let matches = 0;
+    let frames = 0;
+    let lastFrameDiff = null;
+    let ready = false;
+
+    for (;;) {
+      const frame = await grabFrame(region);
+      frames++;
+      if (previous) {
+        lastFrameDiff = meanAbsoluteDifference(previous, frame);
+        matches = lastFrameDiff <= settings.maxFrameDiff ? matches + 1 : 0;
+      }
+      previous = frame;
+
+      const elapsed = Date.now() - startedAt;
+      const idle = network.pending() === 0 && network.idleFor() >= settings.networkIdle;
+      if (elapsed >= min && matches >= settings.stableFrames && idle) {
+        ready = true;
+        break;
+      }
+      if (elapsed >= max) break;
+      await sleep(Math.min(settings.interval, max - elapsed));
+    }
+
+    const record = {
+      step,
+      label,
+      waitedMs: Date.now() - startedAt,
+      frames,
+      ready,
+      lastFrameDiff: lastFrameDiff !== null ? Math.round(lastFrameDiff * 100) / 100 : null,
+      pendingRequests: network.pending()
+    };
+    history.push(record);
+
+    const reasons = [];
+    if (!ready && matches < settings.stableFrames) reasons.push(`map still changing, last frame diff ${record.lastFrameDiff}%`);
+    if (!ready && record.pendingRequests > 0) reasons.push(`${record.pendingRequests} tile request(s) pending`);
+    log(`Render wait (${label}): ${ready ? 'ready' : 'gave up'} after ${(record.waitedMs / 1000).toFixed(1)}s, ` +
+      `${frames} frame(s)${reasons.length > 0 ? ` (${reasons.join('; ')})` : ''}`, {
+      level: ready ? 'debug' : 'warn',
+      event: 'render-wait',
+      wait: step,
+      label,
+      ready,
+      metrics: { waitedMs: record.waitedMs, frames, lastFrameDiff: record.lastFrameDiff, pendingRequests: record.pendingRequests }
+    });
+
+    return record;
+  }
+
+  /**
+   * Wait times per step, for tuning the bounds
+   * @returns {Object} - step -> { count, totalMs, meanMs, maxMs, timeouts }
+   */
+  function summary() {
+    const steps = {};
+    for (const record of history) {
+      const s = steps[record.step] || (steps[record.step] = { count: 0, totalMs: 0, meanMs: 0, maxMs: 0, timeouts: 0 });
+      s.count++;
+      s.totalMs += record.waitedMs;
+      s.maxMs = Math.max(s.maxMs, record.waitedMs);
+      if (!record.ready) s.timeouts++;
+    }
+    for (const s of Object.values(steps)) {
+      s.meanMs = Math.round(s.totalMs / s.count);
+    }
+    return steps;
+  }
+
+  return { wait, summary, history, stop: network.stop };
+}
+
+module.exports = {
+  DEFAULT_RENDER_WAIT,
+  WAIT_STEPS,
+  trackTileRequests,
+  createRenderWaiter
+};
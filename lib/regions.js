@@ -0,0 +1,101 @@
+/**
+ * Capture regions for Google Earth Web screenshots
+ *
+ * A layout describes, for a given viewport size, the rectangle that shows the
+ * map, the strip holding the timeline slider, and the UI elements drawn on or
+ * around the map. Masks are applied before diffing so toolbar redraws, notices
+ * or the moving date label never count as imagery changes, and the map
+ * rectangle is used to save clean map-only crops.
+ */
+
+const { clampRect, cropImage } = require('./image');
+const { DEFAULT_PROFILE, getProfile } = require('./profiles');
+
+// Layouts are the region and mask part of a UI profile (see lib/profiles.js)
+const DEFAULT_LAYOUT = DEFAULT_PROFILE;
+
+// Fill used for masked pixels; identical in both frames, so it never differs
+const MASK_FILL = 128;
+
+/**
+ * Resolve a layout for a viewport
+ * @param {string} name - UI profile name (see lib/profiles.js)
+ * @param {number} width - Viewport width
+ * @param {number} height - Viewport height
+ * @param {Array<Object>} [extraMasks] - Additional { name?, x, y, width, height } rectangles
+ * @returns {{name: string, map: Object, dateLabel: Object, timeline: Object, slider: Object,
+ *   masks: Array<{name: string, rect: Object}>}}
+ */
+function resolveLayout(name, width, height, extraMasks = []) {
+  const profile = getProfile(name);
+
+  const masks = Object.entries(profile.masks).map(([maskName, rect]) => ({
+    name: maskName,
+    rect: clampRect(rect(width, height), width, height)
+  }));
+
+  extraMasks.forEach((mask, i) => {
+    masks.push({ name: mask.name || `custom_${i + 1}`, rect: clampRect(mask, width, height) });
+  });
+
+  const regions = {};
+  for (const [regionName, rect] of Object.entries(profile.regions)) {
+    regions[regionName] = clampRect(rect(width, height), width, height);
+  }
+
+  return {
+    name,
+    revision: profile.revision,
+    width,
+    height,
+    ...regions,
+    masks
+  };
+}
+
+/**
+ * Copy of an RGBA image with the mask rectangles filled with a flat gray
+ */
+function applyMasks(image, masks) {
+  const data = Buffer.from(image.data);
+
+  for (const { rect } of masks) {
+    const r = clampRect(rect, image.width, image.height);
+    for (let y = r.y; y < r.y + r.height; y++) {
+      const start = (y * image.width + r.x) * 4;
+      for (let i = start; i < start + r.width * 4; i += 4) {
+        data[i] = MASK_FILL;
+        data[i + 1] = MASK_FILL;
+        data[i + 2] = MASK_FILL;
+        data[i + 3] = 255;
+      }
+    }
+  }
+
+  return { width: image.width, height: image.height, data };
+}
+
+/**
+ * Masks that overlap the map rectangle; the others are cropped away anyway
+ */
+function masksOverMap(layout) {
+  const { map } = layout;
+  return layout.masks.filter(({ rect }) =>
+    rect.x < map.x + map.width && rect.x + rect.width > map.x &&
+    rect.y < map.y + map.height && rect.y + rect.height > map.y);
+}
+
+/**
+ * Map-only crop of a screenshot
+ */
+function cropMap(image, layout) {
+  return cropImage(image, layout.map);
+}
+
+module.exports = {
+  DEFAULT_LAYOUT,
+  resolveLayout,
+  applyMasks,
+  masksOverMap,
+  cropMap
+};
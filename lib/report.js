@@ -0,0 +1,576 @@
+/**
+ * Reports for a capture run
+ *
+ * A report is rendered from the run's metadata.json and its image list alone,
+ * so it can be rebuilt for any run folder after the run (see build-report.js).
+ * Everything that comes from the run, such as the location name or OCR text,
+ * is escaped: the `html` template tag escapes each interpolated value unless
+ * it is markup built by `html` itself, and Markdown text goes through
+ * escapeMarkdown.
+ *
+ * Formats:
+ *   html        enhanced_report.html, showing the image files next to it
+ *   markdown    report.md, for wikis, issues and notes
+ *   standalone  report_standalone.html, a single file with every image inlined
+ *               as a data URI, for email
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { describeCamera } = require('./camera');
+
+const REPORT_FORMATS = ['html', 'markdown', 'standalone'];
+
+const REPORT_FILES = {
+  html: 'enhanced_report.html',
+  markdown: 'report.md',
+  standalone: 'report_standalone.html'
+};
+
+const ASSET_DIR = path.join(__dirname, '..', 'assets', 'report');
+
+// Marks a string as finished markup that must not be escaped again
+const MARKUP = Symbol('markup');
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+/**
+ * Escape text for HTML element content and quoted attributes
+ */
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
+/**
+ * Escape text so Markdown shows it literally
+ */
+function escapeMarkdown(value) {
+  return String(value)
+    .replace(/[\\`*_[\]<>|]/g, char => `\\${char}`)
+    .replace(/^([#+-]|\d+\.)(\s)/gm, '\\$1$2')
+    .replace(/\r?\n/g, ' ');
+}
+
+/**
+ * Trust a string as markup, e.g. a stylesheet read from assets/report
+ */
+function raw(markup) {
+  return { [MARKUP]: String(markup) };
+}
+
+function renderValue(value) {
+  if (value === null || value === undefined || value === false) return '';
+  if (Array.isArray(value)) return value.map(renderValue).join('');
+  if (typeof value === 'object' && MARKUP in value) return value[MARKUP];
+  return escapeHtml(value);
+}
+
+/**
+ * HTML template tag: interpolated values are escaped, nested html`` results
+ * and arrays of them are inserted as they are, and null/undefined/false render
+ * as nothing
+ */
+function html(strings, ...values) {
+  let markup = strings[0];
+  values.forEach((value, i) => {
+    markup += renderValue(value) + strings[i + 1];
+  });
+  return raw(markup);
+}
+
+/**
+ * Readable UTC time of an ISO timestamp, e.g. "2025-04-16 21:03 UTC"
+ */
+function formatTimestamp(iso) {
+  const date = new Date(iso);
+  return isNaN(date) ? String(iso) : `${date.toISOString().slice(0, 16).replace('T', ' ')} UTC`;
+}
+
+/**
+ * The imagery date of an image as shown in reports, or null when OCR found none
+ */
+function describeImageryDate(imageryDate) {
+  if (!imageryDate) return null;
+  return `${imageryDate.olderThan ? 'on or before ' : ''}${imageryDate.iso}` +
+    (imageryDate.ambiguous ? ` (or ${imageryDate.alternatives.join(', ')})` : '');
+}
+
+/**
+ * Figures shared by every format
+ */
+function summarize(metadata, images) {
+  const startTime = new Date(metadata.startTime);
+  const endTime = new Date(metadata.endTime);
+  const calibration = metadata.timelineCalibration || {};
+  const span = calibration.endX - calibration.startX;
+
+  return {
+    title: metadata.locationName || metadata.coordinates,
+    captured: formatTimestamp(metadata.endTime),
+    dateRange: images.length > 0 ?
+      `${images[0].formattedDate} to ${images[images.length - 1].formattedDate}` :
+      'No images captured',
+    durationSeconds: Math.round((endTime - startTime) / 1000),
+    zoom: `${metadata.zoomLevel}a (+ ${metadata.additionalZoomSteps} additional steps)`,
+    // Earth's camera after zooming, when it could be read from the URL
+    camera: metadata.camera && !metadata.camera.error ? metadata.camera : null,
+    // Where each image sits along the slider, in percent
+    timelinePosition: (image) => (span > 0 ? Math.round(((image.pointX - calibration.startX) / span) * 1000) / 10 : 0)
+  };
+}
+
+/**
+ * Resolve image files to the URLs a report uses: file names next to the
+ * report, or data URIs read from the run folder. `source.inline` tells which.
+ */
+function createImageSource(runDir, inline) {
+  const source = (file) => {
+    // Parentheses too, since they would end a Markdown link
+    if (!inline) return encodeURIComponent(file).replace(/[()]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+
+    const filePath = path.join(runDir, file);
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`Cannot inline ${file} into the standalone report: not found in ${runDir}`);
+    }
+    return `data:image/png;base64,${fs.readFileSync(filePath).toString('base64')}`;
+  };
+  source.inline = inline;
+  return source;
+}
+
+/**
+ * Lightbox link target for a card's picture. An inlined picture is linked
+ * through its card, and assets/report/report.js opens the card's image,
+ * so the data URI is not written twice.
+ */
+function lightboxHref(source, src, cardId) {
+  return source.inline ? `#${cardId}` : src;
+}
+
+/**
+ * Area changed between two acquisitions, e.g. "3.2% of the map (1,450 m²) in 4 area(s)"
+ * @param {Object} figures - A pair of metadata.changes, or its `roi`
+ * @param {string} [within='the map'] - What the percentage is of
+ */
+function describeChange(figures, within = 'the map') {
+  const area = figures.changedAreaM2 !== null && figures.changedAreaM2 !== undefined ?
+    ` (${figures.changedAreaM2.toLocaleString('en-US')} m²)` : '';
+  return `${figures.percentChanged}% of ${within}${area} in ${figures.clusterCount} area(s)`;
+}
+
+/**
+ * Size of the area of interest, e.g. "12,400 m² (GeoJSON polygon)"
+ */
+function describeRoi(roi) {
+  const size = roi.areaM2 !== null ? `${roi.areaM2.toLocaleString('en-US')} m²` : `${roi.areaPixels.toLocaleString('en-US')} pixels`;
+  return `${size} (${roi.source === 'geojson' ? 'GeoJSON polygon' : 'pixel polygon'})`;
+}
+
+/**
+ * Outline of the area of interest over a full screenshot, as an SVG that
+ * covers its image the way the image covers its container
+ */
+function renderRoiOverlay(metadata) {
+  const region = metadata.captureRegion;
+  if (!metadata.roi || !region || !region.width) return null;
+
+  const { x, y } = region.map;
+  const d = metadata.roi.polygon
+    .map(ring => 'M ' + ring.map(([px, py]) => `${Math.round((px + x) * 10) / 10} ${Math.round((py + y) * 10) / 10}`).join(' L ') + ' Z')
+    .join(' ');
+  return html`
+                    <svg class="roi-outline" viewBox="0 0 ${region.width} ${region.height}" preserveAspectRatio="xMidYMid slice" aria-hidden="true"><path d="${d}"/></svg>`;
+}
+
+/**
+ * Change heatmaps between consecutive acquisitions, each with a link that
+ * opens the pair in the comparison widgets
+ */
+function renderChanges(metadata, images, source) {
+  const pairs = metadata.changes ? metadata.changes.pairs : [];
+  if (pairs.length === 0) return null;
+
+  const indexOf = (file) => images.findIndex(image => image.mapFile === file);
+  const cards = pairs.map((pair, index) => {
+    const title = `${pair.before.formattedDate} → ${pair.after.formattedDate}`;
+    const src = source(pair.heatmapFile);
+    const before = indexOf(pair.before.file);
+    const after = indexOf(pair.after.file);
+    return html`
+            <div class="change-card" id="change-${index}">
+                <div class="image-container">
+                    <img src="${src}" alt="Change heatmap ${title}">
+                    <div class="date-badge">${title}</div>
+                </div>
+                <div class="image-details">
+                    <h3>${title}</h3>
+                    <div class="image-meta change-area">${describeChange(pair)}</div>
+                    ${pair.roi && html`<div class="image-meta change-area">${describeChange(pair.roi, 'the area of interest')}</div>`}
+                    <div class="image-meta">Illumination gain: ${pair.illumination.gain.join(' / ')}</div>
+                    <div class="image-actions">
+                        <a href="${lightboxHref(source, src, `change-${index}`)}" data-lightbox data-caption="Changes ${title}">View Heatmap</a>
+                        ${before >= 0 && after >= 0 && html`<a href="#compare" data-compare="${after}" data-compare-before="${before}">Compare</a>`}
+                        <a href="${source(pair.maskFile)}" data-lightbox data-caption="Change mask ${title}">View Mask</a>
+                    </div>
+                </div>
+            </div>`;
+  });
+
+  return html`
+        <h2>Detected Changes</h2>
+        <p class="compare-hint">Colour marks where the ground changed from one acquisition to the next, from yellow to red as the difference grows; outlines mark the changed areas. A pixel counts as changed when its colour differs by more than ${metadata.changes.threshold} (of 255) after matching brightness, within an area of at least ${metadata.changes.minArea} pixels.</p>
+        <div class="image-grid">${cards}
+        </div>`;
+}
+
+/**
+ * Comparison widgets: swipe, flicker and side by side with synchronized zoom.
+ * assets/report/compare.js takes the pictures from the image cards, so the
+ * standalone report does not inline any image twice.
+ */
+function renderComparison(images) {
+  if (images.length < 2) return null;
+
+  const options = (selected) => images.map((image, index) => html`
+                    <option value="${index}"${index === selected && raw(' selected')}>${index + 1}. ${image.formattedDate}</option>`);
+
+  return html`
+        <h2>Compare Acquisitions</h2>
+        <section class="compare" id="compare">
+            <div class="compare-controls">
+                <label>Before
+                    <select id="compare-before">${options(0)}
+                    </select>
+                </label>
+                <label>After
+                    <select id="compare-after">${options(images.length - 1)}
+                    </select>
+                </label>
+                <div class="compare-modes">
+                    <button type="button" class="active" data-mode="swipe">Swipe</button>
+                    <button type="button" data-mode="flicker">Flicker</button>
+                    <button type="button" data-mode="sync">Side by Side</button>
+                </div>
+            </div>
+
+            <div class="compare-view" data-view="swipe">
+                <div class="swipe-stage" id="swipe-stage">
+                    <img class="swipe-before" alt="Before">
+                    <img class="swipe-after" alt="After">
+                    <div class="swipe-handle"></div>
+                </div>
+                <input type="range" id="swipe-position" min="0" max="100" step="0.1" value="50" aria-label="Swipe position">
+                <p class="compare-hint">Drag across the image or use the slider to reveal the after image from the left.</p>
+            </div>
+
+            <div class="compare-view" data-view="flicker" hidden>
+                <div class="flicker-stage">
+                    <img id="flicker-image" alt="Flicker comparison">
+                    <div class="date-badge" id="flicker-label"></div>
+                </div>
+                <div class="flicker-controls">
+                    <button type="button" id="flicker-toggle">Toggle</button>
+                    <button type="button" id="flicker-play">Play</button>
+                    <label>Every <input type="range" id="flicker-interval" min="150" max="2000" step="50" value="600"> <span id="flicker-interval-label">600</span> ms</label>
+                </div>
+                <p class="compare-hint">Toggle or play to switch between the two dates in place; the space bar toggles too.</p>
+            </div>
+
+            <div class="compare-view" data-view="sync" hidden>
+                <div class="sync-panes">
+                    <div class="sync-pane"><img class="sync-before" alt="Before"><div class="date-badge sync-label-before"></div></div>
+                    <div class="sync-pane"><img class="sync-after" alt="After"><div class="date-badge sync-label-after"></div></div>
+                </div>
+                <p class="compare-hint">Scroll to zoom and drag to pan; both sides follow. Double-click to reset.</p>
+            </div>
+        </section>`;
+}
+
+/**
+ * Render the HTML report
+ */
+function renderHtml(metadata, images, { source, generatedAt }) {
+  const facts = summarize(metadata, images);
+  const stylesheet = fs.readFileSync(path.join(ASSET_DIR, 'report.css'), 'utf8');
+  const scripts = ['report.js', 'compare.js'].map(file => fs.readFileSync(path.join(ASSET_DIR, file), 'utf8'));
+
+  const markers = images.map((image, index) => html`
+            <a class="timeline-marker" href="#card-${index}" style="left: ${facts.timelinePosition(image)}%;" title="${image.formattedDate}">
+                <span class="timeline-year">${image.estimatedYear}</span>
+            </a>`);
+
+  const roiOverlay = renderRoiOverlay(metadata);
+  const cards = images.map((image, index) => {
+    const src = source(image.file);
+    const imageryDate = describeImageryDate(image.imageryDate);
+    return html`
+            <div class="image-card" id="card-${index}">
+                <div class="image-container">
+                    <img src="${src}" alt="Historical image ${image.formattedDate}">${roiOverlay}
+                    <div class="date-badge">${image.formattedDate}</div>
+                </div>
+                <div class="image-details">
+                    <h3>Historical Image: ${image.formattedDate}</h3>
+                    <div class="image-meta">Timeline Position: ${image.position} (X: ${image.pointX})</div>
+                    <div class="image-meta">Estimated Year: ${image.estimatedYear}</div>
+                    <div class="image-meta">Detected Date: ${image.detectedDateText || 'Unknown'}</div>
+                    ${imageryDate && html`<div class="image-meta">Imagery Date: ${imageryDate}</div>`}
+                    <div class="image-actions">
+                        <a href="${lightboxHref(source, src, `card-${index}`)}" data-lightbox data-caption="${image.formattedDate}">View Full Size</a>
+                        ${images.length > 1 && html`<a href="#compare" data-compare="${index}">Compare</a>`}
+                        ${image.roiFile && html`<a href="${source(image.roiFile)}" data-lightbox data-caption="Area of interest ${image.formattedDate}">Area of Interest</a>`}
+                        ${image.dateDisplayFile && html`<a href="${source(image.dateDisplayFile)}" data-lightbox data-caption="Date display ${image.formattedDate}">View Date Display</a>`}
+                    </div>
+                </div>
+            </div>`;
+  });
+
+  const page = html`<!DOCTYPE html>
+<html>
+<head>
+    <title>Historical Imagery Results - ${facts.title}</title>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <style>
+${raw(stylesheet)}
+    </style>
+</head>
+<body>
+    <div class="container">
+        <header>
+            <h1>Historical Satellite Imagery: ${facts.title}</h1>
+            <p>Captured on ${facts.captured}</p>
+        </header>
+
+        <section class="metadata">
+            <h2>Capture Metadata</h2>
+            <dl>
+                <dt>Location Coordinates</dt>
+                <dd>${metadata.coordinates}</dd>
+
+                <dt>Target Date Range</dt>
+                <dd>${metadata.startYear} to ${metadata.endYear}</dd>
+
+                <dt>Actual Date Range Found</dt>
+                <dd>${facts.dateRange}</dd>
+
+                <dt>Total Unique Images</dt>
+                <dd>${images.length}</dd>
+
+                <dt>Capture Duration</dt>
+                <dd>${facts.durationSeconds} seconds</dd>
+
+                <dt>Zoom Level</dt>
+                <dd>${facts.zoom}</dd>
+${facts.camera && html`
+                <dt>Camera</dt>
+                <dd><a href="${facts.camera.url}">${describeCamera(facts.camera)}</a></dd>
+`}${metadata.roi && html`
+                <dt>Area of Interest</dt>
+                <dd>${describeRoi(metadata.roi)}</dd>
+`}            </dl>
+        </section>
+
+        <h2>Timeline Visualization</h2>
+        <div class="timeline">${markers}
+        </div>
+
+        <h2>Historical Images (${images.length})</h2>
+        <div class="image-grid">${cards}
+        </div>
+${renderChanges(metadata, images, source)}
+${renderComparison(images)}
+
+        <div class="lightbox" id="lightbox">
+            <span class="close-lightbox" id="close-lightbox">&times;</span>
+            <img id="lightbox-img" src="" alt="Full size image">
+            <div class="lightbox-caption" id="lightbox-caption"></div>
+        </div>
+
+        <footer>
+            <p>Generated by Google Earth Historical Imagery Capture Tool</p>
+            <p>Coordinates: ${metadata.coordinates} &bull; Generated: ${generatedAt.toISOString()}${metadata.runId && html` &bull; Run ${metadata.runId}`}</p>
+        </footer>
+    </div>
+
+    <script>
+${raw(scripts.join('\n'))}
+    </script>
+</body>
+</html>
+`;
+
+  return page[MARKUP];
+}
+
+/**
+ * Render the Markdown report
+ */
+function renderMarkdown(metadata, images, { source, generatedAt }) {
+  const facts = summarize(metadata, images);
+  const md = escapeMarkdown;
+
+  const lines = [
+    `# Historical Satellite Imagery: ${md(facts.title)}`,
+    '',
+    `Captured on ${facts.captured}`,
+    '',
+    '| Capture Metadata | |',
+    '|---|---|',
+    `| Location Coordinates | ${md(metadata.coordinates)} |`,
+    `| Target Date Range | ${metadata.startYear} to ${metadata.endYear} |`,
+    `| Actual Date Range Found | ${md(facts.dateRange)} |`,
+    `| Total Unique Images | ${images.length} |`,
+    `| Capture Duration | ${facts.durationSeconds} seconds |`,
+    `| Zoom Level | ${md(facts.zoom)} |`,
+    ...(facts.camera ? [`| Camera | [${md(describeCamera(facts.camera))}](${facts.camera.url}) |`] : []),
+    ...(metadata.roi ? [`| Area of Interest | ${md(describeRoi(metadata.roi))} |`] : []),
+    '',
+    `## Historical Images (${images.length})`
+  ];
+
+  images.forEach((image, index) => {
+    const imageryDate = describeImageryDate(image.imageryDate);
+    lines.push(
+      '',
+      `### ${index + 1}. ${md(image.formattedDate)}`,
+      '',
+      `![Historical image ${md(image.formattedDate)}](${source(image.file)})`,
+      '',
+      `- Timeline Position: ${image.position} (X: ${image.pointX})`,
+      `- Estimated Year: ${image.estimatedYear}`,
+      `- Detected Date: ${md(image.detectedDateText || 'Unknown')}`
+    );
+    if (imageryDate) lines.push(`- Imagery Date: ${md(imageryDate)}`);
+    if (image.roiFile) lines.push(`- [Area of Interest](${source(image.roiFile)})`);
+    if (image.dateDisplayFile) lines.push(`- [Date Display](${source(image.dateDisplayFile)})`);
+  });
+
+  const pairs = metadata.changes ? metadata.changes.pairs : [];
+  if (pairs.length > 0) {
+    lines.push(
+      '',
+      '## Detected Changes',
+      '',
+      '| Before | After | Changed | Heatmap | Mask |',
+      '|---|---|---|---|---|',
+      ...pairs.map(pair => `| ${md(pair.before.formattedDate)} | ${md(pair.after.formattedDate)} | ${md(describeChange(pair))}` +
+        `${pair.roi ? `; ${md(describeChange(pair.roi, 'the area of interest'))}` : ''} | ` +
+        `[heatmap](${source(pair.heatmapFile)}) | [mask](${source(pair.maskFile)}) |`)
+    );
+  }
+
+  lines.push(
+    '',
+    '---',
+    '',
+    `Generated by Google Earth Historical Imagery Capture Tool on ${generatedAt.toISOString()}` +
+      (metadata.runId ? ` (run ${metadata.runId})` : ''),
+    ''
+  );
+  return lines.join('\n');
+}
+
+/**
+ * Render a report
+ * @param {Object} metadata - Run metadata as written to metadata.json
+ * @param {Array<Object>} images - Unique images, left to right on the slider (metadata.images)
+ * @param {Object} [options]
+ * @param {string} [options.format='html'] - One of REPORT_FORMATS
+ * @param {string} [options.runDir] - Run folder holding the images; needed for 'standalone'
+ * @param {Date} [options.generatedAt] - Time stamped in the footer
+ * @returns {string} - Report text
+ */
+function renderReport(metadata, images, { format = 'html', runDir = metadata.outputDirectory, generatedAt = new Date() } = {}) {
+  if (!REPORT_FORMATS.includes(format)) {
+    throw new Error(`Unknown report format "${format}" (use ${REPORT_FORMATS.join(', ')})`);
+  }
+
+  const source = createImageSource(runDir, format === 'standalone');
+  const render = format === 'markdown' ? renderMarkdown : renderHtml;
+  return render(metadata, images, { source, generatedAt });
+}
+
+/**
+ * Image list of a metadata.json written before it recorded one: each imagery
+ * group's canonical image, described by the position whose date it carries
+ */
+function imagesFromGroups(groups) {
+  return groups
+    .map(group => {
+      const member = group.members.find(m => m.dateFromOcr) || group.members[0];
+      return {
+        groupId: group.id,
+        position: member.position,
+        pointX: member.pointX,
+        handleX: member.handleX,
+        estimatedYear: member.estimatedYear,
+        detectedDateText: member.detectedDateText,
+        ocrConfidence: member.ocrConfidence,
+        formattedDate: group.formattedDate,
+        imageryDate: group.imageryDate,
+        dateFromOcr: member.dateFromOcr,
+        file: group.canonicalFile,
+        mapFile: group.mapFile,
+        dateDisplayFile: `date_display_${member.position}.png`
+      };
+    })
+    .sort((a, b) => a.pointX - b.pointX);
+}
+
+/**
+ * Read the metadata and image list of a run folder
+ * @param {string} runDir - Run folder containing metadata.json
+ * @returns {{metadata: Object, images: Array<Object>}}
+ */
+function loadRunReportData(runDir) {
+  const metadataPath = path.join(runDir, 'metadata.json');
+  if (!fs.existsSync(metadataPath)) {
+    throw new Error(`No metadata.json in ${runDir}; reports can only be built for finished runs`);
+  }
+
+  let metadata;
+  try {
+    metadata = JSON.parse(fs.readFileSync(metadataPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read ${metadataPath}: ${error.message}`);
+  }
+
+  if (metadata.images) return { metadata, images: metadata.images };
+  if (metadata.imageGroups) return { metadata, images: imagesFromGroups(metadata.imageGroups) };
+  throw new Error(`${metadataPath} has no image list; it was written by a version too old to rebuild reports from`);
+}
+
+/**
+ * Write reports into a run folder
+ * @param {string} runDir - Run folder
+ * @param {Object} metadata - Run metadata
+ * @param {Array<Object>} images - Unique images (metadata.images)
+ * @param {string[]} [formats=['html']] - REPORT_FORMATS to write
+ * @returns {Promise<Object>} - format -> path of the written file
+ */
+async function writeReports(runDir, metadata, images, formats = ['html']) {
+  const written = {};
+  const generatedAt = new Date();
+
+  for (const format of formats) {
+    const report = renderReport(metadata, images, { format, runDir, generatedAt });
+    const reportPath = path.join(runDir, REPORT_FILES[format]);
+    await fs.promises.writeFile(reportPath, report);
+    written[format] = reportPath;
+  }
+
+  return written;
+}
+
+module.exports = {
+  REPORT_FORMATS,
+  REPORT_FILES,
+  escapeHtml,
+  escapeMarkdown,
+  html,
+  raw,
+  renderReport,
+  loadRunReportData,
+  writeReports
+};
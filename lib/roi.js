@@ -0,0 +1,265 @@
+/**
+ * Region of interest: the parcel or site that change statistics, crops and
+ * timelapses focus on
+ *
+ * An area of interest is a polygon, given either as GeoJSON in lon/lat (a
+ * Polygon or MultiPolygon, bare or in a Feature or FeatureCollection) or as
+ * `{ pixels: [[x, y], ...] }` in the pixels of the map crops (`*_map.png`).
+ * Geographic polygons are projected onto the frames with the run's camera
+ * (see lib/georef.js), so they need a georeferenced run. Rings are filled by
+ * the even-odd rule, so GeoJSON holes stay holes.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { decodePng, encodePng, cropImage } = require('./image');
+const { lonLatToPixel } = require('./georef');
+
+// Outline colour on crops and heatmaps; stands apart from the heatmap's yellow to red
+const OUTLINE_COLOR = [0, 229, 255];
+
+/**
+ * Rings of a GeoJSON object that holds polygons
+ */
+function geoJsonRings(geojson) {
+  if (!geojson || typeof geojson !== 'object') return null;
+  switch (geojson.type) {
+    case 'FeatureCollection':
+      if (!Array.isArray(geojson.features)) return null;
+      return geojson.features.reduce((rings, feature) => {
+        const found = geoJsonRings(feature);
+        return rings && found ? rings.concat(found) : null;
+      }, []);
+    case 'Feature':
+      return geoJsonRings(geojson.geometry);
+    case 'Polygon':
+      return Array.isArray(geojson.coordinates) ? geojson.coordinates : null;
+    case 'MultiPolygon':
+      return Array.isArray(geojson.coordinates) ? [].concat(...geojson.coordinates) : null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Read an area of interest
+ * @param {string|Object} value - Path of a GeoJSON or JSON file, or the parsed object
+ * @returns {{source: string, rings: Array<Array<number[]>>, geometry: Object|null}} - `source` is
+ *   'geojson' (rings in [lon, lat]) or 'pixels' (rings in map-crop pixels)
+ * @throws {Error} - When the file cannot be read or holds no usable polygon
+ */
+function parseRoi(value) {
+  if (typeof value === 'string') {
+    let parsed;
+    try {
+      parsed = JSON.parse(fs.readFileSync(value, 'utf8'));
+    } catch (error) {
+      throw new Error(`cannot read ${value}: ${error.message}`);
+    }
+    return parseRoi(parsed);
+  }
+
+  let source;
+  let rings;
+  if (value && Array.isArray(value.pixels)) {
+    source = 'pixels';
+    // One ring, or a list of rings
+    rings = Array.isArray(value.pixels[0]) && Array.isArray(value.pixels[0][0]) ? value.pixels : [value.pixels];
+  } else {
+    source = 'geojson';
+    rings = geoJsonRings(value);
+    if (!rings) {
+      throw new Error('expected a GeoJSON Polygon or MultiPolygon (bare, in a Feature or in a FeatureCollection), or { pixels: [[x, y], ...] }');
+    }
+  }
+
+  if (rings.length === 0) throw new Error('the area of interest has no polygon');
+  rings.forEach((ring, i) => {
+    const valid = Array.isArray(ring) && ring.length >= 3 &&
+      ring.every(point => Array.isArray(point) && point.length >= 2 && point.slice(0, 2).every(Number.isFinite));
+    if (!valid) {
+      throw new Error(`ring ${i + 1} must have at least 3 [${source === 'pixels' ? 'x, y' : 'lon, lat'}] points`);
+    }
+    if (source === 'geojson' && ring.some(([lon, lat]) => lon < -180 || lon > 180 || lat < -90 || lat > 90)) {
+      throw new Error(`ring ${i + 1} has points outside lon -180..180, lat -90..90`);
+    }
+  });
+
+  return {
+    source,
+    rings: rings.map(ring => ring.map(([x, y]) => [x, y])),
+    geometry: source === 'geojson' ? { type: 'MultiPolygon', coordinates: rings.map(ring => [ring]) } : null
+  };
+}
+
+/**
+ * Rings of an area of interest in map-crop pixels
+ * @param {Object} roi - From parseRoi
+ * @param {Object} [frame] - How the map crops were taken
+ * @param {Object} [frame.camera] - Run camera (metadata.georeference.camera); needed for GeoJSON
+ * @param {{width: number, height: number}} [frame.viewport] - Screenshot size
+ * @param {Object} [frame.mapRect] - Map rectangle of the capture layout
+ * @returns {Array<Array<number[]>>}
+ */
+function projectRoi(roi, { camera, viewport, mapRect } = {}) {
+  if (roi.source === 'pixels') return roi.rings;
+  if (!camera) {
+    throw new Error('a GeoJSON area of interest needs a georeferenced run (see the georeference setting)');
+  }
+  const toPixel = lonLatToPixel(camera, viewport, mapRect);
+  return roi.rings.map(ring => ring.map(toPixel));
+}
+
+/**
+ * Which pixels of a width x height grid lie inside the rings (even-odd rule),
+ * sampling each grid cell at its centre
+ * @param {Array<Array<number[]>>} rings - In image pixels
+ * @param {number} width - Grid width
+ * @param {number} height - Grid height
+ * @param {number} [scale=1] - Image pixels per grid cell
+ * @returns {Uint8Array}
+ */
+function rasterizeRings(rings, width, height, scale = 1) {
+  const inside = new Uint8Array(width * height);
+  const edges = [];
+  for (const ring of rings) {
+    for (let i = 0; i < ring.length; i++) {
+      const [x0, y0] = ring[i];
+      const [x1, y1] = ring[(i + 1) % ring.length];
+      if (y0 !== y1) edges.push([x0, y0, x1, y1]);
+    }
+  }
+
+  const crossings = [];
+  for (let y = 0; y < height; y++) {
+    const sy = (y + 0.5) * scale;
+    crossings.length = 0;
+    for (const [x0, y0, x1, y1] of edges) {
+      if ((y0 <= sy) !== (y1 <= sy)) crossings.push(x0 + ((sy - y0) / (y1 - y0)) * (x1 - x0));
+    }
+    crossings.sort((a, b) => a - b);
+
+    // Cells whose centre falls between each pair of crossings
+    for (let k = 0; k + 1 < crossings.length; k += 2) {
+      const from = Math.max(0, Math.ceil(crossings[k] / scale - 0.5));
+      const to = Math.min(width - 1, Math.floor(crossings[k + 1] / scale - 0.5));
+      if (to >= from) inside.fill(1, y * width + from, y * width + to + 1);
+    }
+  }
+  return inside;
+}
+
+/**
+ * Bounding rectangle of the rings within a width x height image, or null
+ * when they lie entirely outside it
+ */
+function ringsBounds(rings, width, height) {
+  const points = [].concat(...rings);
+  const x0 = Math.max(0, Math.floor(Math.min(...points.map(p => p[0]))));
+  const y0 = Math.max(0, Math.floor(Math.min(...points.map(p => p[1]))));
+  const x1 = Math.min(width, Math.ceil(Math.max(...points.map(p => p[0]))));
+  const y1 = Math.min(height, Math.ceil(Math.max(...points.map(p => p[1]))));
+  if (x1 <= x0 || y1 <= y0) return null;
+  return { x: x0, y: y0, width: x1 - x0, height: y1 - y0 };
+}
+
+/**
+ * Draw the rings onto an RGBA image, shifted by an offset
+ * @param {Object} image - RGBA image, changed in place
+ * @param {Array<Array<number[]>>} rings - In image pixels before the offset
+ * @param {Object} [options]
+ * @param {number[]} [options.color] - RGB
+ * @param {number} [options.thickness=3]
+ * @param {{x: number, y: number}} [options.offset] - Subtracted from every point
+ * @returns {Object} - The image
+ */
+function drawRings(image, rings, { color = OUTLINE_COLOR, thickness = 3, offset = { x: 0, y: 0 } } = {}) {
+  const half = Math.floor(thickness / 2);
+  const dot = (cx, cy) => {
+    for (let y = cy - half; y < cy - half + thickness; y++) {
+      if (y < 0 || y >= image.height) continue;
+      for (let x = cx - half; x < cx - half + thickness; x++) {
+        if (x < 0 || x >= image.width) continue;
+        const i = (y * image.width + x) * 4;
+        image.data[i] = color[0];
+        image.data[i + 1] = color[1];
+        image.data[i + 2] = color[2];
+      }
+    }
+  };
+
+  for (const ring of rings) {
+    for (let i = 0; i < ring.length; i++) {
+      const [x0, y0] = ring[i];
+      const [x1, y1] = ring[(i + 1) % ring.length];
+      const steps = Math.max(1, Math.ceil(Math.max(Math.abs(x1 - x0), Math.abs(y1 - y0))));
+      for (let s = 0; s <= steps; s++) {
+        dot(Math.round(x0 + ((x1 - x0) * s) / steps - offset.x), Math.round(y0 + ((y1 - y0) * s) / steps - offset.y));
+      }
+    }
+  }
+  return image;
+}
+
+/**
+ * Project the area of interest onto a run's map crops and write a crop of it
+ * for every unique image
+ *
+ * Each image gets `<name>_roi.png`, the map crop cut to the polygon's bounds
+ * with the outline drawn, and its `roiFile` is set.
+ * @param {string} runDir - Run folder
+ * @param {Array<Object>} images - metadata.images; `roiFile` is added to each
+ * @param {Object} roi - From parseRoi
+ * @param {Object} frame - See projectRoi, plus optional `metersPerPixel`
+ * @param {Function} [log] - Run logger
+ * @returns {Object} - Area of interest summary for metadata.json
+ * @throws {Error} - When the polygon misses the map
+ */
+function writeRoi(runDir, images, roi, frame, log = () => {}) {
+  const { mapRect } = frame;
+  const rings = projectRoi(roi, frame);
+  const bounds = ringsBounds(rings, mapRect.width, mapRect.height);
+  if (!bounds) {
+    throw new Error('the area of interest lies outside the captured map');
+  }
+
+  const areaPixels = rasterizeRings(rings, mapRect.width, mapRect.height).reduce((sum, v) => sum + v, 0);
+  if (areaPixels === 0) {
+    throw new Error('the area of interest covers no pixels of the captured map');
+  }
+
+  for (const image of images) {
+    const crop = cropImage(decodePng(path.join(runDir, image.mapFile)), bounds);
+    drawRings(crop, rings, { offset: bounds });
+    image.roiFile = image.mapFile.replace(/_map\.png$/i, '').replace(/\.png$/i, '') + '_roi.png';
+    fs.writeFileSync(path.join(runDir, image.roiFile), encodePng(crop));
+  }
+
+  const areaM2 = frame.metersPerPixel ? Math.round(areaPixels * frame.metersPerPixel ** 2) : null;
+  log(`Area of interest (${roi.source}): ${areaPixels} pixel(s)${areaM2 !== null ? `, ${areaM2} m²` : ''}, ` +
+    `bounds ${bounds.width}x${bounds.height} at (${bounds.x}, ${bounds.y})`, {
+    event: 'roi',
+    metrics: { areaPixels, areaM2 }
+  });
+
+  return {
+    source: roi.source,
+    // Rings in map-crop pixels
+    polygon: rings.map(ring => ring.map(([x, y]) => [Math.round(x * 10) / 10, Math.round(y * 10) / 10])),
+    geometry: roi.geometry,
+    bounds,
+    areaPixels,
+    areaM2
+  };
+}
+
+module.exports = {
+  OUTLINE_COLOR,
+  parseRoi,
+  projectRoi,
+  rasterizeRings,
+  ringsBounds,
+  drawRings,
+  writeRoi
+};
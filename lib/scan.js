@@ -0,0 +1,170 @@
+/**
+ * Timeline scanning strategies
+ *
+ * A strategy decides which slider positions to visit. It works on an ordered
+ * list of candidate positions (the acquisition dots when calibration found
+ * them, otherwise every pixel of the slider) and a visit(x) callback that
+ * clicks, captures and returns the imagery group shown there.
+ *   - uniform:  evenly spaced positions, the original fixed sampling
+ *   - adaptive: a coarse pass, then bisection between neighbouring positions
+ *               showing different imagery until each change boundary lies
+ *               between two adjacent candidates
+ * Both stop early when the visit limit or the time budget is reached.
+ *
+ * A resumed run passes the visits of the interrupted scan back in. Strategies
+ * are deterministic, so the scan retraces the same path, takes each recorded
+ * result instead of clicking again, and continues live where it stopped.
+ */
+
+const SCAN_STRATEGIES = ['adaptive', 'uniform'];
+
+/**
+ * Indices of count evenly spaced items out of length, always including both ends;
+ * every index when count is at least length (or Infinity)
+ */
+function evenlySpaced(length, count) {
+  if (length === 0) return [];
+  if (count >= length) return [...Array(length).keys()];
+  if (count <= 1 || length === 1) return [length - 1];
+  const indices = new Set();
+  for (let i = 0; i < count; i++) {
+    indices.add(Math.round((i * (length - 1)) / (count - 1)));
+  }
+  return [...indices];
+}
+
+/**
+ * Visit timeline positions according to a strategy
+ * @param {Object} options
+ * @param {number[]} options.candidates - Positions that can be visited, left to right
+ * @param {Function} options.visit - async (x) => group id shown at x
+ * @param {string} [options.strategy='adaptive'] - One of SCAN_STRATEGIES
+ * @param {number} [options.coarsePoints=8] - Positions in the adaptive first pass
+ * @param {number} [options.maxVisits=Infinity] - Most positions to visit (the uniform sample size)
+ * @param {number} [options.timeBudget=0] - Seconds before scanning stops; 0 for no limit
+ * @param {Array<{x: number, groupId: number}>} [options.previousVisits] - Visits of an interrupted
+ *   scan, replayed rather than visited again
+ * @param {number} [options.elapsedMs=0] - Time the interrupted scan already spent, counted against timeBudget
+ * @param {Function} [options.log] - Run logger
+ * @returns {Promise<{strategy: string, visits: Array<{x: number, groupId: number}>,
+ *   boundaries: Array<{leftX: number, rightX: number, fromGroup: number, toGroup: number, resolved: boolean}>,
+ *   stoppedBy: string|null, durationMs: number}>} - Visits in visiting order; boundaries left to right
+ */
+async function scanTimeline({
+  candidates,
+  visit,
+  strategy = 'adaptive',
+  coarsePoints = 8,
+  maxVisits = Infinity,
+  timeBudget = 0,
+  previousVisits = [],
+  elapsedMs = 0,
+  log = () => {}
+}) {
+  if (!SCAN_STRATEGIES.includes(strategy)) {
+    throw new Error(`Unknown scan strategy "${strategy}" (use ${SCAN_STRATEGIES.join(' or ')})`);
+  }
+
+  const startedAt = Date.now() - elapsedMs;
+  const replay = new Map(previousVisits.map(v => [v.x, v.groupId]));
+  const groupAt = new Map(); // candidate index -> group id
+  const visits = [];
+  let stoppedBy = null;
+
+  // Visit a candidate unless already seen; false once the scan has to stop
+  const probe = async (index) => {
+    if (groupAt.has(index)) return true;
+    const x = candidates[index];
+
+    // Already visited before the run was interrupted; the limits held then
+    if (replay.has(x)) {
+      groupAt.set(index, replay.get(x));
+      visits.push({ x, groupId: replay.get(x) });
+      return true;
+    }
+
+    if (visits.length >= maxVisits) {
+      stoppedBy = stoppedBy || 'maxVisits';
+      return false;
+    }
+    if (timeBudget > 0 && Date.now() - startedAt >= timeBudget * 1000) {
+      stoppedBy = stoppedBy || 'timeBudget';
+      return false;
+    }
+
+    const groupId = await visit(x);
+    groupAt.set(index, groupId);
+    visits.push({ x, groupId });
+    return true;
+  };
+
+  const firstPass = evenlySpaced(candidates.length, strategy === 'uniform' ? maxVisits : coarsePoints);
+  for (const index of firstPass) {
+    if (!(await probe(index))) break;
+  }
+
+  // Bisect every interval whose ends differ, breadth first so a tight budget
+  // still locates the coarse boundaries before refining any one of them
+  const boundaries = [];
+  if (strategy === 'adaptive') {
+    const seen = [...groupAt.keys()].sort((a, b) => a - b);
+    const queue = [];
+    for (let i = 1; i < seen.length; i++) {
+      if (groupAt.get(seen[i - 1]) !== groupAt.get(seen[i])) queue.push([seen[i - 1], seen[i]]);
+    }
+
+    while (queue.length > 0) {
+      const [left, right] = queue.shift();
+      if (right - left <= 1 || stoppedBy) {
+        boundaries.push({ left, right, resolved: right - left <= 1 });
+        continue;
+      }
+
+      const middle = Math.floor((left + right) / 2);
+      if (!(await probe(middle))) {
+        boundaries.push({ left, right, resolved: false });
+        continue;
+      }
+
+      const group = groupAt.get(middle);
+      if (group !== groupAt.get(left)) queue.push([left, middle]);
+      if (group !== groupAt.get(right)) queue.push([middle, right]);
+    }
+  }
+
+  const result = {
+    strategy,
+    visits,
+    boundaries: boundaries
+      .sort((a, b) => a.left - b.left)
+      .map(({ left, right, resolved }) => ({
+        leftX: candidates[left],
+        rightX: candidates[right],
+        fromGroup: groupAt.get(left),
+        toGroup: groupAt.get(right),
+        resolved
+      })),
+    stoppedBy,
+    durationMs: Date.now() - startedAt
+  };
+
+  const unresolved = result.boundaries.filter(b => !b.resolved).length;
+  const replayed = visits.filter(v => replay.has(v.x)).length;
+  log(`${strategy === 'adaptive' ? 'Adaptive' : 'Uniform'} scan: ${visits.length} position(s) visited` +
+    (replayed > 0 ? ` (${replayed} from the checkpoint)` : '') +
+    (strategy === 'adaptive' ? `, ${result.boundaries.length} imagery boundaries located` +
+      (unresolved > 0 ? ` (${unresolved} not narrowed down)` : '') : '') +
+    (stoppedBy ? `, stopped early by ${stoppedBy === 'timeBudget' ? 'the time budget' : 'the visit limit'}` : ''), {
+    event: 'scan',
+    strategy,
+    stoppedBy,
+    metrics: { visits: visits.length, replayed, boundaries: result.boundaries.length, unresolved, durationMs: result.durationMs }
+  });
+
+  return result;
+}
+
+module.exports = {
+  SCAN_STRATEGIES,
+  scanTimeline
+};
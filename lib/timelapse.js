@@ -0,0 +1,228 @@
+/**
+ * Timelapse export of a run's unique images
+ *
+ * Frames are the map-only crops, or the area of interest crops when the run
+ * has one (see lib/roi.js), ordered by imagery date rather than by slider
+ * position, resized to one width and optionally stamped with their date. The
+ * animated GIF is encoded in JavaScript (lib/gif.js); the MP4 is made by
+ * ffmpeg when it is installed, and skipped with a warning otherwise.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn, spawnSync } = require('child_process');
+
+const { decodePng, encodePng, resizeImage } = require('./image');
+const { encodeGif } = require('./gif');
+
+const TIMELAPSE_FORMATS = ['gif', 'mp4'];
+
+const TIMELAPSE_FILES = {
+  gif: 'timelapse.gif',
+  mp4: 'timelapse.mp4'
+};
+
+// 5x7 glyphs for date stamps: "2016-03-20", "~2021" (estimated), "≤2015-10-08" (older~ labels)
+const GLYPHS = {
+  '0': ['01110', '10001', '10011', '10101', '11001', '10001', '01110'],
+  '1': ['00100', '01100', '00100', '00100', '00100', '00100', '01110'],
+  '2': ['01110', '10001', '00001', '00010', '00100', '01000', '11111'],
+  '3': ['11111', '00010', '00100', '00010', '00001', '10001', '01110'],
+  '4': ['00010', '00110', '01010', '10010', '11111', '00010', '00010'],
+  '5': ['11111', '10000', '11110', '00001', '00001', '10001', '01110'],
+  '6': ['00110', '01000', '10000', '11110', '10001', '10001', '01110'],
+  '7': ['11111', '00001', '00010', '00100', '01000', '01000', '01000'],
+  '8': ['01110', '10001', '10001', '01110', '10001', '10001', '01110'],
+  '9': ['01110', '10001', '10001', '01111', '00001', '00010', '01100'],
+  '-': ['00000', '00000', '00000', '11111', '00000', '00000', '00000'],
+  '~': ['00000', '00000', '01000', '10101', '00010', '00000', '00000'],
+  '≤': ['00010', '00100', '01000', '00100', '00010', '00000', '11111'],
+  ' ': ['00000', '00000', '00000', '00000', '00000', '00000', '00000'],
+  '?': ['01110', '10001', '00001', '00010', '00100', '00000', '00100']
+};
+const GLYPH_WIDTH = 5;
+const GLYPH_HEIGHT = 7;
+
+/**
+ * Unique images in imagery-date order; undated ones go by their estimated year
+ * @param {Array<Object>} images - metadata.images
+ * @returns {Array<Object>}
+ */
+function orderByDate(images) {
+  // ISO dates of any precision sort correctly as strings, and so do bare years
+  const key = (image) => (image.imageryDate ? image.imageryDate.iso : String(image.estimatedYear));
+  return images.slice().sort((a, b) => key(a).localeCompare(key(b)) || a.pointX - b.pointX);
+}
+
+/**
+ * Date stamp of a frame
+ */
+function frameLabel(image) {
+  if (image.imageryDate) return `${image.imageryDate.olderThan ? '≤' : ''}${image.imageryDate.iso}`;
+  return `~${image.estimatedYear}`;
+}
+
+/**
+ * Stamp text into the bottom-left corner of an RGBA image, white on a dark box
+ */
+function drawLabel(image, text) {
+  const scale = Math.max(2, Math.round(image.height / 160));
+  const padding = 2 * scale;
+  const boxWidth = text.length * (GLYPH_WIDTH + 1) * scale - scale + 2 * padding;
+  const boxHeight = GLYPH_HEIGHT * scale + 2 * padding;
+  const left = padding;
+  const top = image.height - boxHeight - padding;
+
+  const blend = (x, y, value, alpha) => {
+    if (x < 0 || y < 0 || x >= image.width || y >= image.height) return;
+    const i = (y * image.width + x) * 4;
+    for (let c = 0; c < 3; c++) {
+      image.data[i + c] = Math.round(image.data[i + c] * (1 - alpha) + value * alpha);
+    }
+  };
+
+  for (let y = 0; y < boxHeight; y++) {
+    for (let x = 0; x < boxWidth; x++) blend(left + x, top + y, 0, 0.6);
+  }
+
+  [...text].forEach((char, n) => {
+    const glyph = GLYPHS[char] || GLYPHS['?'];
+    const originX = left + padding + n * (GLYPH_WIDTH + 1) * scale;
+    for (let row = 0; row < GLYPH_HEIGHT; row++) {
+      for (let col = 0; col < GLYPH_WIDTH; col++) {
+        if (glyph[row][col] !== '1') continue;
+        for (let dy = 0; dy < scale; dy++) {
+          for (let dx = 0; dx < scale; dx++) {
+            blend(originX + col * scale + dx, top + padding + row * scale + dy, 255, 1);
+          }
+        }
+      }
+    }
+  });
+
+  return image;
+}
+
+/**
+ * Load, resize and stamp the frames of a timelapse
+ * @param {string} runDir - Run folder holding the map or area of interest crops
+ * @param {Array<Object>} images - metadata.images, in the order to show them
+ * @param {Object} [options]
+ * @param {number} [options.width=800] - Frame width in pixels; 0 keeps the crop size
+ * @param {boolean} [options.burnDate=true] - Stamp each frame with its imagery date
+ * @returns {Array<Object>} - RGBA frames of one size
+ */
+function renderFrames(runDir, images, { width = 800, burnDate = true } = {}) {
+  return images.map(image => {
+    const filePath = path.join(runDir, image.roiFile || image.mapFile || image.file);
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`Cannot build the timelapse: ${path.basename(filePath)} is missing from ${runDir}`);
+    }
+
+    let frame = decodePng(filePath);
+    if (width > 0 && width !== frame.width) {
+      frame = resizeImage(frame, width, Math.round(frame.height * (width / frame.width)));
+    }
+    return burnDate ? drawLabel(frame, frameLabel(image)) : frame;
+  });
+}
+
+/**
+ * Whether ffmpeg can be run from the PATH
+ */
+function findFfmpeg() {
+  const result = spawnSync('ffmpeg', ['-version'], { stdio: 'ignore' });
+  return !result.error && result.status === 0;
+}
+
+/**
+ * Encode frames as an MP4 with ffmpeg
+ */
+async function writeMp4(frames, outputPath, frameDuration) {
+  const frameDir = fs.mkdtempSync(path.join(os.tmpdir(), 'timelapse-'));
+  try {
+    frames.forEach((frame, i) => {
+      fs.writeFileSync(path.join(frameDir, `frame_${String(i).padStart(4, '0')}.png`), encodePng(frame));
+    });
+
+    const args = [
+      '-y', '-loglevel', 'error',
+      '-framerate', `1000/${frameDuration}`,
+      '-i', path.join(frameDir, 'frame_%04d.png'),
+      // H.264 players want even dimensions and 4:2:0 chroma
+      '-vf', 'scale=trunc(iw/2)*2:trunc(ih/2)*2,format=yuv420p',
+      '-r', '25',
+      '-movflags', '+faststart',
+      outputPath
+    ];
+    await new Promise((resolve, reject) => {
+      const ffmpeg = spawn('ffmpeg', args, { stdio: ['ignore', 'ignore', 'pipe'] });
+      let stderr = '';
+      ffmpeg.stderr.on('data', chunk => { stderr += chunk; });
+      ffmpeg.on('error', reject);
+      ffmpeg.on('close', code => {
+        if (code === 0) resolve();
+        else reject(new Error(`ffmpeg exited with code ${code}: ${stderr.trim().split('\n').pop()}`));
+      });
+    });
+  } finally {
+    fs.rmSync(frameDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Export a timelapse of a run's unique images
+ * @param {string} runDir - Run folder
+ * @param {Array<Object>} images - metadata.images
+ * @param {Object} [options]
+ * @param {string[]} [options.formats=['gif']] - TIMELAPSE_FORMATS to write
+ * @param {number} [options.frameDuration=1000] - How long each acquisition is shown, in ms
+ * @param {number} [options.width=800] - Frame width in pixels; 0 keeps the crop size
+ * @param {boolean} [options.burnDate=true] - Stamp each frame with its imagery date
+ * @param {Function} [log] - Run logger
+ * @returns {Promise<Object>} - format -> path of the written file (mp4 missing when ffmpeg is not installed)
+ */
+async function buildTimelapse(runDir, images, { formats = ['gif'], frameDuration = 1000, width = 800, burnDate = true } = {}, log = () => {}) {
+  const unknown = formats.filter(format => !TIMELAPSE_FORMATS.includes(format));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown timelapse format(s) ${unknown.join(', ')} (use ${TIMELAPSE_FORMATS.join(', ')})`);
+  }
+  if (images.length === 0) {
+    log('Timelapse skipped: the run has no images', { level: 'warn' });
+    return {};
+  }
+
+  const ordered = orderByDate(images);
+  const frames = renderFrames(runDir, ordered, { width, burnDate });
+  const written = {};
+
+  if (formats.includes('gif')) {
+    written.gif = path.join(runDir, TIMELAPSE_FILES.gif);
+    fs.writeFileSync(written.gif, encodeGif(frames, { delay: frameDuration }));
+  }
+
+  if (formats.includes('mp4')) {
+    if (findFfmpeg()) {
+      written.mp4 = path.join(runDir, TIMELAPSE_FILES.mp4);
+      await writeMp4(frames, written.mp4, frameDuration);
+    } else {
+      log('Timelapse MP4 skipped: ffmpeg was not found on the PATH', { level: 'warn' });
+    }
+  }
+
+  log(`Timelapse of ${frames.length} frame(s) at ${frames[0].width}x${frames[0].height}, ${frameDuration}ms each: ` +
+    `${Object.values(written).map(file => path.basename(file)).join(', ') || 'nothing written'}`, {
+    event: 'timelapse',
+    metrics: { frames: frames.length, width: frames[0].width, height: frames[0].height, frameDuration }
+  });
+  return written;
+}
+
+module.exports = {
+  TIMELAPSE_FORMATS,
+  TIMELAPSE_FILES,
+  orderByDate,
+  frameLabel,
+  buildTimelapse
+};
@@ -0,0 +1,109 @@
+/**
+ * Timeline geometry for the historical imagery slider
+ *
+ * A timeline mapping converts between x positions on the slider and dates. It
+ * is normally built by lib/calibration.js from the slider found on screen: the
+ * year labels give anchor points (each label sits under the first acquisition
+ * of its year) and the dots on the bar are the acquisitions themselves, so the
+ * scale is piecewise rather than linear in time.
+ */
+
+// How far (px) a year label may sit from the dot it labels
+const LABEL_SNAP = 6;
+
+/**
+ * Build a pixel-to-date mapping for the slider
+ * @param {Object} geometry
+ * @param {number} geometry.startX - Left end of the bar
+ * @param {number} geometry.endX - Right end of the bar
+ * @param {number} geometry.y - Row to click on
+ * @param {Array<{x: number, year: number}>} geometry.anchors - At least two points where a
+ *   year starts, increasing in both x and year
+ * @param {Array<{x: number, labelled?: boolean}>} [geometry.dots] - Acquisition dots on the bar;
+ *   labelled dots start a new year
+ * @param {string} [geometry.method] - How the geometry was obtained
+ * @returns {Object} - { startX, endX, y, method, anchors, dots: [{x, year, exact}], xToYear, yearToX, yearAt }
+ */
+function createTimelineMapping({ startX, endX, y, anchors, dots = [], method }) {
+  anchors = [...anchors].sort((a, b) => a.x - b.x);
+  if (anchors.length < 2) {
+    throw new Error('A timeline mapping needs at least two year anchors');
+  }
+  for (let i = 1; i < anchors.length; i++) {
+    if (anchors[i].x <= anchors[i - 1].x || anchors[i].year <= anchors[i - 1].year) {
+      throw new Error(`Timeline anchors must increase in x and year (${JSON.stringify(anchors)})`);
+    }
+  }
+
+  const latestYear = new Date().getFullYear() + 1;
+
+  // Piecewise linear through the anchors, extrapolated from the end segments
+  function xToYear(x) {
+    let i = 0;
+    while (i < anchors.length - 2 && x > anchors[i + 1].x) i++;
+    const a = anchors[i];
+    const b = anchors[i + 1];
+    const year = a.year + ((x - a.x) / (b.x - a.x)) * (b.year - a.year);
+    return Math.min(latestYear, year);
+  }
+
+  function yearToX(year) {
+    let i = 0;
+    while (i < anchors.length - 2 && year > anchors[i + 1].year) i++;
+    const a = anchors[i];
+    const b = anchors[i + 1];
+    const x = a.x + ((year - a.year) / (b.year - a.year)) * (b.x - a.x);
+    return Math.round(Math.max(startX, Math.min(endX, x)));
+  }
+
+  const yearAt = (x) => Math.floor(xToYear(x));
+
+  // A dot belongs to the year of the last labelled dot at or before it; when
+  // that label could not be read the year is interpolated and marked inexact
+  const anchorAt = (x) => anchors.find(a => Math.abs(a.x - x) <= LABEL_SNAP);
+  let current = null;
+  const datedDots = [...dots].sort((a, b) => a.x - b.x).map(dot => {
+    if (dot.labelled || anchorAt(dot.x)) {
+      const anchor = anchorAt(dot.x);
+      current = anchor ? { year: anchor.year, exact: true } : { year: yearAt(dot.x), exact: false };
+    }
+    const { year, exact } = current || { year: yearAt(dot.x), exact: false };
+    return { x: dot.x, year, exact };
+  });
+
+  return { startX, endX, y, method, anchors, dots: datedDots, xToYear, yearToX, yearAt };
+}
+
+/**
+ * Calculate approximate year from timeline position
+ * @param {number} x - Position on the slider
+ * @param {Object} mapping - From createTimelineMapping
+ */
+function estimateYearFromPosition(x, mapping) {
+  const dot = mapping.dots.find(d => Math.abs(d.x - x) <= LABEL_SNAP);
+  return dot ? dot.year : mapping.yearAt(x);
+}
+
+/**
+ * Positions that can be visited from startYear through the most recent imagery
+ * @param {Object} mapping - From createTimelineMapping
+ * @param {number} [startYear] - First year of interest; the whole slider when omitted
+ * @returns {number[]} - The acquisition dots when known, otherwise every pixel; left to right
+ */
+function timelineCandidates(mapping, startYear) {
+  if (mapping.dots.length > 0) {
+    const dots = mapping.dots.filter(d => startYear === undefined || d.year >= startYear);
+    return (dots.length > 0 ? dots : mapping.dots.slice(-1)).map(d => d.x);
+  }
+
+  const fromX = startYear === undefined ? mapping.startX : mapping.yearToX(startYear);
+  const positions = [];
+  for (let x = fromX; x <= mapping.endX; x++) positions.push(x);
+  return positions;
+}
+
+module.exports = {
+  createTimelineMapping,
+  estimateYearFromPosition,
+  timelineCandidates
+};
@@ -0,0 +1,59 @@
+/**
+ * Shared helpers for the capture pipeline
+ */
+
+const fs = require('fs');
+const archiver = require('archiver');
+
+// Helper function for waiting
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Timestamp suitable for directory and file names
+ */
+function fileTimestamp(date = new Date()) {
+  return date.toISOString().replace(/[:.]/g, '-');
+}
+
+/**
+ * Turn a human-readable name into a lowercase filename fragment
+ */
+function sanitizeName(name) {
+  return String(name).replace(/[^a-z0-9]/gi, '_').toLowerCase();
+}
+
+/**
+ * Zip the contents of a directory
+ * @param {string} sourceDir - Directory to archive
+ * @param {string} outputPath - Path of the .zip file to write
+ * @returns {Promise<number>} - Total bytes written
+ */
+function createZipArchive(sourceDir, outputPath) {
+  return new Promise((resolve, reject) => {
+    const output = fs.createWriteStream(outputPath);
+    const archive = archiver('zip', {
+      zlib: { level: 9 }
+    });
+
+    output.on('close', () => {
+      resolve(archive.pointer());
+    });
+
+    archive.on('error', (err) => {
+      reject(err);
+    });
+
+    archive.pipe(output);
+    archive.directory(sourceDir, false);
+    archive.finalize();
+  });
+}
+
+module.exports = {
+  sleep,
+  fileTimestamp,
+  sanitizeName,
+  createZipArchive
+};
@@ -315,13 +315,17 @@ async function captureHistoricalImagery() {
   }
 }
 
+module.exports = { captureHistoricalImagery };
+
 // Run the program
-captureHistoricalImagery()
-  .then(outputDir => {
-    console.log("\n✅ Diagnostic capture completed!");
-    console.log(`📁 Check screenshots and page source in: ${outputDir}`);
-    console.log("\nNote: This script needs to be customized based on the diagnostic information to create a complete solution.");
-  })
-  .catch(error => {
-    console.error("\n❌ Capture process failed:", error.message);
-  });
\ No newline at end of file
+if (require.main === module) {
+  captureHistoricalImagery()
+    .then(outputDir => {
+      console.log("\n✅ Diagnostic capture completed!");
+      console.log(`📁 Check screenshots and page source in: ${outputDir}`);
+      console.log("\nNote: This script needs to be customized based on the diagnostic information to create a complete solution.");
+    })
+    .catch(error => {
+      console.error("\n❌ Capture process failed:", error.message);
+    });
+}
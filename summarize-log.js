@@ -0,0 +1,51 @@
+#!/usr/bin/env node
+/**
+ * Summarize capture logs into step timings and decision counts
+ *
+ * Command line:
+ *   node summarize-log.js <capture_log.jsonl | run folder>... [--json]
+ *
+ * A run folder is read through its capture_log.jsonl. Several logs may be
+ * given at once to compare runs; --json prints the summaries as JSON.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { LOG_FILE, readLogFile } = require('./lib/logger');
+const { summarizeLog, formatSummary } = require('./lib/logsummary');
+
+const USAGE = 'Usage: node summarize-log.js <capture_log.jsonl | run folder>... [--json]';
+
+function main(argv) {
+  const json = argv.includes('--json');
+  const targets = argv.filter(arg => arg !== '--json');
+  if (targets.length === 0 || argv.includes('--help') || argv.includes('-h')) {
+    console.log(USAGE);
+    return;
+  }
+
+  const entries = [];
+  for (const target of targets) {
+    const file = fs.existsSync(target) && fs.statSync(target).isDirectory() ? path.join(target, LOG_FILE) : target;
+    if (!fs.existsSync(file)) {
+      throw new Error(`No log found at ${file}`);
+    }
+    const log = readLogFile(file);
+    if (log.invalidLines > 0) {
+      console.error(`${file}: skipped ${log.invalidLines} line(s) that are not JSON (logs from older versions are plain text)`);
+    }
+    entries.push(...log.entries);
+  }
+
+  const summaries = summarizeLog(entries);
+  console.log(json ? JSON.stringify(summaries, null, 2) : formatSummary(summaries));
+}
+
+if (require.main === module) {
+  try {
+    main(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
+    process.exitCode = 1;
+  }
+}
@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { parseSitesCsv, parseSitesGeoJson, loadSites } = require('../lib/batch');
+
+const point = (lon, lat, properties) => ({ type: 'Feature', properties, geometry: { type: 'Point', coordinates: [lon, lat] } });
+
+test('reads quoted CSV fields, commas and doubled quotes included', () => {
+  // With a byte order mark, as spreadsheet exports often have
+  const csv = '\uFEFFname,lat,lon\r\n"Accra, Ghana",5.5555,-0.2616\r\n"The ""Old"" Fort",5.53,-0.21\r\n\r\n,6.69,-1.62\r\n';
+  assert.deepEqual(parseSitesCsv(csv), [
+    { name: 'Accra, Ghana', lat: 5.5555, lon: -0.2616 },
+    { name: 'The "Old" Fort', lat: 5.53, lon: -0.21 },
+    // Without a name the site is named by its coordinates
+    { name: '6.69,-1.62', lat: 6.69, lon: -1.62 }
+  ]);
+
+  // A quoted field may span lines
+  assert.equal(parseSitesCsv('name,lat,lon\n"Two\nlines",1,2')[0].name, 'Two\nlines');
+});
+
+test('accepts the alternative column names in any order', () => {
+  const csv = 'Longitude, Latitude ,Site,Zoom_Level,start_year\n-0.2616,5.5555,Accra,800,2005\n2.35,48.85,Paris,,\n';
+  assert.deepEqual(parseSitesCsv(csv), [
+    { name: 'Accra', lat: 5.5555, lon: -0.2616, zoomLevel: '800', startYear: '2005' },
+    { name: 'Paris', lat: 48.85, lon: 2.35 }
+  ]);
+
+  assert.deepEqual(parseSitesCsv('location,lng,latitude,altitude,year\nX,1,2,300,2010'), [
+    { name: 'X', lat: 2, lon: 1, zoomLevel: '300', startYear: '2010' }
+  ]);
+  assert.throws(() => parseSitesCsv('name,x,y\nAccra,1,2'), /needs "lat" and "lon" columns, found: name, x, y/);
+  assert.throws(() => parseSitesCsv('\n\n'), /Sites CSV is empty/);
+});
+
+test('lists every bad row at once', () => {
+  const csv = 'name,lat,lon\nGood,1,2\nNorth,95,0\nNowhere,,0\nEast,0,east\nShort,3\n';
+  assert.throws(() => parseSitesCsv(csv), (error) => {
+    assert.match(error.message, /^Invalid sites CSV:/);
+    assert.match(error.message, /row 3: latitude must be between -90 and 90, got "95"/);
+    assert.match(error.message, /row 4: latitude must be between -90 and 90, got ""/);
+    assert.match(error.message, /row 5: longitude must be between -180 and 180, got "east"/);
+    assert.match(error.message, /row 6: longitude must be between -180 and 180, got undefined/);
+    assert.doesNotMatch(error.message, /row 2/);
+    return true;
+  });
+});
+
+test('reads GeoJSON points with their properties', () => {
+  const sites = parseSitesGeoJson({
+    type: 'FeatureCollection',
+    features: [
+      point(-0.2616, 5.5555, { name: 'Accra', zoom: 800, start_year: 2005 }),
+      point(2.35, 48.85, { zoomLevel: 1200, startYear: 2010 }),
+      point(151.2, -33.9)
+    ]
+  });
+  assert.deepEqual(sites, [
+    { name: 'Accra', lat: 5.5555, lon: -0.2616, zoomLevel: 800, startYear: 2005 },
+    { name: '48.85,2.35', lat: 48.85, lon: 2.35, zoomLevel: 1200, startYear: 2010 },
+    { name: '-33.9,151.2', lat: -33.9, lon: 151.2 }
+  ]);
+});
+
+test('lists GeoJSON features that are not usable points', () => {
+  const geojson = {
+    type: 'FeatureCollection',
+    features: [
+      point(0, 0, { name: 'Fine' }),
+      { type: 'Feature', geometry: { type: 'Polygon', coordinates: [[[0, 0], [1, 0], [1, 1], [0, 0]]] } },
+      { type: 'Feature', geometry: null },
+      point(0, -91)
+    ]
+  };
+  assert.throws(() => parseSitesGeoJson(geojson), (error) => {
+    assert.match(error.message, /^Invalid sites GeoJSON:/);
+    assert.match(error.message, /feature 2: only Point geometries are supported/);
+    assert.match(error.message, /feature 3: only Point geometries are supported/);
+    assert.match(error.message, /feature 4: latitude must be between -90 and 90, got -91/);
+    assert.doesNotMatch(error.message, /feature 1/);
+    return true;
+  });
+  assert.throws(() => parseSitesGeoJson(point(0, 0)), /must be a FeatureCollection/);
+});
+
+test('loads sites by file extension', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sites-'));
+  try {
+    fs.writeFileSync(path.join(dir, 'sites.CSV'), 'name,lat,lon\nAccra,5.5555,-0.2616\n');
+    fs.writeFileSync(path.join(dir, 'sites.geojson'), JSON.stringify({ type: 'FeatureCollection', features: [point(2.35, 48.85, { name: 'Paris' })] }));
+    fs.writeFileSync(path.join(dir, 'empty.csv'), 'name,lat,lon\n');
+
+    assert.equal(loadSites(path.join(dir, 'sites.CSV'))[0].name, 'Accra');
+    assert.equal(loadSites(path.join(dir, 'sites.geojson'))[0].name, 'Paris');
+    assert.throws(() => loadSites(path.join(dir, 'empty.csv')), /No sites found in .*empty\.csv/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { validateCamera, parseCameraUrl, buildCameraUrl, nadirCamera, sameView } = require('../lib/camera');
+
+const full = {
+  lat: 5.55551247,
+  lon: -0.26162416,
+  altitude: 32.1,
+  distance: 412.5,
+  fov: 35,
+  heading: -12.25,
+  tilt: 45,
+  roll: 0.5,
+  data: 'CgRCAggBOgMKATBCAggASg0I____________ARAA',
+  search: null
+};
+
+test('parse(build(camera)) gives the camera back', () => {
+  assert.deepEqual(parseCameraUrl(buildCameraUrl(full)), full);
+
+  // Only a height is needed; the rest defaults
+  const minimal = parseCameraUrl(buildCameraUrl({ lat: -33.9, lon: 151.2, altitude: 250 }));
+  assert.deepEqual(minimal, {
+    lat: -33.9, lon: 151.2, altitude: 250, distance: null, fov: null, heading: 0, tilt: 0, roll: 0, data: null, search: null
+  });
+
+  const searched = { ...full, search: 'Accra, Ghana', data: null };
+  assert.deepEqual(parseCameraUrl(buildCameraUrl(searched)), searched);
+});
+
+test('build(parse(url)) gives a canonical URL back', () => {
+  const url = 'https://earth.google.com/web/@5.5555,-0.2616,32.1a,412.5d,35y,0h,0t,0r';
+  assert.equal(buildCameraUrl(parseCameraUrl(url)), url);
+
+  // At most eight decimals and never an exponent
+  assert.equal(buildCameraUrl({ lat: 1e-9, lon: 0.123456789, altitude: 5 }), 'https://earth.google.com/web/@0,0.12345679,5a,0h,0t,0r');
+  // Query strings and fragments are not part of the camera
+  assert.equal(buildCameraUrl(parseCameraUrl(`${url}?authuser=0#x`)), url);
+});
+
+test('keeps real data blobs untouched', () => {
+  for (const data of ['CgRCAggBOgMKATBCAggASg0I____________ARAA', '!3m1!1e3', 'MikKJwolCiMweDA6MHg*%2F~.=']) {
+    const url = `https://earth.google.com/web/@5.5,-0.2,30a,400d,35y,0h,0t,0r/data=${data}`;
+    assert.equal(parseCameraUrl(url).data, data);
+    assert.equal(buildCameraUrl(parseCameraUrl(url)), url);
+  }
+  assert.throws(() => buildCameraUrl({ ...full, data: 'a/b' }), /data must be one URL path segment/);
+});
+
+test('an Earth Web URL without a camera has none', () => {
+  assert.equal(parseCameraUrl('https://earth.google.com/web/'), null);
+});
+
+test('rejects malformed URLs', () => {
+  assert.throws(() => parseCameraUrl('not a url'), /Not a URL/);
+  assert.throws(() => parseCameraUrl('https://maps.google.com/@5.5,-0.2,30a'), /Not an Earth Web URL/);
+  assert.throws(() => parseCameraUrl('https://earth.google.com/web/@5.5,-0.2,30a/extra/path'), /Unrecognized Earth Web camera path/);
+  assert.throws(() => parseCameraUrl('https://earth.google.com/web/@north,-0.2,30a'), /must start with lat,lon/);
+  assert.throws(() => parseCameraUrl('https://earth.google.com/web/@5.5,-0.2,30q'), /Unrecognized camera value "30q"/);
+  assert.throws(() => parseCameraUrl('https://earth.google.com/web/@5.5,-0.2,30a,40a'), /gives altitude twice/);
+});
+
+test('rejects out-of-range values, listing every one', () => {
+  assert.throws(() => parseCameraUrl('https://earth.google.com/web/@95,-0.2,30a'), /lat must be between -90 and 90/);
+  assert.throws(() => parseCameraUrl('https://earth.google.com/web/@5.5,-0.2'), /an altitude or a distance is needed/);
+
+  assert.throws(() => validateCamera({ lat: 5, lon: 200, distance: -1, fov: 180, tilt: 190 }), (error) => {
+    for (const problem of [/lon must be/, /distance must be/, /fov must be/, /tilt must be/]) {
+      assert.match(error.message, problem);
+    }
+    return true;
+  });
+  assert.throws(() => validateCamera(null), /A camera must be an object/);
+});
+
+test('nadir cameras and view comparison', () => {
+  const camera = nadirCamera(5.5555, -0.2616, 250);
+  assert.equal(buildCameraUrl(camera), 'https://earth.google.com/web/@5.5555,-0.2616,250a,35y,0h,0t,0r');
+  assert.ok(sameView(camera, { ...camera, lat: camera.lat + 1e-9, data: 'x' }));
+  assert.ok(!sameView(camera, { ...camera, heading: 90 }));
+});
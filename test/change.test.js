@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { analyzeChange } = require('../lib/change');
+
+const makeImage = (width, height, pixel) => {
+  const data = new Uint8Array(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      const [r, g, b] = pixel(x, y);
+      data[i] = r;
+      data[i + 1] = g;
+      data[i + 2] = b;
+      data[i + 3] = 255;
+    }
+  }
+  return { width, height, data };
+};
+
+// Gently varying ground, so the illumination fit has some contrast to work with
+const ground = (x, y) => [60 + x, 80 + y, 70 + ((x + y) >> 1)];
+const before = makeImage(128, 128, ground);
+
+// The same ground with a bright square pasted over it
+const withBlock = (x0, y0, size) => makeImage(128, 128, (x, y) =>
+  (x >= x0 && x < x0 + size && y >= y0 && y < y0 + size ? [250, 250, 250] : ground(x, y)));
+
+const contains = (box, [x, y, width, height]) =>
+  box.x <= x && box.y <= y && box.x + box.width >= x + width && box.y + box.height >= y + height;
+
+test('a uniform change of brightness and contrast is not change', () => {
+  // Kept below 255 everywhere, so no channel clips
+  const after = makeImage(128, 128, (x, y) => ground(x, y).map(v => Math.round(v * 1.2 + 5)));
+  const result = analyzeChange(before, after);
+
+  assert.equal(result.percentChanged, 0);
+  assert.deepEqual(result.clusters, []);
+  for (let c = 0; c < 3; c++) {
+    assert.ok(Math.abs(result.illumination.gain[c] - 1 / 1.2) < 0.01, `gain ${result.illumination.gain[c]}`);
+  }
+});
+
+test('a pasted block is one cluster around the block', () => {
+  const result = analyzeChange(before, withBlock(40, 52, 30));
+
+  assert.equal(result.clusters.length, 1);
+  const [box] = result.clusters;
+  // Blur and downsampling may widen the box by a few pixels, never shrink it
+  assert.ok(contains(box, [40, 52, 30, 30]), JSON.stringify(box));
+  assert.ok(contains({ x: 34, y: 46, width: 42, height: 42 }, [box.x, box.y, box.width, box.height]), JSON.stringify(box));
+  assert.ok(result.percentChanged > 4 && result.percentChanged < 12, `${result.percentChanged}%`);
+});
+
+test('a cluster below the minimum area is dropped', () => {
+  const after = withBlock(40, 52, 24);
+  assert.equal(analyzeChange(before, after).clusters.length, 1);
+
+  const result = analyzeChange(before, after, { minArea: 1000 });
+  assert.equal(result.percentChanged, 0);
+  assert.deepEqual(result.clusters, []);
+});
+
+test('changes inside a masked rectangle are ignored', () => {
+  const after = withBlock(40, 52, 30);
+  const result = analyzeChange(before, after, { masks: [{ x: 32, y: 44, width: 46, height: 46 }] });
+
+  assert.equal(result.percentChanged, 0);
+  assert.deepEqual(result.clusters, []);
+  assert.ok(result.validArea < 128 * 128);
+});
+
+test('rejects frames of different sizes', () => {
+  assert.throws(() => analyzeChange(before, makeImage(64, 128, ground)), /cannot be compared pixel by pixel/);
+});
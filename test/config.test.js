@@ -0,0 +1,136 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { DEFAULTS, readConfigFile, resolveConfig, validateConfig, loadConfig } = require('../lib/config');
+
+/**
+ * Run fn with a temporary directory holding the given files
+ */
+function withFiles(files, fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-'));
+  try {
+    for (const [name, content] of Object.entries(files)) {
+      fs.mkdirSync(path.dirname(path.join(dir, name)), { recursive: true });
+      fs.writeFileSync(path.join(dir, name), content);
+    }
+    return fn(dir);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+test('layers override each other: defaults < file < environment < flags', () => {
+  withFiles({ 'imagery.config.yaml': 'startYear: 2010\nzoomLevel: 400\ntimelinePoints: 12\nheadless: true\n' }, (cwd) => {
+    const env = { IMAGERY_ZOOM_LEVEL: '600', IMAGERY_TIMELINE_POINTS: '20', IMAGERY_HEADLESS: '' };
+    const { config, origins, configFile } = resolveConfig({ cwd, env, overrides: { timelinePoints: 40, ocrWorkers: undefined } });
+
+    assert.equal(configFile, path.join(cwd, 'imagery.config.yaml'));
+    assert.deepEqual(
+      ['ocrWorkers', 'startYear', 'headless', 'zoomLevel', 'timelinePoints'].map(key => [config[key], origins[key]]),
+      [[DEFAULTS.ocrWorkers, 'default'], [2010, 'file'], [true, 'file'], ['600', 'env'], [40, 'cli']]
+    );
+    // Without a config file the output goes to the working directory
+    assert.equal(resolveConfig({ cwd: os.tmpdir(), env: {} }).config.outputRoot, os.tmpdir());
+
+    // Strings from the environment are coerced once everything is merged
+    const validated = loadConfig({ cwd, env: { ...env, IMAGERY_VIEWPORT: '1600x1000', IMAGERY_REPORT_FORMATS: 'html, markdown' } });
+    assert.equal(validated.zoomLevel, 600);
+    assert.deepEqual(validated.viewport, { width: 1600, height: 1000 });
+    assert.deepEqual(validated.reportFormats, ['html', 'markdown']);
+  });
+});
+
+test('an explicit config file wins over IMAGERY_CONFIG and the default names', () => {
+  withFiles({
+    'imagery.config.json': '{ "startYear": 2001 }',
+    'env.json': '{ "startYear": 2002 }',
+    'flag.yml': 'startYear: 2003'
+  }, (cwd) => {
+    assert.equal(resolveConfig({ cwd, env: {} }).config.startYear, 2001);
+    assert.equal(resolveConfig({ cwd, env: { IMAGERY_CONFIG: 'env.json' } }).config.startYear, 2002);
+    assert.equal(resolveConfig({ cwd, env: { IMAGERY_CONFIG: 'env.json' }, configPath: 'flag.yml' }).config.startYear, 2003);
+  });
+});
+
+test('paths in a config file are relative to the file', () => {
+  const files = {
+    'site/imagery.config.yml': 'outputRoot: out\nroi: parcel.geojson\ngazetteer: ../data/cities.txt\n',
+    'site/parcel.geojson': JSON.stringify({ type: 'Polygon', coordinates: [[[0, 0], [1, 0], [1, 1], [0, 0]]] }),
+    'data/cities.txt': ''
+  };
+  withFiles(files, (dir) => {
+    const parsed = readConfigFile(path.join(dir, 'site/imagery.config.yml'));
+    assert.equal(parsed.outputRoot, path.join(dir, 'site/out'));
+    assert.equal(parsed.roi, path.join(dir, 'site/parcel.geojson'));
+    assert.equal(parsed.gazetteer, path.join(dir, 'data/cities.txt'));
+
+    // So they still work from another working directory
+    const config = loadConfig({ cwd: os.tmpdir(), env: {}, configPath: path.join(dir, 'site/imagery.config.yml') });
+    assert.equal(config.outputRoot, path.join(dir, 'site/out'));
+    assert.equal(config.roi, path.join(dir, 'site/parcel.geojson'));
+
+    // Absolute paths and inline objects are left alone
+    fs.writeFileSync(path.join(dir, 'abs.json'), JSON.stringify({ outputRoot: '/srv/imagery', roi: { pixels: [[0, 0], [9, 0], [9, 9]] } }));
+    const absolute = readConfigFile(path.join(dir, 'abs.json'));
+    assert.equal(absolute.outputRoot, '/srv/imagery');
+    assert.deepEqual(absolute.roi, { pixels: [[0, 0], [9, 0], [9, 9]] });
+  });
+});
+
+test('reports unreadable and malformed config files', () => {
+  withFiles({ 'broken.json': '{ "startYear": ', 'list.yaml': '- 1\n- 2\n', 'empty.yml': '' }, (dir) => {
+    assert.throws(() => readConfigFile(path.join(dir, 'missing.json')), /Cannot read config file .*missing\.json/);
+    assert.throws(() => readConfigFile(path.join(dir, 'broken.json')), /Cannot parse config file .*broken\.json/);
+    assert.throws(() => readConfigFile(path.join(dir, 'list.yaml')), /must contain an object at the top level/);
+    assert.deepEqual(readConfigFile(path.join(dir, 'empty.yml')), {});
+  });
+});
+
+test('lists every invalid setting at once', () => {
+  const config = {
+    ...DEFAULTS,
+    startYear: 1900,
+    zoomLevel: 'high',
+    viewport: '640x480',
+    headless: 'maybe',
+    scanStrategy: 'random',
+    ocrLanguage: 'english, french',
+    reportFormats: ['html', 'pdf'],
+    kmlFormats: ['kml'],
+    georeference: false,
+    compareThresholds: { ssim: 'x', sharpness: 1 },
+    extraMasks: [{ x: 0, y: 0, width: -1, height: 5 }],
+    colour: 'blue'
+  };
+  assert.throws(() => validateConfig(config), (error) => {
+    const problems = error.message.split('\n  - ').slice(1);
+    assert.match(error.message, /^Invalid configuration:/);
+    for (const expected of [
+      /^unknown setting\(s\): colour$/,
+      /^startYear must be an integer between 1984 and \d{4}, got 1900$/,
+      /^zoomLevel must be a positive altitude in meters, got "high"$/,
+      /^viewport must be .* of at least 800x600, got \{"width":640,"height":480\}$/,
+      /^headless must be true or false, got "maybe"$/,
+      /^scanStrategy must be one of .*, got "random"$/,
+      /^ocrLanguage must be Tesseract language codes joined by \+, .*, got "english, french"$/,
+      /^reportFormats must be a list of .*, got \["html","pdf"\]$/,
+      /^kmlFormats needs georeference/,
+      /^compareThresholds\.ssim must be a number, got "x"$/,
+      /^compareThresholds\.sharpness is not a known metric/,
+      /^extraMasks\[0\] must have non-negative numeric x, y, width and height/
+    ]) {
+      assert.ok(problems.some(problem => expected.test(problem)), `${expected} not among:\n${problems.join('\n')}`);
+    }
+    assert.equal(problems.length, 12);
+    return true;
+  });
+});
+
+test('the defaults are valid and partial nested settings keep the rest', () => {
+  const config = validateConfig({ ...DEFAULTS, outputRoot: os.tmpdir(), compareThresholds: { ssim: 0.5 }, ocrLanguage: 'eng+chi_sim' });
+  assert.equal(config.compareThresholds.ssim, 0.5);
+  assert.deepEqual(Object.keys(config.compareThresholds), Object.keys(DEFAULTS.compareThresholds));
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { monthFromName, correctOcrDigits, parseImageryDate, formatDateForFilename } = require('../lib/dates');
+
+// Fixed "today" so the future-date check does not drift
+const now = new Date(Date.UTC(2025, 3, 16));
+const parse = (text, options) => parseImageryDate(text, { now, ...options });
+
+test('reads numeric dates, with the older~ bound', () => {
+  const date = parse('older~3/20/2016');
+  assert.equal(date.iso, '2016-03-20');
+  assert.equal(date.precision, 'day');
+  assert.equal(date.olderThan, true);
+  assert.equal(date.order, 'mdy');
+  assert.equal(date.ambiguous, false);
+
+  assert.equal(parse('20.03.2016').iso, '2016-03-20');
+  assert.equal(parse('20.03.2016').order, 'dmy');
+  assert.equal(parse('2016-03-20').pattern, 'iso');
+});
+
+test('reads month names in several languages', () => {
+  assert.equal(parse('Jan 19, 2024').iso, '2024-01-19');
+  assert.equal(parse('19 janv. 2024').iso, '2024-01-19');
+  assert.equal(parse('19 de enero de 2024').iso, '2024-01-19');
+  assert.equal(monthFromName('Mär'), 3);
+  // "jui" starts both juin and juillet
+  assert.equal(monthFromName('jui'), null);
+});
+
+test('keeps the precision actually shown', () => {
+  assert.equal(parse('3/2016').iso, '2016-03');
+  assert.equal(parse('3/2016').precision, 'month');
+  assert.equal(parse('Imagery Date: 2016').precision, 'year');
+});
+
+test('flags numeric dates that read both ways and follows the configured order', () => {
+  const mdy = parse('5/6/2016');
+  assert.equal(mdy.iso, '2016-05-06');
+  assert.equal(mdy.ambiguous, true);
+  assert.deepEqual(mdy.alternatives, ['2016-06-05']);
+  assert.ok(mdy.confidence < parse('3/20/2016').confidence);
+
+  assert.equal(parse('5/6/2016', { order: 'dmy' }).iso, '2016-06-05');
+  assert.throws(() => parse('5/6/2016', { order: 'ymd' }), /Unknown date order/);
+});
+
+test('repairs letters misread as digits', () => {
+  assert.deepEqual(correctOcrDigits('l2/2O/2Ol4'), { text: '12/20/2014', corrections: 4 });
+
+  const date = parse('Jan l9, 2O14');
+  assert.equal(date.iso, '2014-01-19');
+  assert.equal(date.corrections, 2);
+  assert.ok(date.confidence < 0.9);
+});
+
+test('rejects impossible, future and implausibly old dates', () => {
+  // The day and month are impossible, so only the year is trusted
+  assert.equal(parse('2/30/2016').iso, '2016');
+  assert.equal(parse('13/13/2016').iso, '2016');
+  assert.equal(parse('12/31/2030'), null);
+  assert.equal(parse('1920'), null);
+  assert.equal(parse('Google Earth'), null);
+  assert.equal(parse(''), null);
+});
+
+test('names files after the date', () => {
+  assert.equal(formatDateForFilename('older~3/20/2016', { now }), '2016-03-20');
+  assert.equal(formatDateForFilename('no date here', { now }), 'unknown_date');
+});
@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { fingerprintImage } = require('../lib/compare');
+const { createFrameIndex } = require('../lib/dedupe');
+
+const makeImage = (width, height, value) => {
+  const data = new Uint8Array(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      data[i] = data[i + 1] = data[i + 2] = value(x, y);
+      data[i + 3] = 255;
+    }
+  }
+  return { width, height, data };
+};
+
+// Blocky pseudo-random ground, one texture per seed
+const ground = (seed) => {
+  const random = () => (seed = (seed * 1103515245 + 12345) % 2147483648) / 2147483648;
+  const blocks = Array.from({ length: 32 * 32 }, () => random() * 200 + 20);
+  return (x, y) => blocks[(y >> 3) * 32 + (x >> 3)];
+};
+const fingerprint = value => fingerprintImage(makeImage(256, 256, value), null);
+
+const first = ground(3);
+// The same acquisition with half of its tiles still loading a little brighter:
+// just over the default meanDiff threshold
+const halfLoaded = (x, y) => (y < 128 ? first(x, y) + 20 : first(x, y));
+
+const date = (iso, fields) => ({ iso, precision: 'day', ambiguous: false, ...fields });
+const member = (position, imageryDate) => ({ position, imageryDate });
+
+test('frames within the thresholds join the group, others start a new one', () => {
+  const index = createFrameIndex();
+  const group = index.add(fingerprint(first), member(1, null));
+
+  const same = index.match(fingerprint(first));
+  assert.equal(same.group, group);
+  assert.equal(same.sameDate, false);
+
+  const other = index.match(fingerprint(ground(11)));
+  assert.equal(other.group, null);
+  assert.ok(other.comparison.hasSignificantChange);
+});
+
+test('a near-identical frame of the same day joins the group', () => {
+  const index = createFrameIndex();
+  const group = index.add(fingerprint(first), member(1, date('2016-03-20')));
+
+  // Without the date the difference counts as a new acquisition
+  assert.equal(index.match(fingerprint(halfLoaded)).group, null);
+  assert.equal(index.match(fingerprint(halfLoaded), date('2016-03-21')).group, null);
+
+  const { group: matched, sameDate } = index.match(fingerprint(halfLoaded), date('2016-03-20'));
+  assert.equal(matched, group);
+  assert.equal(sameDate, true);
+
+  // Only a certain day counts, not a month or an ambiguous reading
+  const month = createFrameIndex();
+  month.add(fingerprint(first), member(1, date('2016-03', { precision: 'month' })));
+  assert.equal(month.match(fingerprint(halfLoaded), date('2016-03', { precision: 'month' })).group, null);
+  const ambiguous = createFrameIndex();
+  ambiguous.add(fingerprint(first), member(1, date('2016-05-06', { ambiguous: true })));
+  assert.equal(ambiguous.match(fingerprint(halfLoaded), date('2016-05-06', { ambiguous: true })).group, null);
+});
+
+test('clearly different imagery of the same day stays a separate acquisition', () => {
+  const index = createFrameIndex();
+  index.add(fingerprint(first), member(1, date('2016-03-20')));
+  assert.equal(index.match(fingerprint(ground(11)), date('2016-03-20')).group, null);
+});
+
+test('a match on the thresholds alone is preferred over one by date', () => {
+  const index = createFrameIndex();
+  index.add(fingerprint(first), member(1, date('2016-03-20')));
+  const exact = index.add(fingerprint(halfLoaded), member(2, null));
+
+  const { group, sameDate } = index.match(fingerprint(halfLoaded), date('2016-03-20'));
+  assert.equal(group, exact);
+  assert.equal(sameDate, false);
+});
@@ -0,0 +1,180 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const {
+  parseCoordinates,
+  parseGazetteer,
+  createGazetteerProvider,
+  parseGeocoderResponse,
+  createHttpProvider,
+  geocode,
+  resolveLocation
+} = require('../lib/geocode');
+
+/**
+ * GeoNames row: geonameid, name, asciiname, alternatenames, lat, lon, feature
+ * class, feature code, country, cc2, admin1, admin2-4, population, ...
+ */
+const row = ({ name, ascii = name, alternates = '', lat, lon, featureClass = 'P', featureCode = 'PPL', country, admin1 = '', population = 0 }) =>
+  ['1', name, ascii, alternates, lat, lon, featureClass, featureCode, country, '', admin1, '', '', '', population, '', '', '', ''].join('\t');
+
+const GAZETTEER = [
+  row({ name: 'Accra', alternates: 'Akra,Akkra', lat: 5.55602, lon: -0.1969, featureCode: 'PPLC', country: 'GH', admin1: '01', population: 1963264 }),
+  row({ name: 'Springfield', lat: 37.21533, lon: -93.29824, featureCode: 'PPLA2', country: 'US', admin1: 'MO', population: 169176 }),
+  row({ name: 'Springfield', lat: 39.80172, lon: -89.64371, featureCode: 'PPLA', country: 'US', admin1: 'IL', population: 116565 }),
+  row({ name: 'Illinois', lat: 40, lon: -89, featureClass: 'A', featureCode: 'ADM1', country: 'US', admin1: 'IL', population: 12830632 }),
+  row({ name: 'Paris', alternates: 'Parigi', lat: 48.85341, lon: 2.3488, featureCode: 'PPLC', country: 'FR', admin1: '11', population: 2138551 }),
+  row({ name: 'Paris', lat: 33.66094, lon: -95.55551, featureCode: 'PPLA2', country: 'US', admin1: 'TX', population: 24782 }),
+  row({ name: 'São Tomé', ascii: 'Sao Tome', lat: 0.33654, lon: 6.72732, featureCode: 'PPLC', country: 'ST', admin1: '22', population: 53300 })
+].join('\n');
+
+const COUNTRY_INFO = '#ISO\tISO3\tISO-Numeric\tfips\tCountry\nFR\tFRA\t250\tFR\tFrance\nGH\tGHA\t288\tGH\tGhana\nUS\tUSA\t840\tUS\tUnited States\n';
+
+const gazetteer = createGazetteerProvider(parseGazetteer(GAZETTEER), {
+  countries: new Map([['FR', 'France'], ['GH', 'Ghana'], ['US', 'United States']])
+});
+const resolve = (location, options) => resolveLocation(location, { providers: [gazetteer], ...options });
+
+/**
+ * Local HTTP server answering every request with handler(req, res)
+ */
+async function withServer(handler, fn) {
+  const server = http.createServer(handler);
+  // A request that never settles fails its test by timeout instead of keeping the run alive
+  server.unref();
+  await new Promise(resolveListen => server.listen(0, '127.0.0.1', resolveListen));
+  try {
+    return await fn(`http://127.0.0.1:${server.address().port}`);
+  } finally {
+    server.close();
+  }
+}
+
+test('parses coordinates and rejects anything else', () => {
+  assert.deepEqual(parseCoordinates(' 5.55551247 , -0.26162416 '), { lat: 5.55551247, lon: -0.26162416 });
+  assert.equal(parseCoordinates('91,0'), null);
+  assert.equal(parseCoordinates('Accra, Ghana'), null);
+});
+
+test('coordinates pass through without asking any provider', async () => {
+  const result = await resolveLocation('5.5,-0.2', { providers: () => assert.fail('providers were loaded') });
+  assert.deepEqual(result, { coordinates: '5.5,-0.2', name: null, geocoding: null });
+});
+
+test('a clear name resolves on its own', async () => {
+  const { coordinates, name, geocoding } = await resolve('Accra');
+  assert.equal(coordinates, '5.55602,-0.1969');
+  assert.equal(name, 'Accra, Ghana');
+  assert.equal(geocoding.provider, 'gazetteer');
+  assert.equal(geocoding.chosenBy, 'confidence');
+
+  // Alternate names, and accents or case in the query
+  assert.equal((await resolve('akra')).coordinates, '5.55602,-0.1969');
+  assert.equal((await resolve('SAO TOME')).coordinates, '0.33654,6.72732');
+});
+
+test('qualifiers pick the country or region', async () => {
+  assert.equal((await resolve('Paris, France')).coordinates, '48.85341,2.3488');
+  assert.equal((await resolve('Paris, US')).coordinates, '33.66094,-95.55551');
+  assert.equal((await resolve('Springfield, Illinois')).coordinates, '39.80172,-89.64371');
+  assert.equal((await resolve('Springfield, MO')).name, 'Springfield, MO, United States');
+});
+
+test('an ambiguous name is listed, or chosen by the callback', async () => {
+  await assert.rejects(resolve('Springfield'), (error) => {
+    assert.match(error.message, /does not clearly name one place/);
+    assert.match(error.message, /1\. Springfield, MO, United States/);
+    assert.match(error.message, /2\. Springfield, Illinois, United States/);
+    return true;
+  });
+
+  const { coordinates, geocoding } = await resolve('Springfield', { choose: async (query, candidates) => candidates[1] });
+  assert.equal(coordinates, '39.80172,-89.64371');
+  assert.equal(geocoding.chosenBy, 'user');
+  assert.equal(geocoding.candidates, 2);
+
+  await assert.rejects(resolve('Springfield', { choose: async () => null }), /No place was chosen/);
+});
+
+test('unknown names and missing providers are reported', async () => {
+  await assert.rejects(resolve('Atlantis'), /No place matching "Atlantis"/);
+  await assert.rejects(resolveLocation('Accra'), /no geocoder is set up/);
+  await assert.rejects(resolveLocation(''), /A location is required/);
+});
+
+test('a gazetteer file finds countryInfo.txt beside it', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gazetteer-'));
+  try {
+    fs.writeFileSync(path.join(dir, 'cities.txt'), GAZETTEER);
+    fs.writeFileSync(path.join(dir, 'countryInfo.txt'), COUNTRY_INFO);
+    const provider = createGazetteerProvider(path.join(dir, 'cities.txt'));
+    assert.equal(provider.size, 7);
+
+    const [best] = await provider.search('Accra, Ghana');
+    assert.equal(best.displayName, 'Accra, Ghana');
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  assert.throws(() => parseGazetteer('1\tNowhere\tNowhere\t\tnorth\teast'), /line 1 is not a GeoNames row/);
+  assert.throws(() => createGazetteerProvider(path.join(os.tmpdir(), 'no-such-gazetteer.txt')), /Cannot read gazetteer/);
+});
+
+test('reads Nominatim and GeoJSON geocoder answers', () => {
+  const [nominatim] = parseGeocoderResponse([{
+    display_name: 'Accra, Greater Accra Region, Ghana', lat: '5.56', lon: '-0.2', importance: 0.73, type: 'city', address: { country_code: 'gh' }
+  }]);
+  assert.deepEqual(nominatim, {
+    name: 'Accra', displayName: 'Accra, Greater Accra Region, Ghana', lat: 5.56, lon: -0.2, country: 'GH', featureCode: 'city', population: null, confidence: 0.73
+  });
+
+  const [photon] = parseGeocoderResponse({
+    type: 'FeatureCollection',
+    features: [{ geometry: { type: 'Point', coordinates: [2.35, 48.85] }, properties: { name: 'Paris', country: 'France', countrycode: 'FR' } }]
+  });
+  assert.equal(photon.displayName, 'Paris, France');
+  assert.equal(photon.lat, 48.85);
+  assert.equal(photon.lon, 2.35);
+  // No score in the answer: neither trusted nor distrusted
+  assert.equal(photon.confidence, 0.5);
+
+  assert.throws(() => parseGeocoderResponse({ results: [] }), /Unrecognized geocoder response/);
+});
+
+test('the HTTP provider fills in the URL and falls through when a service fails', { timeout: 10000 }, async () => {
+  assert.throws(() => createHttpProvider({ url: 'https://example.com/search' }), /contain \{query\}/);
+
+  let requested = null;
+  await withServer((req, res) => {
+    requested = req.url;
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify([{ display_name: 'Kumasi, Ghana', lat: '6.69', lon: '-1.62', importance: 0.7 }, { display_name: 'Broken', lat: 'x', lon: '0' }]));
+  }, async (base) => {
+    const provider = createHttpProvider({ url: `${base}/search?q={query}&limit={limit}`, name: 'local' });
+    const { coordinates, geocoding } = await resolveLocation('Kumasi, Ghana', { providers: [provider] });
+    assert.equal(requested, '/search?q=Kumasi%2C%20Ghana&limit=10');
+    assert.equal(coordinates, '6.69,-1.62');
+    assert.equal(geocoding.provider, 'local');
+    // The candidate without usable coordinates was dropped
+    assert.equal(geocoding.candidates, 1);
+  });
+
+  // A connection reset after the headers goes on to the next provider
+  await withServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'application/json', 'Content-Length': '1000' });
+    res.write('[{"lat"');
+    setTimeout(() => req.socket.destroy(), 20);
+  }, async (base) => {
+    const broken = createHttpProvider({ url: `${base}/?q={query}` });
+    const { provider, candidates, errors } = await geocode('Accra', [broken, gazetteer]);
+    assert.equal(provider, 'gazetteer');
+    assert.equal(candidates[0].name, 'Accra');
+    assert.equal(errors.length, 1);
+
+    await assert.rejects(geocode('Accra', [broken]), /Cannot look up "Accra": http: /);
+  });
+});
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { groundResolution, metersPerDegree, georeference, lonLatToPixel, formatWorldFile } = require('../lib/georef');
+
+const camera = (fields) => ({ lat: 5.5555, lon: -0.2616, altitude: null, distance: 500, fov: 90, heading: 0, tilt: 0, roll: 0, ...fields });
+const viewport = { width: 1600, height: 1000 };
+
+const close = (actual, expected, tolerance, message) =>
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${message || 'value'}: ${actual} is not within ${tolerance} of ${expected}`);
+
+test('ground resolution follows from the height and the vertical field of view', () => {
+  // 90° over 500 m spans 1000 m of ground over 1000 rows
+  const { metersPerPixel, height, heightSource } = groundResolution(camera(), 1000);
+  close(metersPerPixel, 1, 1e-12);
+  assert.equal(height, 500);
+  assert.equal(heightSource, 'distance');
+
+  assert.equal(groundResolution(camera({ distance: null, altitude: 250 }), 1000).heightSource, 'altitude');
+  assert.throws(() => groundResolution(camera({ tilt: 45 }), 1000), /straight-down/);
+  assert.throws(() => groundResolution(camera({ distance: null, altitude: 0 }), 1000), /no height/);
+});
+
+test('meters per degree match the WGS84 ellipsoid', () => {
+  close(metersPerDegree(0).lat, 110574, 1, 'latitude at the equator');
+  close(metersPerDegree(0).lon, 111320, 1, 'longitude at the equator');
+  close(metersPerDegree(60).lat, 111412, 1, 'latitude at 60°');
+  close(metersPerDegree(60).lon, 55800, 1, 'longitude at 60°');
+});
+
+test('a north-up world file has no rotation terms and is centred on the camera', () => {
+  const { worldFile, footprint, latLonBox } = georeference(camera(), viewport);
+  const [a, d, b, e] = worldFile;
+  const scale = metersPerDegree(5.5555);
+
+  close(a, 1 / scale.lon, 1e-15, 'A');
+  close(e, -1 / scale.lat, 1e-15, 'E');
+  close(d, 0, 1e-15, 'D');
+  close(b, 0, 1e-15, 'B');
+  const lines = formatWorldFile(worldFile).split('\n');
+  assert.equal(lines.length, 7);
+  assert.equal(lines[1], '0.000000000000');
+  assert.equal(lines[2], '0.000000000000');
+
+  // Corners clockwise from the top left, closed, around the camera
+  assert.equal(footprint.length, 5);
+  assert.deepEqual(footprint[4], footprint[0]);
+  close((footprint[0][0] + footprint[2][0]) / 2, -0.2616, 1e-12, 'centre lon');
+  close((footprint[0][1] + footprint[2][1]) / 2, 5.5555, 1e-12, 'centre lat');
+  assert.ok(footprint[0][1] > footprint[2][1], 'top is north');
+  assert.equal(Math.abs(latLonBox.rotation), 0);
+});
+
+test('the heading turns the image: with heading 90 screen right points south', () => {
+  const toPixel = lonLatToPixel(camera({ heading: 90 }), viewport);
+  const south = toPixel([-0.2616, 5.5555 - 100 / metersPerDegree(5.5555).lat]);
+  close(south[0], 800 + 100, 1e-6, 'column');
+  close(south[1], 500, 1e-6, 'row');
+
+  assert.equal(georeference(camera({ heading: 30 }), viewport).latLonBox.rotation, -30);
+  assert.equal(georeference(camera({ heading: 200 }), viewport).latLonBox.rotation, 160);
+});
+
+test('world file and lonLatToPixel are inverses, for a crop of a rotated view', () => {
+  const rotated = camera({ heading: 37, lat: 48.85, lon: 2.35 });
+  const rect = { x: 120, y: 80, width: 900, height: 600 };
+  const [a, d, b, e, c, f] = georeference(rotated, viewport, rect).worldFile;
+  const toPixel = lonLatToPixel(rotated, viewport, rect);
+
+  for (const [col, row] of [[0, 0], [899, 0], [450, 300], [0, 599], [899, 599]]) {
+    // World files address pixel centres
+    const lon = a * col + b * row + c;
+    const lat = d * col + e * row + f;
+    const [x, y] = toPixel([lon, lat]);
+    close(x, col + 0.5, 1e-6, `column of ${col},${row}`);
+    close(y, row + 0.5, 1e-6, `row of ${col},${row}`);
+  }
+});
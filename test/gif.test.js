@@ -0,0 +1,175 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { quantize, encodeGif } = require('../lib/gif');
+
+/**
+ * Minimal GIF decoder for the encoder's output: frames of palette indices
+ * with their local colour tables, the delays and the loop count
+ */
+function decodeGif(buffer) {
+  let pos = 0;
+  const byte = () => buffer[pos++];
+  const word = () => byte() | (byte() << 8);
+
+  assert.equal(buffer.toString('latin1', 0, 6), 'GIF89a');
+  pos = 6;
+  const width = word();
+  const height = word();
+  pos += 3;
+
+  const gif = { width, height, loop: null, frames: [] };
+  let delay = null;
+  for (;;) {
+    const block = byte();
+    if (block === 0x3b) return gif;
+
+    if (block === 0x21) {
+      const label = byte();
+      // The extension's first sub-block, then any more up to the empty terminator
+      const first = buffer.subarray(pos + 1, pos + 1 + buffer[pos]);
+      if (label === 0xf9) {
+        delay = (first[1] | (first[2] << 8)) * 10;
+      }
+      const isLoop = label === 0xff && first.toString('latin1') === 'NETSCAPE2.0';
+      pos += 1 + first.length;
+      for (let size = byte(); size > 0; size = byte()) {
+        if (isLoop) gif.loop = buffer[pos + 1] | (buffer[pos + 2] << 8);
+        pos += size;
+      }
+      continue;
+    }
+
+    assert.equal(block, 0x2c, `unexpected block 0x${block.toString(16)} at ${pos - 1}`);
+    pos += 8;
+    const flags = byte();
+    const paletteSize = 2 << (flags & 7);
+    const palette = buffer.subarray(pos, pos + paletteSize * 3);
+    pos += paletteSize * 3;
+
+    const minCodeSize = byte();
+    const data = [];
+    for (let size = byte(); size > 0; size = byte()) {
+      data.push(...buffer.subarray(pos, pos + size));
+      pos += size;
+    }
+    gif.frames.push({ delay, palette, indices: lzwDecode(data, minCodeSize, width * height) });
+  }
+}
+
+function lzwDecode(data, minCodeSize, pixelCount) {
+  const clearCode = 1 << minCodeSize;
+  const endCode = clearCode + 1;
+  const output = [];
+  let codeSize = minCodeSize + 1;
+  let dictionary = [];
+  let previous = null;
+  let bitPos = 0;
+
+  const reset = () => {
+    dictionary = Array.from({ length: clearCode }, (_, i) => [i]);
+    dictionary.push(null, null);
+    codeSize = minCodeSize + 1;
+    previous = null;
+  };
+  reset();
+
+  while (bitPos + codeSize <= data.length * 8) {
+    let code = 0;
+    for (let i = 0; i < codeSize; i++, bitPos++) {
+      code |= ((data[bitPos >> 3] >> (bitPos & 7)) & 1) << i;
+    }
+    if (code === clearCode) {
+      reset();
+      continue;
+    }
+    if (code === endCode) break;
+
+    let entry;
+    if (code < dictionary.length) {
+      entry = dictionary[code];
+    } else {
+      assert.equal(code, dictionary.length, 'code beyond the next dictionary entry');
+      entry = [...previous, previous[0]];
+    }
+    output.push(...entry);
+    if (previous && dictionary.length < 4096) {
+      dictionary.push([...previous, entry[0]]);
+      if (dictionary.length === 1 << codeSize && codeSize < 12) codeSize++;
+    }
+    previous = entry;
+  }
+
+  assert.equal(output.length, pixelCount);
+  return output;
+}
+
+const makeImage = (width, height, pixel) => {
+  const data = new Uint8Array(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      const [r, g, b] = pixel(x, y);
+      data[i] = r;
+      data[i + 1] = g;
+      data[i + 2] = b;
+      data[i + 3] = 255;
+    }
+  }
+  return { width, height, data };
+};
+
+const decodedPixel = (frame, index) => {
+  const p = frame.indices[index] * 3;
+  return [frame.palette[p], frame.palette[p + 1], frame.palette[p + 2]];
+};
+
+// Channel values at the centre of a 5-bit bin survive quantization exactly
+const level = k => k * 8 + 4;
+
+test('round-trips frames of up to 256 colours exactly', () => {
+  const colors = Array.from({ length: 200 }, (_, i) => [level(i % 32), level((i * 7) % 32), level((i * 13) % 32)]);
+  // Pseudo-random pixels fill the LZW dictionary, so the clear code is exercised
+  let seed = 1;
+  const random = () => (seed = (seed * 1103515245 + 12345) % 2147483648) / 2147483648;
+  const noisy = makeImage(160, 120, () => colors[Math.floor(random() * colors.length)]);
+  const flat = makeImage(160, 120, (x) => colors[x % 3]);
+
+  const gif = decodeGif(encodeGif([noisy, flat], { delay: [500, 1200], loop: 3 }));
+  assert.equal(gif.width, 160);
+  assert.equal(gif.height, 120);
+  assert.equal(gif.loop, 3);
+  assert.deepEqual(gif.frames.map(f => f.delay), [500, 1200]);
+
+  [noisy, flat].forEach((image, f) => {
+    for (let p = 0; p < image.width * image.height; p++) {
+      const expected = Array.from(image.data.subarray(p * 4, p * 4 + 3));
+      assert.deepEqual(decodedPixel(gif.frames[f], p), expected, `frame ${f}, pixel ${p}`);
+    }
+  });
+});
+
+test('keeps many-coloured images close to the original', () => {
+  const image = makeImage(128, 64, (x, y) => [x * 2, y * 4, (x + y) % 256]);
+  const { palette, lookup } = quantize(image);
+
+  let worst = 0;
+  for (let p = 0; p < image.width * image.height; p++) {
+    const [r, g, b] = image.data.subarray(p * 4, p * 4 + 3);
+    const entry = lookup[((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3)] * 3;
+    worst = Math.max(worst, Math.abs(palette[entry] - r), Math.abs(palette[entry + 1] - g), Math.abs(palette[entry + 2] - b));
+  }
+  assert.ok(worst <= 32, `largest channel error ${worst}`);
+});
+
+test('clamps delays to the shortest one browsers honour', () => {
+  const image = makeImage(4, 4, () => [level(1), level(2), level(3)]);
+  const gif = decodeGif(encodeGif([image], { delay: 0 }));
+  assert.equal(gif.frames[0].delay, 20);
+  assert.equal(gif.loop, 0);
+});
+
+test('rejects missing or mismatched frames', () => {
+  assert.throws(() => encodeGif([]), /at least one frame/);
+  assert.throws(() => encodeGif([makeImage(4, 4, () => [0, 0, 0]), makeImage(5, 4, () => [0, 0, 0])]), /same size/);
+});
@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseBounds, planMosaic, alignTiles } = require('../lib/mosaic');
+const { metersPerDegree } = require('../lib/georef');
+
+const close = (actual, expected, tolerance, message) =>
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${message || 'value'}: ${actual} is not within ${tolerance} of ${expected}`);
+
+const options = { zoomLevel: 500, viewport: { width: 1600, height: 1000 }, overlap: 0.2, maxTiles: 50 };
+
+test('reads a bounding box in any of its forms', () => {
+  const box = { south: 5.55, west: -0.21, north: 5.56, east: -0.19 };
+  assert.deepEqual(parseBounds(' 5.55, -0.21 ,5.56,-0.19'), box);
+  assert.deepEqual(parseBounds([5.55, -0.21, 5.56, -0.19]), box);
+  assert.deepEqual(parseBounds({ ...box }), box);
+
+  assert.throws(() => parseBounds('5.55,-0.21,5.56'), /must be "south,west,north,east"/);
+  assert.throws(() => parseBounds('5.55,west,5.56,-0.19'), /must be four numbers/);
+  assert.throws(() => parseBounds('80,0,89,1'), /within latitudes -85\.\.85/);
+  assert.throws(() => parseBounds('5.56,-0.21,5.55,-0.19'), /needs south < north/);
+  assert.throws(() => parseBounds('0,179,1,-179'), /antimeridian/);
+});
+
+test('plans an overlapping grid over a known box', () => {
+  const bounds = parseBounds('5.55,-0.21,5.56,-0.19');
+  const plan = planMosaic(bounds, options);
+  const scale = metersPerDegree(5.555);
+
+  // 35° over 500 m spans 315 m over the 1000 screen rows
+  close(plan.metersPerPixel, Math.tan((17.5 * Math.PI) / 180), 1e-12, 'meters per pixel');
+  const { width, height } = plan.mapRect;
+  assert.deepEqual(plan.tileSize, { width, height });
+  close(plan.step.width, width * 0.8, 1e-9, 'column step');
+  close(plan.step.height, height * 0.8, 1e-9, 'row step');
+
+  // 2214 m east to west in 504 m tiles every 403 m, 1112 m north to south in 258 m tiles every 206 m
+  assert.equal(plan.cols, 6);
+  assert.equal(plan.rows, 6);
+  assert.equal(plan.tiles.length, 36);
+  assert.deepEqual(plan.tiles.slice(0, 2).map(t => t.id), ['r01_c01', 'r01_c02']);
+  assert.equal(plan.tiles[35].id, 'r06_c06');
+
+  // Neighbours sit one step apart: west to east along a row, north to south down a column
+  const [first, second] = plan.tiles;
+  const below = plan.tiles[plan.cols];
+  close((second.lon - first.lon) * scale.lon, plan.step.width * plan.metersPerPixel, 0.05, 'column spacing');
+  assert.equal(second.lat, first.lat);
+  close((first.lat - below.lat) * scale.lat, plan.step.height * plan.metersPerPixel, 0.05, 'row spacing');
+  assert.equal(below.lon, first.lon);
+
+  // The grid covers the box
+  assert.ok(plan.extent.south <= bounds.south && plan.extent.north >= bounds.north);
+  assert.ok(plan.extent.west <= bounds.west && plan.extent.east >= bounds.east);
+});
+
+test('a box smaller than one view is one tile, aimed so the map crop is centred on it', () => {
+  const plan = planMosaic(parseBounds('5.555,-0.2,5.5551,-0.1999'), options);
+  assert.equal(plan.rows * plan.cols, 1);
+
+  // The camera targets the screen centre, so it is moved by the map crop's offset from it
+  const { mapRect, viewport, metersPerPixel } = plan;
+  const down = (mapRect.y + mapRect.height / 2 - viewport.height / 2) * metersPerPixel;
+  const right = (mapRect.x + mapRect.width / 2 - viewport.width / 2) * metersPerPixel;
+  const scale = metersPerDegree(5.55505);
+  close(plan.tiles[0].lat, 5.55505 + down / scale.lat, 1e-7, 'lat');
+  close(plan.tiles[0].lon, -0.19995 - right / scale.lon, 1e-7, 'lon');
+});
+
+test('refuses a grid larger than mosaicMaxTiles', () => {
+  assert.throws(() => planMosaic(parseBounds('5.55,-0.21,5.56,-0.19'), { ...options, maxTiles: 35 }),
+    /a 6x6 grid of 36 tiles, more than mosaicMaxTiles \(35\)/);
+});
+
+test('aligns two crops of one image by their overlap', () => {
+  // Blocky pseudo-random texture, full of corners
+  let seed = 7;
+  const random = () => (seed = (seed * 1103515245 + 12345) % 2147483648) / 2147483648;
+  const blocks = Array.from({ length: 40 * 40 }, () => random() * 255);
+  const texture = (x, y) => blocks[Math.floor(y / 6) * 40 + Math.floor(x / 6)];
+  const crop = (x0, y0, width, height) => {
+    const pixels = new Float32Array(width * height);
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) pixels[y * width + x] = texture(x0 + x, y0 + y);
+    }
+    return { width, height, pixels };
+  };
+
+  // b really lies at (120, 10) relative to a; the georeference guessed (125, 6)
+  const a = { gray: crop(0, 0, 200, 150), x: 0, y: 0, masks: [] };
+  const b = { gray: crop(120, 10, 200, 150), masks: [] };
+  const correction = alignTiles(a, b, { x: 125, y: 6 });
+
+  assert.ok(correction, 'no alignment found');
+  assert.equal(correction.dx, -5);
+  assert.equal(correction.dy, 4);
+  assert.ok(correction.matches >= 5);
+
+  // Without anything in common there is nothing to align by
+  const flat = { width: 200, height: 150, pixels: new Float32Array(200 * 150).fill(128) };
+  assert.equal(alignTiles({ ...a, gray: flat }, { ...b, gray: flat }, { x: 125, y: 6 }), null);
+});
@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { parseRoi, projectRoi, rasterizeRings, ringsBounds, writeRoi } = require('../lib/roi');
+
+const square = (x0, y0, size) => [[x0, y0], [x0 + size, y0], [x0 + size, y0 + size], [x0, y0 + size], [x0, y0]];
+const count = cells => cells.reduce((sum, v) => sum + v, 0);
+
+test('rasterizes a square with a hole by the even-odd rule', () => {
+  const inside = rasterizeRings([square(2, 2, 16), square(6, 6, 8)], 20, 20);
+
+  assert.equal(count(inside), 16 * 16 - 8 * 8);
+  assert.equal(inside[3 * 20 + 3], 1, 'ring');
+  assert.equal(inside[10 * 20 + 10], 0, 'hole');
+  assert.equal(inside[0], 0, 'outside');
+
+  // On a coarser grid each cell is sampled at its centre
+  assert.equal(count(rasterizeRings([square(2, 2, 16)], 10, 10, 2)), 8 * 8);
+});
+
+test('reads polygons from GeoJSON in any wrapping', () => {
+  const polygon = { type: 'Polygon', coordinates: [square(0, 0, 1), square(0.25, 0.25, 0.5)] };
+  const multi = { type: 'MultiPolygon', coordinates: [[square(10, 10, 1)], [square(20, 20, 1)]] };
+  const collection = {
+    type: 'FeatureCollection',
+    features: [{ type: 'Feature', properties: {}, geometry: polygon }, { type: 'Feature', geometry: multi }]
+  };
+
+  const roi = parseRoi(collection);
+  assert.equal(roi.source, 'geojson');
+  assert.equal(roi.rings.length, 4);
+  assert.deepEqual(roi.rings[2][0], [10, 10]);
+  assert.equal(roi.geometry.type, 'MultiPolygon');
+  assert.equal(roi.geometry.coordinates.length, 4);
+
+  assert.equal(parseRoi({ type: 'Feature', geometry: multi }).rings.length, 2);
+  // A GeoJSON area needs the run's camera to land on the frames
+  assert.throws(() => projectRoi(roi, {}), /needs a georeferenced run/);
+});
+
+test('reads pixel polygons, one ring or several', () => {
+  const one = parseRoi({ pixels: [[0, 0], [10, 0], [10, 10]] });
+  assert.equal(one.source, 'pixels');
+  assert.deepEqual(one.rings, [[[0, 0], [10, 0], [10, 10]]]);
+  assert.equal(one.geometry, null);
+  assert.deepEqual(projectRoi(one), one.rings);
+
+  assert.equal(parseRoi({ pixels: [square(0, 0, 10), square(2, 2, 4)] }).rings.length, 2);
+});
+
+test('reports unusable areas of interest', () => {
+  assert.throws(() => parseRoi({ type: 'Point', coordinates: [0, 0] }), /expected a GeoJSON Polygon or MultiPolygon/);
+  assert.throws(() => parseRoi({ type: 'FeatureCollection', features: [{ type: 'Feature', geometry: { type: 'LineString', coordinates: [] } }] }), /expected a GeoJSON/);
+  assert.throws(() => parseRoi({ type: 'MultiPolygon', coordinates: [] }), /has no polygon/);
+  assert.throws(() => parseRoi({ type: 'Polygon', coordinates: [[[0, 0], [1, 1]]] }), /ring 1 must have at least 3 \[lon, lat\] points/);
+  assert.throws(() => parseRoi({ type: 'Polygon', coordinates: [square(179.5, 0, 1)] }), /ring 1 has points outside lon -180\.\.180/);
+  assert.throws(() => parseRoi({ pixels: [[0, 0], [1, 'x'], [2, 2]] }), /ring 1 must have at least 3 \[x, y\] points/);
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'roi-'));
+  try {
+    fs.writeFileSync(path.join(dir, 'broken.geojson'), '{ "type": "Polygon", ');
+    assert.throws(() => parseRoi(path.join(dir, 'broken.geojson')), /cannot read .*broken\.geojson/);
+    fs.writeFileSync(path.join(dir, 'parcel.geojson'), JSON.stringify({ type: 'Polygon', coordinates: [square(0, 0, 1)] }));
+    assert.equal(parseRoi(path.join(dir, 'parcel.geojson')).rings.length, 1);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('a polygon off the captured map is refused', () => {
+  const frame = { mapRect: { x: 0, y: 0, width: 100, height: 80 } };
+  const roi = rings => ({ source: 'pixels', rings, geometry: null });
+
+  assert.equal(ringsBounds([square(150, 10, 20)], 100, 80), null);
+  assert.deepEqual(ringsBounds([square(90, -5, 20)], 100, 80), { x: 90, y: 0, width: 10, height: 15 });
+
+  assert.throws(() => writeRoi('.', [], roi([square(150, 10, 20)]), frame), /lies outside the captured map/);
+  // Inside the bounds, but too thin to cover a pixel centre
+  assert.throws(() => writeRoi('.', [], roi([[[10, 10], [60, 10.2], [10, 10.4]]]), frame), /covers no pixels/);
+});
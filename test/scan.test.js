@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { scanTimeline } = require('../lib/scan');
+
+// A slider of 100 pixels showing three acquisitions, changing at x = 37 and x = 81
+const candidates = Array.from({ length: 100 }, (_, i) => i);
+const groupAt = x => (x < 37 ? 0 : x < 81 ? 1 : 2);
+
+const recordingVisit = () => {
+  const visited = [];
+  const visit = async (x) => {
+    visited.push(x);
+    return groupAt(x);
+  };
+  return { visited, visit };
+};
+
+test('adaptive scan bisects each boundary down to neighbouring pixels', async () => {
+  const { visited, visit } = recordingVisit();
+  const result = await scanTimeline({ candidates, visit, coarsePoints: 8 });
+
+  assert.deepEqual(result.boundaries, [
+    { leftX: 36, rightX: 37, fromGroup: 0, toGroup: 1, resolved: true },
+    { leftX: 80, rightX: 81, fromGroup: 1, toGroup: 2, resolved: true }
+  ]);
+  assert.equal(result.stoppedBy, null);
+  // Far fewer clicks than visiting every pixel, and none twice
+  assert.ok(visited.length < 25, `visited ${visited.length} positions`);
+  assert.equal(new Set(visited).size, visited.length);
+  assert.deepEqual(result.visits.map(v => v.x), visited);
+});
+
+test('uniform scan visits evenly spaced positions including both ends', async () => {
+  const { visited, visit } = recordingVisit();
+  const result = await scanTimeline({ candidates, visit, strategy: 'uniform', maxVisits: 5 });
+
+  assert.deepEqual(visited, [0, 25, 50, 74, 99]);
+  assert.deepEqual(result.boundaries, []);
+});
+
+test('uniform scan without a visit limit visits every position once', async () => {
+  const { visited, visit } = recordingVisit();
+  const result = await scanTimeline({ candidates, visit, strategy: 'uniform' });
+
+  assert.deepEqual(visited, candidates);
+  assert.equal(result.stoppedBy, null);
+});
+
+test('the visit limit stops the scan and leaves boundaries unresolved', async () => {
+  const { visited, visit } = recordingVisit();
+  const result = await scanTimeline({ candidates, visit, coarsePoints: 8, maxVisits: 10 });
+
+  assert.equal(visited.length, 10);
+  assert.equal(result.stoppedBy, 'maxVisits');
+  assert.equal(result.boundaries.length, 2);
+  assert.ok(result.boundaries.some(b => !b.resolved));
+  // Each boundary still brackets the real change
+  for (const { leftX, rightX, fromGroup, toGroup } of result.boundaries) {
+    assert.equal(groupAt(leftX), fromGroup);
+    assert.equal(groupAt(rightX), toGroup);
+    assert.notEqual(fromGroup, toGroup);
+  }
+});
+
+test('a resumed scan replays the recorded visits and finishes the same way', async () => {
+  const first = await scanTimeline({ candidates, visit: recordingVisit().visit, coarsePoints: 8, maxVisits: 10 });
+  const full = await scanTimeline({ candidates, visit: recordingVisit().visit, coarsePoints: 8 });
+
+  const { visited, visit } = recordingVisit();
+  const resumed = await scanTimeline({ candidates, visit, coarsePoints: 8, previousVisits: first.visits });
+
+  assert.deepEqual(resumed.visits, full.visits);
+  assert.deepEqual(resumed.boundaries, full.boundaries);
+  // Only the positions not reached before the interruption are clicked
+  assert.equal(visited.length, full.visits.length - first.visits.length);
+  assert.ok(visited.every(x => !first.visits.some(v => v.x === x)));
+});
+
+test('rejects an unknown strategy', async () => {
+  await assert.rejects(scanTimeline({ candidates, visit: async () => 0, strategy: 'random' }), /Unknown scan strategy/);
+});